@@ -1,62 +1,208 @@
 // API Configuration
 const API_URL = 'http://localhost:4000/graphql';
+const WS_URL = API_URL.replace(/^http/, 'ws');
 const DEFAULT_ERROR_MESSAGE = 'An unexpected error occurred. Please try again.';
 
-// Cache for users data
+// Headings shown for each server error code (see `extensions.code`)
+const ERROR_TITLES = {
+    NOT_FOUND: 'Not found',
+    VALIDATION_FAILED: 'Please check your input',
+    CONFLICT: 'Already exists',
+    UNAUTHENTICATED: 'Please sign in',
+    FORBIDDEN: 'Not allowed',
+    QUERY_TOO_COMPLEX: 'Request too complex',
+    RATE_LIMITED: 'Slow down',
+    OPERATION_NOT_ALLOWED: 'Not allowed',
+    INTERNAL_SERVER_ERROR: 'Server error',
+};
+
+// Icons shown on note cards for each visibility
+const VISIBILITY_ICONS = {
+    PRIVATE: 'fa-lock',
+    SHARED: 'fa-user-friends',
+    PUBLIC: 'fa-globe',
+};
+
+// Number of cards loaded per page in the dashboard grids
+const PAGE_SIZE = 12;
+
+// Cache for users and notes data, plus the page info for loading more
 let usersCache = [];
+let usersPageInfo = null;
+let notesCache = [];
+let notesPageInfo = null;
+
+// The search currently shown in the notes grid, if any
+let activeSearch = null;
+
+// Key under which the auth token is kept in localStorage
+const TOKEN_STORAGE_KEY = 'graphqlStudyToken';
+
+// The signed-in user, if any
+let currentUser = null;
+
+// Attachments shown on the page, by ID, so download links only need the ID
+const attachmentsById = new Map();
+
+// SHA-256 hashes of query strings, for automatic persisted queries (APQ)
+const queryHashes = new Map();
+
+// Cleared if the server turns out not to support persisted queries
+let persistedQueriesSupported = true;
+
+/**
+ * Hashes a query for APQ: the hex SHA-256 of its exact text
+ * @param {string} query - The GraphQL query/mutation
+ * @returns {Promise<string|null>} - The hash, or null where Web Crypto is
+ *   unavailable (pages not served from HTTPS or localhost)
+ */
+async function hashQuery(query) {
+    if (!window.crypto?.subtle) return null;
+    if (!queryHashes.has(query)) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(query));
+        const hex = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+        queryHashes.set(query, hex);
+    }
+    return queryHashes.get(query);
+}
+
+/**
+ * POSTs a request body to the API and parses the JSON response
+ * @param {Object} headers - Request headers
+ * @param {string|FormData} body - The request body
+ * @returns {Promise<Object>} - The GraphQL response
+ */
+async function postGraphQL(headers, body) {
+    const response = await fetch(API_URL, {
+        method: 'POST',
+        headers,
+        body
+    });
+
+    // Some GraphQL errors, like RATE_LIMITED, come with an error status
+    const isJson = response.headers.get('Content-Type')?.includes('application/json');
+    if (!response.ok && !isJson) {
+        const errorText = await response.text();
+        console.error('HTTP Error:', response.status, errorText);
+        throw new Error(`Server responded with status ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Sends a JSON request as an automatic persisted query: just the query's
+ * hash at first, then the full text if the server hasn't seen it yet
+ * @param {string} query - The GraphQL query/mutation
+ * @param {Object} variables - Variables for the query/mutation
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} - The GraphQL response
+ */
+async function postPersistedQuery(query, variables, headers) {
+    const hash = persistedQueriesSupported ? await hashQuery(query) : null;
+    if (hash) {
+        const extensions = { persistedQuery: { version: 1, sha256Hash: hash } };
+        const result = await postGraphQL(headers, JSON.stringify({ variables, extensions }));
+        const code = result.errors?.[0]?.extensions?.code;
+        if (code === 'PERSISTED_QUERY_NOT_FOUND') {
+            return postGraphQL(headers, JSON.stringify({ query, variables, extensions }));
+        }
+        if (code !== 'PERSISTED_QUERY_NOT_SUPPORTED') {
+            return result;
+        }
+        persistedQueriesSupported = false;
+    }
+    return postGraphQL(headers, JSON.stringify({ query, variables }));
+}
 
 /**
  * Makes a GraphQL request to the server
  * @param {string} query - The GraphQL query/mutation
  * @param {Object} variables - Variables for the query/mutation
  * @param {Object} options - Additional options
+ * @param {Object<string, File>} options.files - Files to upload, keyed by
+ *   the variable they fill in; sends the request as multipart form data
  * @returns {Promise<Object>} - The response data
  */
 async function graphqlRequest(query, variables = {}, options = {}) {
-    const { showError = true } = options;
+    const { showError = true, files } = options;
     
     try {
         console.debug('Sending GraphQL request:', { query, variables });
-        const response = await fetch(API_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json',
-            },
-            body: JSON.stringify({
-                query,
-                variables
-            })
-        });
+        const headers = {
+            'Accept': 'application/json',
+        };
+        const token = getAuthToken();
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('HTTP Error:', response.status, errorText);
-            throw new Error(`Server responded with status ${response.status}`);
+        let result;
+        if (files) {
+            // GraphQL multipart request: the operation with null in place of
+            // each file, a map from file field to variable, then the files
+            const body = new FormData();
+            const names = Object.keys(files);
+            body.append('operations', JSON.stringify({
+                query,
+                variables: { ...variables, ...Object.fromEntries(names.map(name => [name, null])) }
+            }));
+            body.append('map', JSON.stringify(
+                Object.fromEntries(names.map((name, index) => [index, [`variables.${name}`]]))
+            ));
+            names.forEach((name, index) => body.append(index, files[name]));
+            result = await postGraphQL(headers, body);
+        } else {
+            headers['Content-Type'] = 'application/json';
+            result = await postPersistedQuery(query, variables, headers);
         }
 
-        const result = await response.json();
         console.debug('GraphQL Response:', result);
         
         if (result.errors) {
             const errorMessages = result.errors.map(err => err.message).join('\n');
             console.error('GraphQL Errors:', result.errors);
-            throw new Error(errorMessages || 'An unexpected error occurred');
+            const error = new Error(errorMessages || 'An unexpected error occurred');
+            error.graphQLErrors = result.errors;
+            throw error;
         }
         
         return result;
     } catch (error) {
         console.error('GraphQL Request Error:', error);
         if (showError) {
-            showResponse(error.message || DEFAULT_ERROR_MESSAGE, true);
+            showResponse(error, true);
         }
         throw error;
     }
 }
 
+/**
+ * Renders GraphQL errors as HTML, using the error code for a heading and
+ * listing any per-field details
+ * @param {Array} errors - The `errors` array of a GraphQL response
+ * @returns {string} - HTML
+ */
+function formatGraphQLErrors(errors) {
+    return errors.map(err => {
+        const code = err.extensions?.code;
+        const title = ERROR_TITLES[code] || 'Error';
+        const fields = Object.entries(err.extensions?.fields || {});
+        const details = fields.length > 0 ? `
+            <ul class="error-fields">
+                ${fields.map(([field, message]) => `
+                    <li><code>${escapeHtml(field)}</code> ${escapeHtml(message)}</li>
+                `).join('')}
+            </ul>
+        ` : '';
+        return `<div><strong>${title}:</strong> ${escapeHtml(err.message)}${details}</div>`;
+    }).join('');
+}
+
 /**
  * Displays a response or error message to the user
- * @param {string|Object} data - The message or data to display
+ * @param {string|Object} data - The message or data to display; for errors,
+ *   an Error thrown by graphqlRequest is rendered with its GraphQL details
  * @param {boolean} isError - Whether the message is an error
  * @param {number} timeout - Time in ms to auto-hide the message (0 = don't hide)
  */
@@ -72,7 +218,14 @@ function showResponse(data, isError = false, timeout = 5000) {
     // Create appropriate alert HTML
     let alertHtml = '';
     if (isError) {
-        const errorMessage = typeof data === 'string' ? data : 'An unexpected error occurred';
+        let errorMessage = DEFAULT_ERROR_MESSAGE;
+        if (data?.graphQLErrors) {
+            errorMessage = formatGraphQLErrors(data.graphQLErrors);
+        } else if (typeof data === 'string') {
+            errorMessage = data;
+        } else if (data?.message) {
+            errorMessage = escapeHtml(data.message);
+        }
         alertHtml = `
             <div class="alert alert-danger">
                 <i class="fas fa-exclamation-circle"></i>
@@ -155,7 +308,7 @@ function renderUsers(users) {
                 <div class="user-stats">
                     <span class="badge">
                         <i class="fas fa-sticky-note"></i>
-                        ${user.notes?.length || 0} notes
+                        ${user.notesConnection?.totalCount || 0} notes
                     </span>
                 </div>
             </div>
@@ -205,13 +358,19 @@ function renderNotes(notes) {
             <div class="card-header">
                 <h3 class="card-title">
                     <i class="fas fa-sticky-note"></i>
-                    <span>${escapeHtml(note.title)}</span>
+                    <a href="#" onclick="event.preventDefault(); openNoteDetail('${escapeHtml(note.id)}')">
+                        ${note.highlightedTitle || escapeHtml(note.title)}
+                    </a>
                 </h3>
             </div>
             <div class="card-body">
-                <p class="card-text">
-                    ${truncateText(escapeHtml(note.content), 150)}
-                </p>
+                ${note.snippet ? `
+                    <p class="card-text">${note.snippet}</p>
+                ` : note.contentHtml ? `
+                    <div class="card-text markdown-body markdown-preview">${note.contentHtml}</div>
+                ` : `
+                    <p class="card-text">${truncateText(escapeHtml(note.content), 150)}</p>
+                `}
                 
                 ${note.tags?.length > 0 ? `
                     <div class="tags">
@@ -223,6 +382,8 @@ function renderNotes(notes) {
                         `).join('')}
                     </div>
                 ` : ''}
+                
+                ${renderAttachments(note)}
             </div>
             <div class="card-footer">
                 <div class="note-meta">
@@ -235,6 +396,19 @@ function renderNotes(notes) {
                         ${formatDate(note.createdAt)}
                     </span>
                 </div>
+                <small class="text-muted" title="Note ID, version and visibility">
+                    ${escapeHtml(note.id)} · v${note.version ?? 0}
+                    ${note.visibility ? `· <i class="fas ${VISIBILITY_ICONS[note.visibility]}"></i> ${note.visibility.toLowerCase()}` : ''}
+                </small>
+                <button type="button" class="btn btn-sm" onclick="openNoteHistory('${escapeHtml(note.id)}')">
+                    <i class="fas fa-history"></i> History
+                </button>
+                ${currentUser ? `
+                    <label class="btn btn-sm" title="Attach a file">
+                        <i class="fas fa-paperclip"></i> Attach
+                        <input type="file" hidden onchange="attachFile('${escapeHtml(note.id)}', this)">
+                    </label>
+                ` : ''}
             </div>
         </div>
     `).join('');
@@ -254,6 +428,42 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+/**
+ * Shows field-level errors from a failed request next to the form inputs
+ * @param {string} formId - The form the request came from
+ * @param {Object} inputIds - Maps server field names to input element IDs
+ * @param {Error} error - An error thrown by graphqlRequest
+ */
+function showFieldErrors(formId, inputIds, error) {
+    clearFieldErrors(formId);
+    
+    (error.graphQLErrors || []).forEach(err => {
+        Object.entries(err.extensions?.fields || {}).forEach(([path, message]) => {
+            // 'input.tags.3' -> 'tags'
+            const field = path.split('.').filter(part => isNaN(part)).pop();
+            const input = document.getElementById(inputIds[field]);
+            if (!input || input.classList.contains('is-invalid')) return;
+            
+            input.classList.add('is-invalid');
+            const feedback = document.createElement('small');
+            feedback.className = 'field-error';
+            feedback.textContent = message;
+            input.insertAdjacentElement('afterend', feedback);
+        });
+    });
+}
+
+/**
+ * Removes inline errors shown by showFieldErrors
+ * @param {string} formId - The form to clear
+ */
+function clearFieldErrors(formId) {
+    const form = document.getElementById(formId);
+    if (!form) return;
+    form.querySelectorAll('.field-error').forEach(el => el.remove());
+    form.querySelectorAll('.is-invalid').forEach(el => el.classList.remove('is-invalid'));
+}
+
 /**
  * Truncates text to a specified length and adds ellipsis
  * @param {string} text - The text to truncate
@@ -266,6 +476,22 @@ function truncateText(text, maxLength) {
     return text.substring(0, maxLength) + '...';
 }
 
+/**
+ * Formats a byte count for display, e.g. 1536 -> "1.5 KB"
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+function formatFileSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit += 1;
+    }
+    return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
+
 /**
  * Formats a date string into a readable format
  * @param {string} dateString - ISO date string
@@ -283,220 +509,1437 @@ function formatDate(dateString) {
     });
 }
 
-// User Operations
+// Auth Operations
+
+/**
+ * Returns the stored auth token, if any
+ * @returns {string|null} - The JWT or null
+ */
+function getAuthToken() {
+    return localStorage.getItem(TOKEN_STORAGE_KEY);
+}
+
+/**
+ * Stores or clears the auth token
+ * @param {string|null} token - The JWT, or null to sign out
+ */
+function setAuthToken(token) {
+    if (token) {
+        localStorage.setItem(TOKEN_STORAGE_KEY, token);
+    } else {
+        localStorage.removeItem(TOKEN_STORAGE_KEY);
+    }
+}
+
+/**
+ * Shows who is signed in
+ * @param {Object|null} user - The current user
+ */
+function renderAuthStatus(user) {
+    currentUser = user;
+    
+    const status = document.getElementById('authStatus');
+    if (status) {
+        status.textContent = user
+            ? `Signed in as ${user.username} (${user.email})`
+            : 'Not signed in';
+    }
+    
+    const accountSection = document.getElementById('accountSection');
+    if (accountSection) {
+        accountSection.style.display = user ? 'block' : 'none';
+    }
+    if (user) {
+        document.getElementById('profileUsername').value = user.username;
+        document.getElementById('profileEmail').value = user.email;
+        populateReassignOptions(usersCache);
+        populateShareOptions(usersCache);
+        if (user.sharedNotes) renderSharedNotes(user.sharedNotes);
+    } else {
+        // The trash list belongs to whoever was signed in
+        const trashList = document.getElementById('trashList');
+        if (trashList) trashList.innerHTML = '';
+    }
+}
 
 /**
- * Fetches all users from the server
- * @returns {Promise<Array>} - Array of user objects
+ * Fetches the user the stored token belongs to
+ * @returns {Promise<Object|null>} - The current user or null
  */
-async function fetchUsers() {
+async function fetchCurrentUser() {
+    if (!getAuthToken()) {
+        renderAuthStatus(null);
+        return null;
+    }
+
     const query = `
-        query GetUsers {
-            users {
+        query Me {
+            me {
                 id
                 username
                 email
-                notes {
+                sharedNotes {
                     id
+                    title
+                    author {
+                        username
+                    }
+                    collaborators {
+                        user {
+                            id
+                        }
+                        role
+                    }
                 }
-                createdAt
             }
         }
     `;
-    
+
     try {
-        const { data } = await graphqlRequest(query);
-        if (data && data.users) {
-            usersCache = data.users;
-            renderUsers(usersCache);
-            return usersCache;
+        const { data } = await graphqlRequest(query, {}, { showError: false });
+        if (!data.me) setAuthToken(null);
+        renderAuthStatus(data.me);
+        return data.me;
+    } catch (error) {
+        console.error('Error fetching current user:', error);
+        renderAuthStatus(null);
+        return null;
+    }
+}
+
+/**
+ * Signs in with email and password and stores the returned token
+ * @param {Event} event - Form submission event
+ */
+async function login(event) {
+    if (event) event.preventDefault();
+
+    const email = document.getElementById('loginEmail').value.trim();
+    const password = document.getElementById('loginPassword').value;
+
+    if (!email || !password) {
+        showResponse('Please enter your email and password', true);
+        return;
+    }
+
+    const query = `
+        mutation Login($email: String!, $password: String!) {
+            login(email: $email, password: $password) {
+                token
+                user {
+                    id
+                    username
+                    email
+                }
+            }
+        }
+    `;
+
+    try {
+        const { data } = await graphqlRequest(query, { email, password });
+        if (data && data.login) {
+            clearFieldErrors('loginForm');
+            setAuthToken(data.login.token);
+            renderAuthStatus(data.login.user);
+            document.getElementById('loginForm').reset();
+            showResponse(`Welcome back, ${data.login.user.username}!`);
+            refreshAfterAuthChange();
         }
-        return [];
     } catch (error) {
-        console.error('Error fetching users:', error);
-        renderUsers([]);
-        return [];
+        console.error('Error signing in:', error);
+        showFieldErrors('loginForm', { email: 'loginEmail', password: 'loginPassword' }, error);
     }
 }
 
 /**
- * Creates a new user
+ * Clears the stored token
+ */
+function logout() {
+    setAuthToken(null);
+    renderAuthStatus(null);
+    showResponse('Signed out');
+    refreshAfterAuthChange();
+}
+
+/**
+ * Reloads everything whose contents depend on who is signed in: the
+ * notes grid, the shared-with-me list and the live update connection
+ */
+function refreshAfterAuthChange() {
+    fetchCurrentUser();
+    fetchNotes();
+    subscribeToNoteChanges();
+}
+
+// Account Operations
+
+/**
+ * Populates the "give notes to" dropdown with everyone but the current user
+ * @param {Array} users - Array of user objects
+ */
+function populateReassignOptions(users) {
+    const select = document.getElementById('reassignTo');
+    if (!select) return;
+    
+    select.innerHTML = '';
+    users
+        .filter(user => !currentUser || user.id !== currentUser.id)
+        .forEach(user => {
+            const option = document.createElement('option');
+            option.value = user.id;
+            option.textContent = `${user.username} (${user.email})`;
+            select.appendChild(option);
+        });
+}
+
+/**
+ * Saves changes to the signed-in user's username and email
  * @param {Event} event - Form submission event
  */
-async function createUser(event) {
+async function updateUser(event) {
     if (event) event.preventDefault();
+    if (!currentUser) return;
     
-    const form = document.getElementById('createUserForm');
-    if (!form) return;
+    const username = document.getElementById('profileUsername').value.trim();
+    const email = document.getElementById('profileEmail').value.trim();
     
-    const formData = new FormData(form);
-    const username = formData.get('username');
-    const email = formData.get('email');
-    const password = formData.get('password');
+    const input = {};
+    if (username && username !== currentUser.username) input.username = username;
+    if (email && email !== currentUser.email) input.email = email;
     
-    if (!username || !email || !password) {
-        showResponse('Please fill in all required fields', true);
+    if (Object.keys(input).length === 0) {
+        showResponse('Nothing to update', true);
         return;
     }
     
     const query = `
-        mutation CreateUser($input: CreateUserInput!) {
-            createUser(input: $input) {
+        mutation UpdateUser($id: ID!, $input: UpdateUserInput!) {
+            updateUser(id: $id, input: $input) {
                 id
                 username
                 email
-                createdAt
             }
         }
     `;
     
     try {
-        const { data } = await graphqlRequest(query, {
-            input: {
-                username,
-                email,
-                password
-            }
-        });
-        
-        if (data && data.createUser) {
-            showResponse('User created successfully!');
-            form.reset();
-            await fetchUsers();
+        const { data } = await graphqlRequest(query, { id: currentUser.id, input });
+        if (data && data.updateUser) {
+            clearFieldErrors('updateUserForm');
+            renderAuthStatus(data.updateUser);
+            showResponse('Profile updated successfully!');
+            fetchUsers();
+            fetchNotes();
         }
     } catch (error) {
-        console.error('Error creating user:', error);
+        console.error('Error updating profile:', error);
+        showFieldErrors('updateUserForm', {
+            username: 'profileUsername',
+            email: 'profileEmail'
+        }, error);
     }
 }
 
 /**
- * Fetches all notes from the server
- * @returns {Promise<Array>} - Array of note objects
+ * Changes the signed-in user's password
+ * @param {Event} event - Form submission event
  */
-async function fetchNotes() {
+async function changePassword(event) {
+    if (event) event.preventDefault();
+    
+    const oldPassword = document.getElementById('oldPassword').value;
+    const newPassword = document.getElementById('newPassword').value;
+    
+    if (!oldPassword || !newPassword) {
+        showResponse('Please fill in both password fields', true);
+        return;
+    }
+    
     const query = `
-        query GetNotes {
-            notes {
-                id
-                title
-                content
-                tags
-                author {
-                    id
-                    username
-                }
-                createdAt
-                updatedAt
-            }
+        mutation ChangePassword($oldPassword: String!, $newPassword: String!) {
+            changePassword(oldPassword: $oldPassword, newPassword: $newPassword)
         }
     `;
     
     try {
-        const { data } = await graphqlRequest(query);
-        if (data && data.notes) {
-            renderNotes(data.notes);
-            return data.notes;
+        const { data } = await graphqlRequest(query, { oldPassword, newPassword });
+        if (data && data.changePassword) {
+            clearFieldErrors('changePasswordForm');
+            document.getElementById('changePasswordForm').reset();
+            showResponse('Password changed successfully!');
         }
-        return [];
     } catch (error) {
-        console.error('Error fetching notes:', error);
-        renderNotes([]);
-        return [];
+        console.error('Error changing password:', error);
+        showFieldErrors('changePasswordForm', {
+            oldPassword: 'oldPassword',
+            newPassword: 'newPassword'
+        }, error);
     }
 }
 
 /**
- * Populates the author dropdown in the create note form
- * @param {Array} users - Array of user objects
+ * Deletes the signed-in user's account, deleting or handing over their notes
+ * @param {Event} event - Form submission event
  */
-function populateAuthorDropdown(users) {
-    const authorSelect = document.getElementById('noteAuthor');
-    if (!authorSelect) return;
+async function deleteUser(event) {
+    if (event) event.preventDefault();
+    if (!currentUser) return;
     
-    // Clear existing options except the first one
-    authorSelect.innerHTML = '<option value="" disabled selected>Select an author</option>';
+    const strategy = document.getElementById('deleteStrategy').value;
+    const reassignTo = strategy === 'REASSIGN'
+        ? document.getElementById('reassignTo').value
+        : null;
     
-    // Add users to the dropdown
-    users.forEach(user => {
-        const option = document.createElement('option');
-        option.value = user.id;
-        option.textContent = `${user.username} (${user.email})`;
-        authorSelect.appendChild(option);
-    });
+    if (strategy === 'REASSIGN' && !reassignTo) {
+        showResponse('Please choose who should receive your notes', true);
+        return;
+    }
+    
+    const warning = strategy === 'CASCADE'
+        ? 'Delete your account and all of your notes? This cannot be undone.'
+        : 'Delete your account and give your notes to the selected user?';
+    if (!confirm(warning)) {
+        return;
+    }
+    
+    const query = `
+        mutation DeleteUser($id: ID!, $strategy: DeleteUserStrategy!, $reassignTo: ID) {
+            deleteUser(id: $id, strategy: $strategy, reassignTo: $reassignTo)
+        }
+    `;
+    
+    try {
+        const { data } = await graphqlRequest(query, {
+            id: currentUser.id,
+            strategy,
+            reassignTo
+        });
+        if (data && data.deleteUser) {
+            setAuthToken(null);
+            renderAuthStatus(null);
+            showResponse('Your account has been deleted');
+            fetchUsers();
+            refreshAfterAuthChange();
+        }
+    } catch (error) {
+        console.error('Error deleting account:', error);
+        showFieldErrors('deleteUserForm', { reassignTo: 'reassignTo' }, error);
+    }
 }
 
+// Sharing Operations
+
 /**
- * Creates a new note
+ * Lists the notes other users have shared with the signed-in user
+ * @param {Array} notes - The user's sharedNotes
+ */
+function renderSharedNotes(notes) {
+    const list = document.getElementById('sharedNotesList');
+    if (!list) return;
+    
+    if (notes.length === 0) {
+        list.innerHTML = '<li class="text-muted">Nothing has been shared with you yet</li>';
+        return;
+    }
+    
+    list.innerHTML = notes.map(note => {
+        const entry = note.collaborators.find(collaborator => collaborator.user.id === currentUser.id);
+        return `
+            <li>
+                <div>
+                    <strong>${escapeHtml(note.title)}</strong>
+                    <br>
+                    <small class="text-muted">
+                        from ${note.author ? escapeHtml(note.author.username) : 'Unknown'}
+                        · ${entry ? entry.role.toLowerCase() : 'viewer'}
+                        · ${escapeHtml(note.id)}
+                    </small>
+                </div>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Populates the share form's user dropdown with everyone but the current user
+ * @param {Array} users - Array of user objects
+ */
+function populateShareOptions(users) {
+    const select = document.getElementById('shareUserId');
+    if (!select) return;
+    
+    select.innerHTML = '';
+    users
+        .filter(user => !currentUser || user.id !== currentUser.id)
+        .forEach(user => {
+            const option = document.createElement('option');
+            option.value = user.id;
+            option.textContent = `${user.username} (${user.email})`;
+            select.appendChild(option);
+        });
+}
+
+/**
+ * Shares a note with the selected user
  * @param {Event} event - Form submission event
  */
-async function createNote(event) {
-    console.log("enter");
+async function shareNote(event) {
     if (event) event.preventDefault();
     
-    const form = document.getElementById('createNoteForm');
-    if (!form) return;
-    
-    const formData = new FormData(form);
-    const authorId = formData.get('authorId');
-    const title = formData.get('noteTitle');
-    const content = formData.get('noteContent');
-    const tags = (formData.get('noteTags') || '').split(',').map(tag => tag.trim()).filter(Boolean);
+    const noteId = document.getElementById('shareNoteId').value.trim();
+    const userId = document.getElementById('shareUserId').value;
+    const role = document.getElementById('shareRole').value;
     
-    if (!authorId || !title || !content) {
-        showResponse('Please fill in all required fields', true);
+    if (!noteId || !userId) {
+        showResponse('Please enter a note ID and choose a user', true);
         return;
     }
     
     const query = `
-        mutation CreateNote($input: CreateNoteInput!) {
-            createNote(input: $input) {
+        mutation ShareNote($noteId: ID!, $userId: ID!, $role: CollaboratorRole!) {
+            shareNote(noteId: $noteId, userId: $userId, role: $role) {
                 id
-                title
-                content
-                tags
-                author {
-                    username
+                visibility
+                collaborators {
+                    user {
+                        username
+                    }
+                    role
                 }
-                createdAt
             }
         }
     `;
-
+    
     try {
-		console.log("enter");
-        const { createNote } = await graphqlRequest(query, {
-            input: { 
-                title, 
+        const { data } = await graphqlRequest(query, { noteId, userId, role });
+        const names = data.shareNote.collaborators
+            .map(collaborator => `${escapeHtml(collaborator.user.username)} (${collaborator.role.toLowerCase()})`)
+            .join(', ');
+        showResponse(`Note shared with ${names}`);
+        fetchNotes();
+    } catch (error) {
+        console.error('Error sharing note:', error);
+    }
+}
+
+/**
+ * Stops sharing a note with the selected user
+ */
+async function unshareNote() {
+    const noteId = document.getElementById('shareNoteId').value.trim();
+    const userId = document.getElementById('shareUserId').value;
+    
+    if (!noteId || !userId) {
+        showResponse('Please enter a note ID and choose a user', true);
+        return;
+    }
+    
+    const query = `
+        mutation UnshareNote($noteId: ID!, $userId: ID!) {
+            unshareNote(noteId: $noteId, userId: $userId) {
+                id
+                collaborators {
+                    user {
+                        id
+                    }
+                }
+            }
+        }
+    `;
+    
+    try {
+        await graphqlRequest(query, { noteId, userId });
+        showResponse('Note is no longer shared with that user');
+        fetchNotes();
+    } catch (error) {
+        console.error('Error unsharing note:', error);
+    }
+}
+
+/**
+ * Changes who can read the note entered in the share form
+ * @param {Event} event - Form submission event
+ */
+async function setNoteVisibility(event) {
+    if (event) event.preventDefault();
+    
+    const id = document.getElementById('shareNoteId').value.trim();
+    const visibility = document.getElementById('visibilityValue').value;
+    
+    if (!id) {
+        showResponse('Please enter a note ID', true);
+        return;
+    }
+    
+    const query = `
+        mutation SetNoteVisibility($id: ID!, $visibility: NoteVisibility!) {
+            setNoteVisibility(id: $id, visibility: $visibility) {
+                id
+                visibility
+            }
+        }
+    `;
+    
+    try {
+        const { data } = await graphqlRequest(query, { id, visibility });
+        showResponse(`Note is now ${data.setNoteVisibility.visibility.toLowerCase()}`);
+        fetchNotes();
+    } catch (error) {
+        console.error('Error changing visibility:', error);
+    }
+}
+
+// User Operations
+
+/**
+ * Updates the count label and "Load more" button under a grid
+ * @param {string} prefix - 'users' or 'notes'
+ * @param {Object} connection - The connection returned by the server
+ * @param {number} loaded - How many items are currently shown
+ */
+function renderPageControls(prefix, connection, loaded) {
+    const count = document.getElementById(`${prefix}Count`);
+    const loadMore = document.getElementById(`${prefix}LoadMore`);
+    if (count) {
+        count.textContent = `Showing ${loaded} of ${connection.totalCount}`;
+    }
+    if (loadMore) {
+        loadMore.style.display = connection.pageInfo.hasNextPage ? 'inline-flex' : 'none';
+    }
+}
+
+/**
+ * Fetches a page of users from the server
+ * @param {string|null} after - Cursor to continue from, or null for the first page
+ * @returns {Promise<Array>} - Array of loaded user objects
+ */
+async function fetchUsers(after = null) {
+    const query = `
+        query GetUsers($first: Int!, $after: String) {
+            usersConnection(first: $first, after: $after) {
+                totalCount
+                pageInfo {
+                    hasNextPage
+                    endCursor
+                }
+                edges {
+                    node {
+                        id
+                        username
+                        email
+                        notesConnection(first: 0) {
+                            totalCount
+                        }
+                        createdAt
+                    }
+                }
+            }
+        }
+    `;
+    
+    try {
+        const { data } = await graphqlRequest(query, { first: PAGE_SIZE, after });
+        if (data && data.usersConnection) {
+            const connection = data.usersConnection;
+            const users = connection.edges.map(edge => edge.node);
+            usersCache = after ? usersCache.concat(users) : users;
+            usersPageInfo = connection.pageInfo;
+            renderUsers(usersCache);
+            populateAuthorFilter(usersCache);
+            populateReassignOptions(usersCache);
+            populateShareOptions(usersCache);
+            renderPageControls('users', connection, usersCache.length);
+            return usersCache;
+        }
+        return [];
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        renderUsers([]);
+        return [];
+    }
+}
+
+/**
+ * Populates the author filter in the search form
+ * @param {Array} users - Array of user objects
+ */
+function populateAuthorFilter(users) {
+    const authorSelect = document.getElementById('searchAuthor');
+    if (!authorSelect) return;
+    
+    const selected = authorSelect.value;
+    authorSelect.innerHTML = '<option value="">Any author</option>';
+    users.forEach(user => {
+        const option = document.createElement('option');
+        option.value = user.id;
+        option.textContent = user.username;
+        authorSelect.appendChild(option);
+    });
+    authorSelect.value = selected;
+}
+
+/**
+ * Loads the next page of users into the grid
+ */
+function loadMoreUsers() {
+    if (usersPageInfo && usersPageInfo.hasNextPage) {
+        fetchUsers(usersPageInfo.endCursor);
+    }
+}
+
+/**
+ * Creates a new user
+ * @param {Event} event - Form submission event
+ */
+async function createUser(event) {
+    if (event) event.preventDefault();
+    
+    const form = document.getElementById('createUserForm');
+    if (!form) return;
+    
+    const formData = new FormData(form);
+    const username = formData.get('username');
+    const email = formData.get('email');
+    const password = formData.get('password');
+    
+    if (!username || !email || !password) {
+        showResponse('Please fill in all required fields', true);
+        return;
+    }
+    
+    const query = `
+        mutation CreateUser($input: CreateUserInput!) {
+            createUser(input: $input) {
+                id
+                username
+                email
+                createdAt
+            }
+        }
+    `;
+    
+    try {
+        const { data } = await graphqlRequest(query, {
+            input: {
+                username,
+                email,
+                password
+            }
+        });
+        
+        if (data && data.createUser) {
+            clearFieldErrors('createUserForm');
+            showResponse('User created successfully!');
+            form.reset();
+            await fetchUsers();
+        }
+    } catch (error) {
+        console.error('Error creating user:', error);
+        showFieldErrors('createUserForm', {
+            username: 'username',
+            email: 'email',
+            password: 'password'
+        }, error);
+    }
+}
+
+/**
+ * Fetches a page of notes from the server
+ * @param {string|null} after - Cursor to continue from, or null for the first page
+ * @returns {Promise<Array>} - Array of loaded note objects
+ */
+async function fetchNotes(after = null) {
+    const query = `
+        query GetNotes($first: Int!, $after: String) {
+            notesConnection(first: $first, after: $after) {
+                totalCount
+                pageInfo {
+                    hasNextPage
+                    endCursor
+                }
+                edges {
+                    node {
+                        id
+                        title
+                        content
+                        contentHtml
+                        attachments {
+                            id
+                            filename
+                            mimeType
+                            size
+                            url
+                        }
+                        tags
+                        version
+                        visibility
+                        author {
+                            id
+                            username
+                        }
+                        createdAt
+                        updatedAt
+                    }
+                }
+            }
+        }
+    `;
+    
+    try {
+        const { data } = await graphqlRequest(query, { first: PAGE_SIZE, after });
+        activeSearch = null;
+        if (data && data.notesConnection) {
+            const connection = data.notesConnection;
+            const notes = connection.edges.map(edge => edge.node);
+            notesCache = after ? notesCache.concat(notes) : notes;
+            notesPageInfo = connection.pageInfo;
+            renderNotes(notesCache);
+            renderPageControls('notes', connection, notesCache.length);
+            return notesCache;
+        }
+        return [];
+    } catch (error) {
+        console.error('Error fetching notes:', error);
+        renderNotes([]);
+        return [];
+    }
+}
+
+/**
+ * Loads the next page of notes into the grid
+ */
+function loadMoreNotes() {
+    if (!notesPageInfo || !notesPageInfo.hasNextPage) return;
+    if (activeSearch) {
+        runSearch(activeSearch, notesPageInfo.endCursor);
+    } else {
+        fetchNotes(notesPageInfo.endCursor);
+    }
+}
+
+/**
+ * Creates a new note
+ * @param {Event} event - Form submission event
+ */
+async function createNote(event) {
+    console.log("enter");
+    if (event) event.preventDefault();
+    
+    const form = document.getElementById('createNoteForm');
+    if (!form) return;
+    
+    if (!getAuthToken()) {
+        showResponse('Please sign in to create notes', true);
+        return;
+    }
+    
+    const title = document.getElementById('noteTitle').value.trim();
+    const content = document.getElementById('noteContent').value.trim();
+    const tags = document.getElementById('noteTags').value.split(',').map(tag => tag.trim()).filter(Boolean);
+    const visibility = document.getElementById('noteVisibility').value;
+    
+    if (!title || !content) {
+        showResponse('Please fill in all required fields', true);
+        return;
+    }
+    
+    const query = `
+        mutation CreateNote($input: CreateNoteInput!) {
+            createNote(input: $input) {
+                id
+                title
+                content
+                tags
+                author {
+                    username
+                }
+                createdAt
+            }
+        }
+    `;
+
+    try {
+		console.log("enter");
+        const { createNote } = await graphqlRequest(query, {
+            input: { 
+                title, 
                 content, 
-                tags: tags.length > 0 ? tags : undefined,
-                authorId 
+                tags,
+                visibility
+            }
+        });
+        
+        clearFieldErrors('createNoteForm');
+        showResponse('Note created successfully! 📝');
+        
+        // Reset form
+        const form = document.getElementById('createNoteForm');
+        if (form) form.reset();
+        
+        // Refresh notes grid
+        await fetchNotes();
+        
+    } catch (error) {
+        console.error('Error creating note:', error);
+        // Error is already shown by graphqlRequest
+        showFieldErrors('createNoteForm', {
+            title: 'noteTitle',
+            content: 'noteContent',
+            tags: 'noteTags'
+        }, error);
+    }
+}
+
+// Tag Autocomplete
+
+// Milliseconds to wait after typing before asking for suggestions
+const AUTOCOMPLETE_DELAY = 200;
+const AUTOCOMPLETE_LIMIT = 8;
+
+/**
+ * Fetches the most used tags starting with a prefix
+ * @param {string} prefix - What has been typed so far
+ * @returns {Promise<Array>} - [{ name, count }]
+ */
+async function fetchTagSuggestions(prefix) {
+    const query = `
+        query TagSuggestions($prefix: String, $first: Int) {
+            tags(prefix: $prefix, first: $first) {
+                name
+                count
+            }
+        }
+    `;
+    
+    try {
+        // Suggestions are best effort, so failures stay quiet
+        const { data } = await graphqlRequest(query, { prefix, first: AUTOCOMPLETE_LIMIT }, { showError: false });
+        return data.tags;
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Adds tag autocomplete to a comma-separated tag input. Suggestions are
+ * for the tag after the last comma, and exclude tags already entered.
+ * @param {string} inputId - ID of the tag input
+ * @param {string} listId - ID of the suggestions list
+ */
+function setupTagAutocomplete(inputId, listId) {
+    const input = document.getElementById(inputId);
+    const list = document.getElementById(listId);
+    if (!input || !list) return;
+    
+    let timer = null;
+    let activeIndex = -1;
+    
+    const close = () => {
+        list.classList.remove('open');
+        list.innerHTML = '';
+        activeIndex = -1;
+    };
+    
+    const choose = (name) => {
+        const parts = input.value.split(',');
+        parts[parts.length - 1] = ` ${name}`;
+        input.value = `${parts.join(',').trim()}, `;
+        close();
+        input.focus();
+    };
+    
+    const highlight = (index) => {
+        const items = list.querySelectorAll('li');
+        items.forEach((item, i) => item.classList.toggle('active', i === index));
+        activeIndex = index;
+    };
+    
+    const suggest = async () => {
+        const parts = input.value.split(',');
+        const prefix = parts[parts.length - 1].trim().toLowerCase();
+        if (!prefix) {
+            close();
+            return;
+        }
+        
+        const entered = parts.slice(0, -1).map(tag => tag.trim().toLowerCase());
+        const tags = (await fetchTagSuggestions(prefix))
+            .filter(tag => !entered.includes(tag.name));
+        
+        // Ignore the answer if the input changed while waiting for it
+        if (input.value.split(',').pop().trim().toLowerCase() !== prefix) return;
+        if (tags.length === 0) {
+            close();
+            return;
+        }
+        
+        list.innerHTML = tags.map(tag => `
+            <li role="option" data-tag="${escapeHtml(tag.name)}">
+                <span>${escapeHtml(tag.name)}</span>
+                <span class="autocomplete-count">${tag.count}</span>
+            </li>
+        `).join('');
+        list.classList.add('open');
+        activeIndex = -1;
+    };
+    
+    input.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(suggest, AUTOCOMPLETE_DELAY);
+    });
+    
+    input.addEventListener('keydown', (event) => {
+        const items = list.querySelectorAll('li');
+        if (!list.classList.contains('open') || items.length === 0) return;
+        
+        if (event.key === 'ArrowDown') {
+            event.preventDefault();
+            highlight((activeIndex + 1) % items.length);
+        } else if (event.key === 'ArrowUp') {
+            event.preventDefault();
+            highlight((activeIndex - 1 + items.length) % items.length);
+        } else if (event.key === 'Enter' && activeIndex >= 0) {
+            // Pick the suggestion instead of submitting the form
+            event.preventDefault();
+            choose(items[activeIndex].dataset.tag);
+        } else if (event.key === 'Escape') {
+            close();
+        }
+    });
+    
+    // mousedown fires before the input loses focus
+    list.addEventListener('mousedown', (event) => {
+        const item = event.target.closest('li');
+        if (!item) return;
+        event.preventDefault();
+        choose(item.dataset.tag);
+    });
+    
+    input.addEventListener('blur', close);
+}
+
+// Attachments
+
+/**
+ * Renders a note's attachments as a list of download links
+ * @param {Object} note - A note with its `attachments`
+ * @returns {string} - HTML, empty when there are none
+ */
+function renderAttachments(note) {
+    if (!note.attachments?.length) return '';
+    note.attachments.forEach(attachment => attachmentsById.set(attachment.id, attachment));
+    
+    return `
+        <ul class="attachment-list">
+            ${note.attachments.map(attachment => `
+                <li>
+                    <a href="#" onclick="event.preventDefault(); downloadAttachment('${escapeHtml(attachment.id)}')">
+                        <i class="fas fa-paperclip"></i>
+                        ${escapeHtml(attachment.filename)}
+                    </a>
+                    <small class="text-muted">${formatFileSize(attachment.size)}</small>
+                    ${currentUser ? `
+                        <button type="button" class="btn btn-sm" title="Remove attachment"
+                                onclick="removeAttachment('${escapeHtml(attachment.id)}')">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    ` : ''}
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+/**
+ * Uploads the file picked in a card's file input and attaches it to the note
+ * @param {string} noteId - ID of the note
+ * @param {HTMLInputElement} input - The file input
+ */
+async function attachFile(noteId, input) {
+    const file = input.files[0];
+    if (!file) return;
+    
+    const query = `
+        mutation AttachFile($noteId: ID!, $file: Upload!) {
+            attachFile(noteId: $noteId, file: $file) {
+                id
+                filename
+                size
+            }
+        }
+    `;
+    
+    try {
+        const { data } = await graphqlRequest(query, { noteId }, { files: { file } });
+        const attachment = data.attachFile;
+        showResponse(`Attached "${escapeHtml(attachment.filename)}" (${formatFileSize(attachment.size)})`);
+        fetchNotes();
+    } catch (error) {
+        console.error('Error attaching file:', error);
+    } finally {
+        input.value = '';
+    }
+}
+
+/**
+ * Removes an attachment from its note
+ * @param {string} id - ID of the attachment
+ */
+async function removeAttachment(id) {
+    if (!confirm('Remove this attachment?')) {
+        return;
+    }
+    
+    const query = `
+        mutation RemoveAttachment($id: ID!) {
+            removeAttachment(id: $id)
+        }
+    `;
+    
+    try {
+        const { data } = await graphqlRequest(query, { id });
+        if (data && data.removeAttachment) {
+            showResponse('Attachment removed');
+            fetchNotes();
+        }
+    } catch (error) {
+        console.error('Error removing attachment:', error);
+    }
+}
+
+/**
+ * Downloads an attachment. The download route needs the same
+ * Authorization header as the API, so a plain link won't do.
+ * @param {string} id - ID of an attachment rendered by renderAttachments
+ */
+async function downloadAttachment(id) {
+    const { url, filename } = attachmentsById.get(id);
+    const headers = {};
+    const token = getAuthToken();
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    
+    try {
+        const response = await fetch(new URL(url, API_URL), { headers });
+        if (!response.ok) {
+            throw new Error(response.status === 404 ? 'Attachment not found' : `Server responded with status ${response.status}`);
+        }
+        
+        const objectUrl = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = objectUrl;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(objectUrl);
+    } catch (error) {
+        console.error('Error downloading attachment:', error);
+        showResponse(error, true);
+    }
+}
+
+// Note Detail
+
+/**
+ * Opens a note in the detail view, with its rendered Markdown and an
+ * outline of its headings
+ * @param {string} noteId - ID of the note
+ */
+async function openNoteDetail(noteId) {
+    const query = `
+        query NoteDetail($id: ID!) {
+            note(id: $id) {
+                id
+                title
+                contentHtml
+                attachments {
+                    id
+                    filename
+                    mimeType
+                    size
+                    url
+                }
+                headings {
+                    level
+                    text
+                    slug
+                }
+                tags
+                version
+                visibility
+                author {
+                    username
+                }
+                createdAt
+                updatedAt
+            }
+        }
+    `;
+    
+    try {
+        const { data } = await graphqlRequest(query, { id: noteId });
+        renderNoteDetail(data.note);
+        document.getElementById('noteModal').hidden = false;
+    } catch (error) {
+        console.error('Error loading note:', error);
+    }
+}
+
+/**
+ * Fills the detail view with a note
+ * @param {Object} note - The note returned by the NoteDetail query
+ */
+function renderNoteDetail(note) {
+    document.getElementById('noteModalTitle').textContent = note.title;
+    document.getElementById('noteModalMeta').innerHTML = `
+        <i class="fas fa-user"></i> ${note.author ? escapeHtml(note.author.username) : 'Unknown'}
+        · <i class="far fa-calendar-alt"></i> ${formatDate(note.updatedAt)}
+        · v${note.version}
+        · <i class="fas ${VISIBILITY_ICONS[note.visibility]}"></i> ${note.visibility.toLowerCase()}
+        ${note.tags.length > 0 ? `· ${note.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join(' ')}` : ''}
+    `;
+    
+    // Headings link to the ids the server gave them in contentHtml
+    const outline = document.getElementById('noteModalOutline');
+    outline.hidden = note.headings.length === 0;
+    outline.innerHTML = note.headings.map(heading => `
+        <li class="outline-level-${heading.level}">
+            <a href="#${encodeURIComponent(heading.slug)}">${escapeHtml(heading.text)}</a>
+        </li>
+    `).join('');
+    
+    // contentHtml is sanitized on the server
+    document.getElementById('noteModalBody').innerHTML = note.contentHtml;
+    document.getElementById('noteModalAttachments').innerHTML = renderAttachments(note);
+}
+
+/**
+ * Closes the detail view
+ */
+function closeNoteDetail() {
+    document.getElementById('noteModal').hidden = true;
+}
+
+// Note History
+
+// The note whose history is open, with its revisions (newest first)
+let historyNote = null;
+
+/**
+ * Opens the history viewer for a note
+ * @param {string} noteId - ID of the note
+ */
+async function openNoteHistory(noteId) {
+    const query = `
+        query NoteHistory($id: ID!) {
+            note(id: $id) {
+                id
+                title
+                version
+                revisions {
+                    version
+                    title
+                    tags
+                    editor {
+                        username
+                    }
+                    createdAt
+                }
             }
-        });
-        
-        showResponse('Note created successfully! 📝');
-        
-        // Reset form
-        const form = document.getElementById('createNoteForm');
-        if (form) form.reset();
-        
-        // Refresh notes grid
-        await fetchNotes();
+        }
+    `;
+    
+    try {
+        const { data } = await graphqlRequest(query, { id: noteId });
+        historyNote = data.note;
+        renderNoteHistory();
+        document.getElementById('historyModal').hidden = false;
         
+        // Start by showing what the latest change did
+        if (historyNote.revisions.length >= 2) {
+            compareNoteRevisions();
+        }
     } catch (error) {
-        console.error('Error creating note:', error);
-        // Error is already shown by graphqlRequest
+        console.error('Error loading note history:', error);
+    }
+}
+
+/**
+ * Closes the history viewer
+ */
+function closeNoteHistory() {
+    historyNote = null;
+    document.getElementById('historyModal').hidden = true;
+}
+
+/**
+ * Renders the open note's revisions and fills the compare dropdowns
+ */
+function renderNoteHistory() {
+    const { title, version, revisions } = historyNote;
+    document.getElementById('historyTitle').innerHTML = `
+        <i class="fas fa-history"></i> History of "${escapeHtml(title)}"
+    `;
+    document.getElementById('historyDiff').innerHTML = '';
+    
+    const list = document.getElementById('historyList');
+    if (revisions.length === 0) {
+        list.innerHTML = '<li class="text-muted">No history recorded for this note</li>';
+    } else {
+        list.innerHTML = revisions.map(revision => `
+            <li>
+                <div>
+                    <strong>v${revision.version}</strong> · ${escapeHtml(revision.title)}
+                    <br>
+                    <small class="text-muted">
+                        ${revision.editor ? escapeHtml(revision.editor.username) : 'Deleted user'}
+                        · ${formatDate(revision.createdAt)}
+                    </small>
+                </div>
+                ${revision.version === version ? `
+                    <small class="text-muted">Current</small>
+                ` : `
+                    <button type="button" class="btn btn-sm" onclick="restoreNoteRevision(${revision.version})">
+                        <i class="fas fa-undo"></i> Restore
+                    </button>
+                `}
+            </li>
+        `).join('');
+    }
+    
+    const options = revisions
+        .map(revision => `<option value="${revision.version}">v${revision.version}</option>`)
+        .join('');
+    const from = document.getElementById('historyFrom');
+    const to = document.getElementById('historyTo');
+    from.innerHTML = options;
+    to.innerHTML = options;
+    if (revisions.length >= 2) {
+        from.value = revisions[1].version;
+        to.value = revisions[0].version;
+    }
+}
+
+/**
+ * Shows the diff between the two versions picked in the history viewer
+ */
+async function compareNoteRevisions() {
+    if (!historyNote) return;
+    
+    const from = Number(document.getElementById('historyFrom').value);
+    const to = Number(document.getElementById('historyTo').value);
+    if (Number.isNaN(from) || Number.isNaN(to)) return;
+    
+    const query = `
+        query NoteRevisionDiff($noteId: ID!, $from: Int!, $to: Int!) {
+            noteRevisionDiff(noteId: $noteId, from: $from, to: $to) {
+                from {
+                    title
+                }
+                to {
+                    title
+                }
+                titleChanged
+                addedTags
+                removedTags
+                additions
+                deletions
+                lines {
+                    type
+                    text
+                }
+            }
+        }
+    `;
+    
+    try {
+        const { data } = await graphqlRequest(query, { noteId: historyNote.id, from, to });
+        renderRevisionDiff(data.noteRevisionDiff);
+    } catch (error) {
+        console.error('Error comparing revisions:', error);
+    }
+}
+
+/**
+ * Renders a NoteRevisionDiff in the history viewer
+ * @param {Object} diff - The diff returned by the server
+ */
+function renderRevisionDiff(diff) {
+    const markers = { ADDED: '+', REMOVED: '-', UNCHANGED: ' ' };
+    const changes = [
+        `<span class="diff-added">+${diff.additions}</span> <span class="diff-removed">-${diff.deletions}</span> lines`
+    ];
+    if (diff.titleChanged) {
+        changes.push(`title "${escapeHtml(diff.from.title)}" → "${escapeHtml(diff.to.title)}"`);
+    }
+    if (diff.addedTags.length > 0) {
+        changes.push(`added tags: ${diff.addedTags.map(escapeHtml).join(', ')}`);
+    }
+    if (diff.removedTags.length > 0) {
+        changes.push(`removed tags: ${diff.removedTags.map(escapeHtml).join(', ')}`);
+    }
+    
+    document.getElementById('historyDiff').innerHTML = `
+        <div class="diff-summary">${changes.join(' · ')}</div>
+        <pre class="diff-lines">${diff.lines.map(line => `<span class="diff-line diff-${line.type.toLowerCase()}">${markers[line.type]} ${escapeHtml(line.text)}</span>`).join('')}</pre>
+    `;
+}
+
+/**
+ * Restores an earlier version of the open note as a new version
+ * @param {number} version - The version to bring back
+ */
+async function restoreNoteRevision(version) {
+    if (!historyNote) return;
+    if (!confirm(`Restore version ${version}? This is saved as a new version.`)) {
+        return;
+    }
+    
+    const query = `
+        mutation RestoreNoteRevision($id: ID!, $version: Int!, $expectedVersion: Int) {
+            restoreNoteRevision(id: $id, version: $version, expectedVersion: $expectedVersion) {
+                id
+                title
+                content
+                contentHtml
+                attachments {
+                    id
+                    filename
+                    mimeType
+                    size
+                    url
+                }
+                tags
+                version
+                visibility
+                author {
+                    id
+                    username
+                }
+                createdAt
+                updatedAt
+            }
+        }
+    `;
+    
+    try {
+        const { data } = await graphqlRequest(query, {
+            id: historyNote.id,
+            version,
+            expectedVersion: historyNote.version
+        });
+        const note = data.restoreNoteRevision;
+        showResponse(`Restored version ${version} as version ${note.version}`);
+        applyNoteChange('updated', note);
+        openNoteHistory(note.id);
+    } catch (error) {
+        console.error('Error restoring revision:', error);
     }
 }
 
+// Live Updates
+
+/**
+ * Applies a live note change to the notes grid. Search results are left
+ * alone since a change may move a note in or out of the result set.
+ * @param {string} type - 'created', 'updated' or 'deleted'
+ * @param {Object|string} payload - The note, or its ID for deletions
+ */
+function applyNoteChange(type, payload) {
+    if (activeSearch) return;
+    
+    if (type === 'created') {
+        if (notesCache.some(note => note.id === payload.id)) return;
+        notesCache = notesCache.concat(payload);
+    } else if (type === 'updated') {
+        notesCache = notesCache.map(note => note.id === payload.id ? payload : note);
+    } else if (type === 'deleted') {
+        notesCache = notesCache.filter(note => note.id !== payload);
+    }
+    renderNotes(notesCache);
+}
+
+// The open graphql-ws client, replaced whenever the signed-in user changes
+let noteSubscriptionClient = null;
+
+/**
+ * Opens a graphql-ws connection and keeps the notes grid in sync with
+ * changes to notes the signed-in user can see. Call again after signing
+ * in or out to reconnect with the new token.
+ */
+function subscribeToNoteChanges() {
+    if (typeof graphqlWs === 'undefined') {
+        console.warn('graphql-ws client not loaded; live updates disabled');
+        return;
+    }
+    
+    if (noteSubscriptionClient) {
+        noteSubscriptionClient.dispose();
+    }
+    const client = graphqlWs.createClient({
+        url: WS_URL,
+        connectionParams: () => {
+            const token = getAuthToken();
+            return token ? { authorization: `Bearer ${token}` } : {};
+        },
+    });
+    
+    const noteFields = `
+        id
+        title
+        content
+        contentHtml
+        attachments {
+            id
+            filename
+            mimeType
+            size
+            url
+        }
+        tags
+        version
+        visibility
+        author {
+            id
+            username
+        }
+        createdAt
+        updatedAt
+    `;
+    const subscriptions = {
+        created: `subscription OnNoteCreated { noteCreated { ${noteFields} } }`,
+        updated: `subscription OnNoteUpdated { noteUpdated { ${noteFields} } }`,
+        deleted: `subscription OnNoteDeleted { noteDeleted }`,
+    };
+    
+    noteSubscriptionClient = client;
+    
+    Object.entries(subscriptions).forEach(([type, query]) => {
+        client.subscribe({ query }, {
+            next: ({ data }) => {
+                if (data) applyNoteChange(type, Object.values(data)[0]);
+            },
+            error: (error) => console.error(`Note ${type} subscription error:`, error),
+            complete: () => {},
+        });
+    });
+}
+
 // Initialize the app when the DOM is fully loaded
 document.addEventListener('DOMContentLoaded', function() {
     // Set up form submissions
     const forms = {
+        'loginForm': login,
+        'updateUserForm': updateUser,
+        'changePasswordForm': changePassword,
+        'deleteUserForm': deleteUser,
+        'shareNoteForm': shareNote,
+        'visibilityForm': setNoteVisibility,
         'createUserForm': createUser,
         'createNoteForm': createNote,
         'updateNoteForm': updateNote,
         'deleteNoteForm': deleteNote,
-        'searchForm': searchByTag
+        'searchForm': searchNotes
     };
     
     // Add event listeners to all forms
@@ -509,6 +1952,23 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     });
     
+    setupTagAutocomplete('noteTags', 'noteTagsSuggestions');
+    
+    document.addEventListener('keydown', (event) => {
+        if (event.key !== 'Escape') return;
+        if (historyNote) closeNoteHistory();
+        closeNoteDetail();
+    });
+    
+    // Only ask who gets the notes when they are being handed over
+    const deleteStrategy = document.getElementById('deleteStrategy');
+    if (deleteStrategy) {
+        deleteStrategy.addEventListener('change', () => {
+            document.getElementById('reassignToGroup').style.display =
+                deleteStrategy.value === 'REASSIGN' ? 'block' : 'none';
+        });
+    }
+    
     // Set up refresh buttons
     document.querySelectorAll('.refresh-btn').forEach(btn => {
         const gridId = btn.closest('.grid-section').querySelector('.grid-container').id;
@@ -519,39 +1979,110 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     });
     
-    // Load initial data and populate author dropdown
-    fetchUsers().then(users => {
-        if (users && users.length > 0) {
-            usersCache = users;
-            populateAuthorDropdown(usersCache);
-        }
-    });
+    // Load initial data
+    fetchUsers();
     fetchNotes();
+    fetchCurrentUser();
+    subscribeToNoteChanges();
 });
 
 /**
- * Search for notes by tag
- * @param {string} tag - The tag to search for
+ * Runs a full-text search with the filters from the search form
+ * @param {Event} event - Form submission event
  */
-async function searchByTag(event) {
+async function searchNotes(event) {
     if (event) event.preventDefault();
     
-    const tagInput = document.getElementById('searchTag');
-    if (!tagInput) return;
+    const text = document.getElementById('searchQuery').value.trim();
+    const tagsAll = parseTagList(document.getElementById('searchTags').value);
+    const tagsAny = parseTagList(document.getElementById('searchTagsAny').value);
+    const tagsNone = parseTagList(document.getElementById('searchTagsNone').value);
+    const titlePrefix = document.getElementById('searchTitlePrefix').value.trim();
+    const authorId = document.getElementById('searchAuthor').value;
+    const created = readDateRange('searchCreatedAfter', 'searchCreatedBefore');
+    const updated = readDateRange('searchUpdatedAfter', 'searchUpdatedBefore');
     
-    const tag = tagInput.value.trim();
-    if (!tag) {
-        showResponse('Please enter a tag to search', true);
+    // Without search text, filter and sort with the notes query instead
+    if (!text) {
+        const filter = {};
+        if (tagsAll.length > 0) filter.tagsAll = tagsAll;
+        if (tagsAny.length > 0) filter.tagsAny = tagsAny;
+        if (tagsNone.length > 0) filter.tagsNone = tagsNone;
+        if (titlePrefix) filter.titlePrefix = titlePrefix;
+        if (authorId) filter.authorId = authorId;
+        if (created) filter.createdAt = created;
+        if (updated) filter.updatedAt = updated;
+        
+        const orderBy = [{
+            field: document.getElementById('searchSortField').value,
+            direction: document.getElementById('searchSortDirection').value
+        }];
+        
+        const notes = await filterNotes(filter, orderBy);
+        if (notes) {
+            showResponse(`Found ${notes.length} note(s) matching the filters`);
+        }
         return;
     }
     
+    // Full-text search supports only a subset of the filters
+    const ignored = tagsAny.length > 0 || tagsNone.length > 0 || Boolean(titlePrefix) || Boolean(updated);
+    
+    const filter = {};
+    if (tagsAll.length > 0) filter.tags = tagsAll;
+    if (authorId) filter.authorId = authorId;
+    if (created && created.from) filter.createdAfter = created.from;
+    if (created && created.to) filter.createdBefore = created.to;
+    
+    const notes = await runSearch({ query: text, filter });
+    if (notes) {
+        const note = ignored ? ' (any/without tags, title and updated filters only apply without search text)' : '';
+        showResponse(`Found ${notesPageInfo.totalCount} note(s) matching "${escapeHtml(text)}"${note}`);
+    }
+}
+
+/**
+ * Reads a pair of date inputs as an inclusive DateRange
+ * @param {string} fromId - ID of the start date input
+ * @param {string} toId - ID of the end date input
+ * @returns {Object|null} - { from, to } as ISO strings, or null if both are empty
+ */
+function readDateRange(fromId, toId) {
+    const from = document.getElementById(fromId).value;
+    const to = document.getElementById(toId).value;
+    if (!from && !to) return null;
+    
+    const range = {};
+    if (from) range.from = new Date(from).toISOString();
+    // Include the whole end day
+    if (to) range.to = new Date(`${to}T23:59:59.999`).toISOString();
+    return range;
+}
+
+/**
+ * Loads every note matching a NoteFilter into the notes grid
+ * @param {Object} filter - The NoteFilter input
+ * @param {Array<Object>} orderBy - NoteOrder inputs
+ * @returns {Promise<Array|null>} - The notes shown, or null on error
+ */
+async function filterNotes(filter, orderBy) {
     const query = `
-        query SearchByTag($tag: String!) {
-            notesByTag(tag: $tag) {
+        query FilterNotes($filter: NoteFilter, $orderBy: [NoteOrder!]) {
+            notes(filter: $filter, orderBy: $orderBy) {
                 id
                 title
                 content
+                contentHtml
+                attachments {
+                    id
+                    filename
+                    mimeType
+                    size
+                    url
+                }
                 tags
+                version
+                visibility
                 author {
                     id
                     username
@@ -561,49 +2092,144 @@ async function searchByTag(event) {
             }
         }
     `;
-
+    
     try {
-        const { data } = await graphqlRequest(query, { tag });
-        if (data && data.notesByTag) {
-            if (data.notesByTag.length === 0) {
-                notesGrid.innerHTML = '<p>No notes found with tag: ' + tag + '</p>';
-            } else {
-                renderNotes(data.notesByTag);
-                showResponse('Found ' + data.notesByTag.length + ' note(s) with tag: ' + tag);
+        const { data } = await graphqlRequest(query, { filter, orderBy });
+        
+        // Results aren't paginated, so there is never more to load
+        activeSearch = { filter, orderBy };
+        notesCache = data.notes;
+        notesPageInfo = { hasNextPage: false, endCursor: null, totalCount: notesCache.length };
+        renderNotes(notesCache);
+        renderPageControls('notes', { pageInfo: notesPageInfo, totalCount: notesCache.length }, notesCache.length);
+        return notesCache;
+    } catch (error) {
+        console.error('Error filtering notes:', error);
+        return null;
+    }
+}
+
+/**
+ * Fetches a page of search results into the notes grid
+ * @param {Object} search - { query, filter }
+ * @param {string|null} after - Cursor to continue from
+ * @returns {Promise<Array|null>} - The notes shown, or null on error
+ */
+async function runSearch(search, after = null) {
+    const query = `
+        query SearchNotes($query: String!, $filter: NoteSearchFilter, $first: Int, $after: String) {
+            searchNotes(query: $query, filter: $filter, first: $first, after: $after) {
+                totalCount
+                pageInfo {
+                    hasNextPage
+                    endCursor
+                }
+                edges {
+                    score
+                    highlightedTitle
+                    snippet
+                    node {
+                        id
+                        title
+                        content
+                        contentHtml
+                        attachments {
+                            id
+                            filename
+                            mimeType
+                            size
+                            url
+                        }
+                        tags
+                        version
+                        visibility
+                        author {
+                            id
+                            username
+                        }
+                        createdAt
+                        updatedAt
+                    }
+                }
             }
         }
+    `;
+
+    try {
+        const { data } = await graphqlRequest(query, {
+            ...search,
+            first: PAGE_SIZE,
+            after
+        });
+        const connection = data.searchNotes;
+        const notes = connection.edges.map(edge => ({
+            ...edge.node,
+            highlightedTitle: edge.highlightedTitle,
+            snippet: edge.snippet
+        }));
+        
+        activeSearch = search;
+        notesCache = after ? notesCache.concat(notes) : notes;
+        notesPageInfo = { ...connection.pageInfo, totalCount: connection.totalCount };
+        renderNotes(notesCache);
+        renderPageControls('notes', connection, notesCache.length);
+        return notesCache;
     } catch (error) {
-        console.error('Error searching by tag:', error);
-        notesGrid.innerHTML = '<p style="color: red">Error searching notes. Please try again.</p>';
-        showResponse('Error: ' + error.message, true);
+        console.error('Error searching notes:', error);
+        return null;
     }
 }
 
-async function updateNote() {
+/**
+ * Splits a comma-separated tag list
+ * @param {string} value - Raw input value
+ * @returns {Array<string>} - Trimmed, non-empty tags
+ */
+function parseTagList(value) {
+    return value
+        .split(',')
+        .map(tag => tag.trim())
+        .filter(tag => tag.length > 0);
+}
+
+/**
+ * Updates a note with the fields filled in on the update form
+ * @param {Event} event - Form submission event
+ */
+async function updateNote(event) {
+    if (event) event.preventDefault();
+    
     const id = document.getElementById('updateNoteId').value.trim();
     const title = document.getElementById('updateTitle').value.trim();
     const content = document.getElementById('updateContent').value.trim();
-    const tagsInput = document.getElementById('updateTags').value.trim();
+    const tags = parseTagList(document.getElementById('updateTags').value);
+    const clearTags = document.getElementById('updateClearTags').checked;
+    const addTags = parseTagList(document.getElementById('updateAddTags').value);
+    const removeTags = parseTagList(document.getElementById('updateRemoveTags').value);
+    const expectedVersion = document.getElementById('updateExpectedVersion').value.trim();
     
     if (!id) {
         showResponse('Please enter a note ID', true);
         return;
     }
     
-    if (!title && !content && !tagsInput) {
-        showResponse('Please provide at least one field to update', true);
-        return;
-    }
-    
-    const updateInput = { id };
+    // Only send what should change; omitted fields are left as they are
+    const updateInput = {};
     if (title) updateInput.title = title;
     if (content) updateInput.content = content;
-    if (tagsInput) {
-        updateInput.tags = tagsInput
-            .split(',')
-            .map(tag => tag.trim())
-            .filter(tag => tag.length > 0);
+    if (clearTags) {
+        updateInput.tags = [];
+    } else if (tags.length > 0) {
+        updateInput.tags = tags;
+    }
+    if (addTags.length > 0) updateInput.addTags = addTags;
+    if (removeTags.length > 0) updateInput.removeTags = removeTags;
+    
+    if (Object.keys(updateInput).length === 0) {
+        showResponse('Please provide at least one field to update', true);
+        return;
     }
+    if (expectedVersion) updateInput.expectedVersion = Number(expectedVersion);
 
     const query = `
         mutation UpdateNote($id: ID!, $input: UpdateNoteInput!) {
@@ -611,7 +2237,17 @@ async function updateNote() {
                 id
                 title
                 content
+                contentHtml
+                attachments {
+                    id
+                    filename
+                    mimeType
+                    size
+                    url
+                }
                 tags
+                version
+                visibility
                 author {
                     id
                     username
@@ -629,13 +2265,11 @@ async function updateNote() {
         });
         
         if (data && data.updateNote) {
+            clearFieldErrors('updateNoteForm');
             showResponse('Note updated successfully!');
             
             // Clear the update form
-            document.getElementById('updateNoteId').value = '';
-            document.getElementById('updateTitle').value = '';
-            document.getElementById('updateContent').value = '';
-            document.getElementById('updateTags').value = '';
+            document.getElementById('updateNoteForm').reset();
             
             // Refresh both notes and users to reflect any changes
             fetchNotes();
@@ -643,7 +2277,16 @@ async function updateNote() {
         }
     } catch (error) {
         console.error('Error updating note:', error);
-        showResponse('Error: ' + error.message, true);
+        // Error is already shown by graphqlRequest
+        showFieldErrors('updateNoteForm', {
+            id: 'updateNoteId',
+            title: 'updateTitle',
+            content: 'updateContent',
+            tags: 'updateTags',
+            addTags: 'updateAddTags',
+            removeTags: 'updateRemoveTags',
+            expectedVersion: 'updateExpectedVersion'
+        }, error);
     }
 }
 
@@ -656,19 +2299,13 @@ async function deleteNote() {
     }
     
     // Ask for confirmation before deleting
-    if (!confirm('Are you sure you want to delete this note?')) {
+    if (!confirm('Move this note to the trash?')) {
         return;
     }
     
     const query = `
         mutation DeleteNote($id: ID!) {
-            deleteNote(id: $id) {
-                id
-                title
-                author {
-                    id
-                }
-            }
+            deleteNote(id: $id)
         }
     `;
 
@@ -676,7 +2313,7 @@ async function deleteNote() {
         const { data } = await graphqlRequest(query, { id });
         
         if (data && data.deleteNote) {
-            showResponse('Note deleted successfully!');
+            showResponse('Note moved to the trash');
             
             // Clear the delete form
             document.getElementById('deleteNoteId').value = '';
@@ -684,9 +2321,121 @@ async function deleteNote() {
             // Refresh both notes and users to reflect the deletion
             fetchNotes();
             fetchUsers();
+            if (getAuthToken()) fetchTrashedNotes();
         }
     } catch (error) {
         console.error('Error deleting note:', error);
-        showResponse('Error: ' + error.message, true);
+        // Error is already shown by graphqlRequest
+    }
+}
+
+/**
+ * Lists the signed-in user's trashed notes under the delete form
+ */
+async function fetchTrashedNotes() {
+    const query = `
+        query TrashedNotes {
+            trashedNotes {
+                id
+                title
+                deletedAt
+                author {
+                    username
+                }
+            }
+        }
+    `;
+    
+    try {
+        const { data } = await graphqlRequest(query);
+        renderTrash(data.trashedNotes);
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+    }
+}
+
+/**
+ * Renders trashed notes with restore and purge buttons
+ * @param {Array} notes - Trashed notes
+ */
+function renderTrash(notes) {
+    const list = document.getElementById('trashList');
+    if (!list) return;
+    
+    if (notes.length === 0) {
+        list.innerHTML = '<li class="text-muted">The trash is empty</li>';
+        return;
+    }
+    
+    list.innerHTML = notes.map(note => `
+        <li>
+            <div>
+                <strong>${escapeHtml(note.title)}</strong>
+                <br>
+                <small class="text-muted">
+                    ${note.author ? escapeHtml(note.author.username) : 'Unknown'}
+                    · deleted ${formatDate(note.deletedAt)}
+                </small>
+            </div>
+            <div class="button-group">
+                <button type="button" class="btn btn-sm" onclick="restoreNote('${escapeHtml(note.id)}')">
+                    <i class="fas fa-undo"></i> Restore
+                </button>
+                <button type="button" class="btn btn-sm btn-danger" onclick="purgeNote('${escapeHtml(note.id)}')">
+                    <i class="fas fa-times"></i> Delete Forever
+                </button>
+            </div>
+        </li>
+    `).join('');
+}
+
+/**
+ * Takes a note out of the trash
+ * @param {string} id - ID of the trashed note
+ */
+async function restoreNote(id) {
+    const query = `
+        mutation RestoreNote($id: ID!) {
+            restoreNote(id: $id) {
+                id
+                title
+            }
+        }
+    `;
+    
+    try {
+        const { data } = await graphqlRequest(query, { id });
+        showResponse(`Restored "${escapeHtml(data.restoreNote.title)}"`);
+        fetchTrashedNotes();
+        fetchNotes();
+        fetchUsers();
+    } catch (error) {
+        console.error('Error restoring note:', error);
+    }
+}
+
+/**
+ * Permanently deletes a trashed note
+ * @param {string} id - ID of the trashed note
+ */
+async function purgeNote(id) {
+    if (!confirm('Delete this note forever? This cannot be undone.')) {
+        return;
+    }
+    
+    const query = `
+        mutation PurgeNote($id: ID!) {
+            purgeNote(id: $id)
+        }
+    `;
+    
+    try {
+        const { data } = await graphqlRequest(query, { id });
+        if (data && data.purgeNote) {
+            showResponse('Note deleted forever');
+            fetchTrashedNotes();
+        }
+    } catch (error) {
+        console.error('Error purging note:', error);
     }
 }
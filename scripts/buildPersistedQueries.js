@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * Writes the persisted query manifest: every GraphQL operation in
+ * public/js/script.js, keyed by the SHA-256 of its text. With
+ * PERSISTED_QUERIES=allowlist the server runs only these operations.
+ *
+ * Usage:
+ *   npm run build:persisted-queries             # writes persisted-queries.json
+ *   npm run build:persisted-queries -- --check  # fails if the file is out of date
+ *   npm run build:persisted-queries -- --out dist/manifest.json
+ *
+ * Run it (and commit the result) whenever a client operation changes.
+ */
+const fs = require('fs');
+const { readClientOperations } = require('../src/utils/clientOperations');
+const { DEFAULT_MANIFEST_PATH, buildManifest } = require('../src/utils/persistedQueries');
+
+/**
+ * Reads the output path from `--out FILE`
+ * @returns {string}
+ */
+function outputPath() {
+  const flag = process.argv.indexOf('--out');
+  if (flag === -1) return DEFAULT_MANIFEST_PATH;
+  const file = process.argv[flag + 1];
+  if (!file) {
+    throw new Error('--out needs a file path');
+  }
+  return file;
+}
+
+function main() {
+  const file = outputPath();
+  const manifest = buildManifest(readClientOperations());
+  const contents = `${JSON.stringify(manifest, null, 2)}\n`;
+
+  if (process.argv.includes('--check')) {
+    const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+    if (current !== contents) {
+      console.error(`${file} is out of date; run \`npm run build:persisted-queries\``);
+      process.exit(1);
+    }
+    console.log(`${file} is up to date (${manifest.operations.length} operations)`);
+    return;
+  }
+
+  fs.writeFileSync(file, contents);
+  console.log(`Wrote ${manifest.operations.length} operations to ${file}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Building the persisted query manifest failed:', error);
+  process.exit(1);
+}
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Permanently deletes notes that have been in the trash for longer than
+ * the retention period. The server does this hourly; run this to do it now.
+ *
+ * Usage:
+ *   npm run purge:trash              # uses TRASH_RETENTION_DAYS or 30
+ *   npm run purge:trash -- --days 7
+ *
+ * Reads MONGODB_URI and the rest of its settings like the server does
+ * (see src/config.js).
+ */
+const mongoose = require('mongoose');
+const { config } = require('../src/config');
+const { purgeExpiredNotes, DEFAULT_RETENTION_DAYS } = require('../src/utils/trash');
+
+/**
+ * Reads the retention period from `--days N` or the environment
+ * @returns {number}
+ */
+function retentionDays() {
+  const flag = process.argv.indexOf('--days');
+  if (flag === -1) return config.trashRetentionDays ?? DEFAULT_RETENTION_DAYS;
+  const value = process.argv[flag + 1];
+  const days = Number(value);
+  if (!Number.isFinite(days) || days < 0) {
+    throw new Error(`Invalid retention period: ${value}`);
+  }
+  return days;
+}
+
+async function main() {
+  const days = retentionDays();
+
+  await mongoose.connect(config.mongoUri);
+  try {
+    const purged = await purgeExpiredNotes(days);
+    console.log(`Purged ${purged} note(s) trashed more than ${days} days ago`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('Purge failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+/**
+ * Finds and repairs drift between `User.notes` and `Note.author`.
+ *
+ * Usage:
+ *   npm run reconcile:notes              # repair
+ *   npm run reconcile:notes -- --dry-run # only report
+ *
+ * Reads MONGODB_URI and the rest of its settings like the server does
+ * (see src/config.js).
+ */
+const mongoose = require('mongoose');
+const { config } = require('../src/config');
+const { reconcileNoteOwnership } = require('../src/utils/ownership');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await mongoose.connect(config.mongoUri);
+  try {
+    const report = await reconcileNoteOwnership({ dryRun });
+
+    console.log(`Checked ${report.usersChecked} users`);
+    console.log(`${dryRun ? 'Would repair' : 'Repaired'} ${report.usersRepaired} users`);
+    console.log(`  missing note references: ${report.missingRefs}`);
+    console.log(`  stale note references:   ${report.staleRefs}`);
+    if (report.orphanedNoteIds.length > 0) {
+      console.log(`Notes whose author no longer exists (left untouched):`);
+      report.orphanedNoteIds.forEach((id) => console.log(`  ${id}`));
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('Reconciliation failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,174 @@
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// off: full queries only; apq: automatic persisted queries; allowlist: APQ,
+// but only for operations in the persisted query manifest
+const PERSISTED_QUERY_MODES = ['off', 'apq', 'allowlist'];
+
+/**
+ * Defaults for each NODE_ENV. Environment variables override them; a
+ * `null` default means the variable must be set in that environment.
+ */
+const PROFILES = {
+  development: {
+    mongoUri: 'mongodb://localhost:27017/study-graphql',
+    jwtSecret: 'graphql-study-dev-secret',
+    corsOrigins: ['*'],
+    introspection: true,
+    playground: true,
+    logLevel: 'debug',
+    persistedQueries: 'apq',
+  },
+  test: {
+    mongoUri: 'mongodb://localhost:27017/study-graphql-test',
+    jwtSecret: 'graphql-study-test-secret',
+    corsOrigins: ['*'],
+    introspection: true,
+    playground: false,
+    logLevel: 'warn',
+    persistedQueries: 'apq',
+  },
+  production: {
+    mongoUri: null,
+    jwtSecret: null,
+    // Same-origin only unless CORS_ORIGINS lists others
+    corsOrigins: [],
+    introspection: false,
+    playground: false,
+    logLevel: 'info',
+    // Only the operations the bundled client sends
+    persistedQueries: 'allowlist',
+  },
+};
+
+class ConfigError extends Error {
+  /**
+   * @param {string[]} problems - One message per invalid or missing variable
+   */
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Builds the configuration from environment variables and the profile for
+ * NODE_ENV, collecting every problem before failing. Tunables that belong
+ * to one module (query limits, trash retention, upload directory) are left
+ * undefined when unset so that module's own default applies.
+ * @param {Object} env - Environment variables, usually process.env
+ * @returns {Object} - The frozen configuration
+ * @throws {ConfigError} - When a variable is invalid or a required one is missing
+ */
+function loadConfig(env = process.env) {
+  const problems = [];
+  const nodeEnv = env.NODE_ENV || 'development';
+  const profile = PROFILES[nodeEnv];
+  if (!profile) {
+    throw new ConfigError([`NODE_ENV must be one of ${Object.keys(PROFILES).join(', ')}`]);
+  }
+
+  const string = (name, fallback) => {
+    const value = env[name] ?? fallback;
+    if (value == null || value === '') {
+      problems.push(`${name} is required when NODE_ENV is ${nodeEnv}`);
+    }
+    return value;
+  };
+
+  const number = (name, fallback, { min = 0, max = Infinity, integer = true } = {}) => {
+    if (env[name] === undefined || env[name] === '') return fallback;
+    const value = Number(env[name]);
+    if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+      problems.push(`${name} must be ${integer ? 'an integer' : 'a number'} from ${min} to ${max}`);
+      return fallback;
+    }
+    return value;
+  };
+
+  const boolean = (name, fallback) => {
+    if (env[name] === undefined || env[name] === '') return fallback;
+    if (['true', '1'].includes(env[name])) return true;
+    if (['false', '0'].includes(env[name])) return false;
+    problems.push(`${name} must be true or false`);
+    return fallback;
+  };
+
+  const list = (name, fallback) => (env[name] === undefined
+    ? fallback
+    : env[name].split(',').map((item) => item.trim()).filter(Boolean));
+
+  const mongoUri = string('MONGODB_URI', profile.mongoUri);
+  if (mongoUri && !/^mongodb(\+srv)?:\/\//.test(mongoUri)) {
+    problems.push('MONGODB_URI must start with mongodb:// or mongodb+srv://');
+  }
+
+  const logLevel = env.LOG_LEVEL || profile.logLevel;
+  if (!LOG_LEVELS.includes(logLevel)) {
+    problems.push(`LOG_LEVEL must be one of ${LOG_LEVELS.join(', ')}`);
+  }
+
+  const persistedQueries = env.PERSISTED_QUERIES || profile.persistedQueries;
+  if (!PERSISTED_QUERY_MODES.includes(persistedQueries)) {
+    problems.push(`PERSISTED_QUERIES must be one of ${PERSISTED_QUERY_MODES.join(', ')}`);
+  }
+
+  const trustProxy = env.TRUST_PROXY;
+
+  const config = {
+    env: nodeEnv,
+    port: number('PORT', 4000, { min: 1, max: 65535 }),
+    // Separate port for /metrics, which has no authentication
+    metricsPort: number('METRICS_PORT', 9464, { min: 1, max: 65535 }),
+    mongoUri,
+    // Waits between connection attempts double up to the maximum
+    db: {
+      retryInitialDelayMs: number('DB_RETRY_INITIAL_DELAY_MS', 1000, { min: 1 }),
+      retryMaxDelayMs: number('DB_RETRY_MAX_DELAY_MS', 30000, { min: 1 }),
+      // How long one connection attempt waits for a server to answer
+      serverSelectionTimeoutMs: number('DB_SERVER_SELECTION_TIMEOUT_MS', 5000, { min: 1 }),
+    },
+    jwtSecret: string('JWT_SECRET', profile.jwtSecret),
+    jwtExpiresIn: env.JWT_EXPIRES_IN || '7d',
+    corsOrigins: list('CORS_ORIGINS', profile.corsOrigins),
+    // A hop count or an Express trust proxy setting such as "loopback"
+    trustProxy: trustProxy && (Number.isNaN(Number(trustProxy)) ? trustProxy : Number(trustProxy)),
+    introspection: boolean('GRAPHQL_INTROSPECTION', profile.introspection),
+    playground: boolean('GRAPHQL_PLAYGROUND', profile.playground),
+    // Include stack traces in error responses
+    debug: nodeEnv !== 'production',
+    logLevel,
+    queryMaxDepth: number('QUERY_MAX_DEPTH', undefined, { min: 1 }),
+    queryMaxCost: number('QUERY_MAX_COST', undefined, { min: 1 }),
+    trashRetentionDays: number('TRASH_RETENTION_DAYS', undefined, { integer: false }),
+    uploadDir: env.UPLOAD_DIR || undefined,
+    persistedQueries,
+    persistedQueryManifest: env.PERSISTED_QUERY_MANIFEST || undefined,
+    // How long shutdown waits for open requests before giving up
+    shutdownTimeoutMs: number('SHUTDOWN_TIMEOUT_MS', 10000, { min: 1 }),
+  };
+
+  if (config.metricsPort === config.port) {
+    problems.push('METRICS_PORT must differ from PORT');
+  }
+
+  // Otherwise a shutdown during a connection attempt always times out
+  if (config.db.serverSelectionTimeoutMs >= config.shutdownTimeoutMs) {
+    problems.push('DB_SERVER_SELECTION_TIMEOUT_MS must be less than SHUTDOWN_TIMEOUT_MS');
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return Object.freeze(config);
+}
+
+const config = loadConfig();
+
+module.exports = {
+  config,
+  loadConfig,
+  ConfigError,
+  LOG_LEVELS,
+  PERSISTED_QUERY_MODES,
+};
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const { createLoaders } = require('./utils/loaders');
+const { getBearerToken, getUserFromToken } = require('./utils/auth');
+const { logger } = require('./utils/logger');
+
+/**
+ * Builds the Apollo context for a request
+ * @param {Object} args - Integration arguments from Apollo
+ * @param {Object} args.req - The Express request
+ * @returns {Object} - The resolver context
+ */
+function createContext({ req }) {
+  // Set by requestIdMiddleware; executeOperation in tests has no request
+  const requestId = req?.id || crypto.randomUUID();
+  return {
+    // Set by authMiddleware when a valid bearer token is sent
+    user: req?.user || null,
+    // Rate limits fall back to the client IP for signed-out callers
+    ip: req?.ip || null,
+    // Per-request DataLoaders for batching nested field lookups
+    loaders: createLoaders(),
+    requestId,
+    // Logs lines tagged with this request's ID
+    logger: logger.child({ requestId }),
+  };
+}
+
+/**
+ * Resolves the user of a graphql-ws connection. Clients authenticate by
+ * sending `{ authorization: 'Bearer <token>' }` as connection params.
+ * @param {Object} ctx - The graphql-ws connection context
+ * @returns {Promise<Object|null>} - The user, or null when signed out
+ */
+async function getConnectionUser(ctx) {
+  const token = getBearerToken(ctx.connectionParams?.authorization);
+  return token ? getUserFromToken(token) : null;
+}
+
+/**
+ * Builds the context for a graphql-ws subscription
+ * @param {Object} ctx - The graphql-ws connection context
+ * @returns {Promise<Object>} - The resolver context
+ */
+async function createSubscriptionContext(ctx) {
+  const requestId = crypto.randomUUID();
+  return {
+    user: await getConnectionUser(ctx),
+    // Set when the connection opens, from the upgrade request
+    ip: ctx.extra?.ip || null,
+    // A subscription lives across many events, so batch without caching
+    loaders: createLoaders({ cache: false }),
+    requestId,
+    logger: logger.child({ requestId }),
+  };
+}
+
+module.exports = { createContext, createSubscriptionContext, getConnectionUser };
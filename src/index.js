@@ -1,16 +1,67 @@
 const { ApolloServer } = require('apollo-server-express');
+const {
+  ApolloServerPluginDrainHttpServer,
+  ApolloServerPluginLandingPageDisabled,
+  ApolloServerPluginLandingPageLocalDefault,
+} = require('apollo-server-core');
+const { WebSocketServer } = require('ws');
+const { useServer } = require('graphql-ws/lib/use/ws');
 const express = require('express');
-const mongoose = require('mongoose');
+const http = require('http');
 const path = require('path');
 const cors = require('cors');
-const typeDefs = require('./schema/typeDefs');
-const resolvers = require('./resolvers');
+const proxyaddr = require('proxy-addr');
+const { graphqlUploadExpress } = require('graphql-upload');
+const { config } = require('./config');
+const schema = require('./schema');
+const { authMiddleware } = require('./utils/auth');
+const { createContext, createSubscriptionContext, getConnectionUser } = require('./context');
+const { formatError } = require('./utils/errors');
+const { startTrashRetentionJob } = require('./utils/trash');
+const { downloadAttachment } = require('./utils/attachments');
+const { LIMITS } = require('./utils/limits');
+const {
+  DEFAULT_QUERY_LIMITS,
+  createQueryCostPlugin,
+  createSubscriptionCostCheck,
+} = require('./utils/queryCost');
+const {
+  DEFAULT_RATE_LIMITS,
+  createRateLimitPlugin,
+  createSubscriptionRateLimitCheck,
+} = require('./utils/rateLimit');
+const { connectWithRetry, closeConnection, watchConnection } = require('./utils/db');
+const { createHealthRouter } = require('./utils/health');
+const { createMetricsPlugin, metricsHandler } = require('./utils/metrics');
+const { logger } = require('./utils/logger');
+const { requestIdMiddleware, createLoggingPlugin } = require('./utils/requestLog');
+const {
+  persistedQueryCache,
+  loadManifest,
+  createAllowListPlugin,
+  createSubscriptionAllowListCheck,
+} = require('./utils/persistedQueries');
 
 // Initialize Express app
 const app = express();
 
-// Enable CORS
-app.use(cors());
+// Behind a reverse proxy, set TRUST_PROXY (e.g. to 1) so req.ip is the
+// client's address rather than the proxy's; rate limits are keyed by it
+if (config.trustProxy) {
+  app.set('trust proxy', config.trustProxy);
+}
+
+// Tag every request with an ID, returned in the X-Request-Id header and
+// included in its log lines
+app.use(requestIdMiddleware);
+
+// Liveness and readiness probes, ahead of everything else so they stay cheap
+app.use(createHealthRouter({ isShuttingDown: () => shuttingDown }));
+
+// Enable CORS for the configured origins ('*' allows any)
+app.use(cors({
+  origin: config.corsOrigins.includes('*') ? true : config.corsOrigins,
+}));
 
 // Serve static files from the public directory
 const publicPath = path.join(__dirname, '../public');
@@ -25,61 +76,223 @@ app.get('/', (req, res) => {
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Database connection
-const MONGODB_URI = 'mongodb://localhost:27017/study-graphql';
+// Verify bearer tokens and attach the authenticated user to the request
+app.use(authMiddleware);
+
+// Parse multipart GraphQL requests (file uploads). Files over the limit
+// fail while streaming, which attachFile reports as a validation error.
+app.use('/graphql', graphqlUploadExpress({
+  maxFileSize: LIMITS.attachment.maxFileSize,
+  maxFiles: 1,
+}));
+
+// Download attachments of notes the caller can read
+app.get('/attachments/:id', downloadAttachment);
+
+// How deep and how costly a single operation may be (see src/schema/costDirective.js)
+const QUERY_LIMITS = {
+  maxDepth: config.queryMaxDepth ?? DEFAULT_QUERY_LIMITS.maxDepth,
+  maxCost: config.queryMaxCost ?? DEFAULT_QUERY_LIMITS.maxCost,
+};
+
+// In allowlist mode, the operations from persisted-queries.json are the only
+// ones the server runs (see scripts/buildPersistedQueries.js)
+const allowedOperations = config.persistedQueries === 'allowlist'
+  ? loadManifest(config.persistedQueryManifest)
+  : null;
+
+// HTTP server shared by Express and the subscription WebSocket server
+const httpServer = http.createServer(app);
+
+// Prometheus metrics have no authentication, so they get their own port
+// (METRICS_PORT) that is only exposed to the scraper, not the public
+const metricsApp = express();
+metricsApp.get('/metrics', metricsHandler);
+const metricsServer = http.createServer(metricsApp);
+
+// Serve subscriptions over graphql-ws on the same path as queries
+const wsServer = new WebSocketServer({
+  server: httpServer,
+  path: '/graphql',
+});
+const checkSubscriptionCost = createSubscriptionCostCheck(schema, QUERY_LIMITS);
+const checkSubscriptionAllowed = allowedOperations
+  ? createSubscriptionAllowListCheck(allowedOperations)
+  : () => undefined;
+const checkSubscriptionRateLimit = createSubscriptionRateLimitCheck(
+  async (ctx) => ({ user: await getConnectionUser(ctx), ip: ctx.extra.ip }),
+  DEFAULT_RATE_LIMITS
+);
+const wsServerCleanup = useServer(
+  {
+    schema,
+    context: createSubscriptionContext,
+    // Key signed-out subscribers by IP, honoring TRUST_PROXY like Express does
+    onConnect: (ctx) => {
+      ctx.extra.ip = proxyaddr(ctx.extra.request, app.get('trust proxy fn'));
+    },
+    onSubscribe: async (ctx, message) =>
+      checkSubscriptionAllowed(ctx, message)
+      || checkSubscriptionCost(ctx, message)
+      || checkSubscriptionRateLimit(ctx, message),
+  },
+  wsServer
+);
 
 // Create Apollo Server
 const server = new ApolloServer({
-  typeDefs,
-  resolvers,
-  context: ({ req }) => ({
-    // You can add authentication context here
-    user: req?.user,
-  }),
-  formatError: (error) => {
-    // Don't expose internal server errors to the client
-    if (error.extensions?.code === 'INTERNAL_SERVER_ERROR') {
-      console.error('Internal server error:', error);
-      return new Error('Internal server error');
-    }
-    return error;
-  },
-  debug: true
+  schema,
+  context: createContext,
+  introspection: config.introspection,
+  // Clients may send a query's hash instead of its text once the server has seen it
+  persistedQueries: config.persistedQueries === 'off' ? false : { cache: persistedQueryCache },
+  // Shutdown is handled below, after the server has drained
+  stopOnTerminationSignals: false,
+  plugins: [
+    // One JSON log line per operation; X-Debug-Trace adds resolver timings
+    // to the response outside production, and for admins in production
+    createLoggingPlugin({
+      allowTrace: (context) => config.debug || context.user?.role === 'admin',
+    }),
+    // Request counts, error counts and latency for /metrics
+    createMetricsPlugin(),
+    // Refuse operations that aren't in the manifest
+    ...(allowedOperations ? [createAllowListPlugin(allowedOperations)] : []),
+    // The in-browser IDE at /graphql
+    config.playground
+      ? ApolloServerPluginLandingPageLocalDefault({ embed: true })
+      : ApolloServerPluginLandingPageDisabled(),
+    // Reject operations that are too deep or too costly before they run
+    createQueryCostPlugin(QUERY_LIMITS),
+    // Throttle each user (or IP when signed out), more strictly for signup and login
+    createRateLimitPlugin(DEFAULT_RATE_LIMITS),
+    // Close open HTTP connections on shutdown
+    ApolloServerPluginDrainHttpServer({ httpServer }),
+    // Close open WebSocket subscriptions on shutdown
+    {
+      async serverWillStart() {
+        return {
+          async drainServer() {
+            await wsServerCleanup.dispose();
+          },
+        };
+      },
+    },
+  ],
+  // Map database errors to typed errors and hide internal ones
+  formatError,
+  // Stack traces in error responses are for development only
+  debug: config.debug
 });
 
-// Start the server after database connection is established
+// Aborted on shutdown so a pending database retry stops waiting
+const startup = new AbortController();
+
+// Stops the trash retention job once it has started
+let stopTrashRetentionJob = null;
+
+/**
+ * Starts listening for HTTP connections
+ * @param {http.Server} target - The server to start
+ * @param {number} port - The port to listen on
+ * @returns {Promise<void>} - Rejects if the port can't be used
+ */
+function listen(target, port) {
+  return new Promise((resolve, reject) => {
+    target.once('error', reject);
+    target.listen(port, () => {
+      target.off('error', reject);
+      resolve();
+    });
+  });
+}
+
+// Start listening right away so probes can answer; /readyz reports 503
+// until the database connection is established
 async function startServer() {
   try {
-    // Connect to MongoDB
-    console.log('Connecting to MongoDB...');
-    await mongoose.connect(MONGODB_URI);
-    console.log('Connected to MongoDB');
-    
-    // Verify the connection
-    const db = mongoose.connection;
-    db.on('error', (error) => {
-      console.error('MongoDB connection error:', error);
-    });
-    
-    db.once('open', () => {
-      console.log('MongoDB connection is open');
-    });
+    logger.info('Starting server', { env: config.env });
 
     // Start Apollo Server
     await server.start();
     
-    // Apply Apollo GraphQL middleware
-    server.applyMiddleware({ app });
+    // Apply Apollo GraphQL middleware; CORS is already handled above
+    server.applyMiddleware({ app, cors: false });
 
-    const PORT = process.env.PORT || 4000;
-    app.listen(PORT, () => {
-      console.log(`🚀 Server ready at http://localhost:${PORT}`);
-      console.log(`🚀 GraphQL server ready at http://localhost:${PORT}${server.graphqlPath}`);
+    await listen(httpServer, config.port);
+    await listen(metricsServer, config.metricsPort);
+    logger.info('Server ready', {
+      url: `http://localhost:${config.port}`,
+      graphql: `http://localhost:${config.port}${server.graphqlPath}`,
+      subscriptions: `ws://localhost:${config.port}${server.graphqlPath}`,
+      metrics: `http://localhost:${config.metricsPort}/metrics`,
     });
+    
+    // Connect to MongoDB, waiting out outages instead of giving up
+    logger.info('Connecting to MongoDB');
+    const connected = await connectWithRetry(config.mongoUri, {
+      initialDelayMs: config.db.retryInitialDelayMs,
+      maxDelayMs: config.db.retryMaxDelayMs,
+      serverSelectionTimeoutMs: config.db.serverSelectionTimeoutMs,
+      signal: startup.signal,
+    });
+    if (!connected || startup.signal.aborted) return;
+    logger.info('Connected to MongoDB');
+    watchConnection();
+
+    // Purge notes that have been in the trash too long
+    stopTrashRetentionJob = startTrashRetentionJob({ retentionDays: config.trashRetentionDays });
   } catch (error) {
-    console.error('Error starting server:', error);
+    logger.error('Error starting server', { error });
+    process.exitCode = 1;
+    await shutdown();
+  }
+}
+
+let shuttingDown = false;
+
+/**
+ * Stops taking new work, lets open requests and subscriptions finish, then
+ * closes the database connection. Gives up after SHUTDOWN_TIMEOUT_MS.
+ * @param {string} signal - The signal that triggered the shutdown, if any
+ * @returns {Promise<void>}
+ */
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  if (signal) logger.info('Shutting down', { signal });
+
+  const forceExit = setTimeout(() => {
+    logger.error('Shutdown timed out; exiting');
     process.exit(1);
+  }, config.shutdownTimeoutMs);
+  forceExit.unref();
+
+  try {
+    startup.abort();
+    stopTrashRetentionJob?.();
+    // Drains HTTP connections and WebSocket subscriptions (see plugins above)
+    if (httpServer.listening) {
+      await server.stop();
+    }
+    // Closed last so metrics can still be scraped while requests drain
+    if (metricsServer.listening) {
+      await new Promise((resolve) => {
+        metricsServer.close(resolve);
+        metricsServer.closeAllConnections();
+      });
+    }
+    await closeConnection();
+    logger.info('Shutdown complete');
+  } catch (error) {
+    logger.error('Error during shutdown', { error });
+    process.exitCode = 1;
+  } finally {
+    clearTimeout(forceExit);
   }
 }
 
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
+
 startServer();
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { LIMITS } = require('../utils/limits');
+
+const limits = LIMITS.attachment;
+
+// A file attached to a note. The bytes live in the storage backend under
+// `storageKey`; this document only holds what the API reports about them.
+const attachmentSchema = new mongoose.Schema(
+  {
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Note',
+      required: true,
+    },
+    // May point at a since-deleted user
+    uploader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    filename: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [limits.filenameMaxLength, 'Must be at most {MAXLENGTH} characters'],
+    },
+    mimeType: {
+      type: String,
+      required: true,
+      enum: limits.mimeTypes,
+    },
+    size: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: limits.maxFileSize,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+attachmentSchema.index({ note: 1, createdAt: 1 });
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+module.exports = Attachment;
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { LIMITS } = require('../utils/limits');
+
+const limits = LIMITS.note;
 
 const noteSchema = new mongoose.Schema(
   {
@@ -6,32 +9,77 @@ const noteSchema = new mongoose.Schema(
       type: String,
       required: true,
       trim: true,
+      maxlength: [limits.titleMaxLength, 'Must be at most {MAXLENGTH} characters'],
     },
     content: {
       type: String,
       required: true,
+      maxlength: [limits.contentMaxLength, 'Must be at most {MAXLENGTH} characters'],
     },
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true,
     },
-    tags: [
+    tags: {
+      type: [
+        {
+          type: String,
+          trim: true,
+          lowercase: true,
+          maxlength: [limits.tagMaxLength, 'Must be at most {MAXLENGTH} characters'],
+        },
+      ],
+      validate: {
+        validator: (tags) => tags.length <= limits.maxTags,
+        message: `Must have at most ${limits.maxTags} items`,
+      },
+    },
+    // Who can read the note: only the author (private), the author and
+    // collaborators (shared), or everyone (public)
+    visibility: {
+      type: String,
+      enum: ['private', 'shared', 'public'],
+      default: 'private',
+    },
+    // Users the note is shared with; editors may change title, content and tags
+    collaborators: [
       {
-        type: String,
-        trim: true,
-        lowercase: true,
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: ['viewer', 'editor'],
+          required: true,
+        },
       },
     ],
+    // Set when the note is moved to the trash; null otherwise
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
+    // Bump __v on every save and refuse to save over a newer version
+    optimisticConcurrency: true,
   }
 );
 
 // Add text index for search functionality
 noteSchema.index({ title: 'text', content: 'text', tags: 'text' });
 
+// Trash listing and the retention job look notes up by deletion time
+noteSchema.index({ deletedAt: 1 });
+
+// User.sharedNotes and the readable-notes filter look notes up by collaborator
+noteSchema.index({ 'collaborators.user': 1 });
+
 const Note = mongoose.model('Note', noteSchema);
 
 module.exports = Note;
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A snapshot of a note as it was after one change. Revisions are
+// immutable; restoring an old one records a new revision on top.
+const noteRevisionSchema = new mongoose.Schema(
+  {
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Note',
+      required: true,
+    },
+    // The note's version (__v) right after the change
+    version: {
+      type: Number,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    tags: [String],
+    // Who made the change; may point at a since-deleted user
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+noteRevisionSchema.index({ note: 1, version: -1 }, { unique: true });
+
+const NoteRevision = mongoose.model('NoteRevision', noteRevisionSchema);
+
+module.exports = NoteRevision;
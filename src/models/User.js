@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { LIMITS, EMAIL_PATTERN } = require('../utils/limits');
+
+const limits = LIMITS.user;
 
 const userSchema = new mongoose.Schema(
   {
@@ -8,6 +11,9 @@ const userSchema = new mongoose.Schema(
       required: true,
       unique: true,
       trim: true,
+      minlength: [limits.usernameMinLength, 'Must be at least {MINLENGTH} characters'],
+      maxlength: [limits.usernameMaxLength, 'Must be at most {MAXLENGTH} characters'],
+      match: [new RegExp(limits.usernamePattern), 'Has an invalid format'],
     },
     email: {
       type: String,
@@ -15,10 +21,20 @@ const userSchema = new mongoose.Schema(
       unique: true,
       trim: true,
       lowercase: true,
+      maxlength: [limits.emailMaxLength, 'Must be at most {MAXLENGTH} characters'],
+      match: [EMAIL_PATTERN, 'Must be a valid email address'],
     },
     password: {
       type: String,
       required: true,
+      // Checked before the pre-save hook replaces it with the hash
+      minlength: [limits.passwordMinLength, 'Must be at least {MINLENGTH} characters'],
+      maxlength: [limits.passwordMaxLength, 'Must be at most {MAXLENGTH} characters'],
+    },
+    role: {
+      type: String,
+      enum: ['user', 'admin'],
+      default: 'user',
     },
     notes: [{
       type: mongoose.Schema.Types.ObjectId,
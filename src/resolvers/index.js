@@ -1,204 +1,719 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Note = require('../models/Note');
+const NoteRevision = require('../models/NoteRevision');
+const Attachment = require('../models/Attachment');
+const { GraphQLUpload } = require('graphql-upload');
+const { Email, NonEmptyString } = require('../schema/scalars');
+const {
+  createToken,
+  requireAuth,
+  requireNoteOwner,
+  requireNoteEditor,
+  requireSelfOrAdmin,
+  requireAdmin,
+  canReadNote,
+  canEditNote,
+  readableNoteFilter,
+} = require('../utils/auth');
+const { paginate } = require('../utils/pagination');
+const { searchNotes } = require('../utils/search');
+const { buildNoteFilter, buildNoteSort } = require('../utils/noteFilter');
+const { listTags, mergeTags } = require('../utils/tags');
+const { recordRevisions, diffRevisions } = require('../utils/revisions');
+const { ACTIVE_NOTE, TRASHED_NOTE, purgeNotes } = require('../utils/trash');
+const {
+  attachFileToNote,
+  deleteNoteAttachments,
+  removeStoredFiles,
+} = require('../utils/attachments');
+const {
+  MAX_EXCERPT_LENGTH,
+  renderMarkdown,
+  extractHeadings,
+  buildExcerpt,
+} = require('../utils/markdown');
+const { reconcileNoteOwnership } = require('../utils/ownership');
+const { withFilter } = require('graphql-subscriptions');
+const { NOTE_EVENTS, getPubSub, publishNoteChange } = require('../utils/pubsub');
+const {
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  AuthenticationError,
+  ForbiddenError,
+} = require('../utils/errors');
+
+/**
+ * Creates a user after checking that the username and email are free
+ * @param {Object} input - The CreateUserInput fields
+ * @returns {Promise<Object>} - The saved user
+ */
+async function registerUser({ username, email, password }) {
+  const existingUser = await User.findOne({ $or: [{ email }, { username }] });
+
+  if (existingUser) {
+    const field = existingUser.email === email.toLowerCase().trim() ? 'email' : 'username';
+    throw new ConflictError(`A user with this ${field} already exists`, {
+      [field]: 'Already taken',
+    });
+  }
+
+  const user = new User({
+    username,
+    email,
+    password, // Will be hashed by the pre-save hook
+  });
+
+  return user.save();
+}
+
+/**
+ * Normalizes tags the way they are stored
+ * @param {string[]} tags - Tags as sent by the client
+ * @returns {string[]} - Trimmed, lowercase tags
+ */
+function normalizeTags(tags) {
+  return (tags || []).map(tag => tag.trim().toLowerCase());
+}
+
+/**
+ * Applies an UpdateNoteInput patch to a note document. Omitted fields are
+ * left unchanged, and `tags: null` clears the tags.
+ * @param {Object} note - The note document, modified in place
+ * @param {Object} input - The UpdateNoteInput fields
+ */
+function applyNotePatch(note, input) {
+  const errors = {};
+
+  ['title', 'content'].forEach((field) => {
+    if (!(field in input)) return;
+    if (input[field] === null) {
+      errors[`input.${field}`] = 'Cannot be cleared';
+    } else {
+      note[field] = input[field];
+    }
+  });
+
+  const replacing = 'tags' in input;
+  const adding = normalizeTags(input.addTags);
+  const removing = normalizeTags(input.removeTags);
+
+  if (replacing && (input.addTags || input.removeTags)) {
+    errors['input.tags'] = 'Cannot be combined with addTags or removeTags';
+  }
+  const overlap = adding.filter(tag => removing.includes(tag));
+  if (overlap.length > 0) {
+    errors['input.addTags'] = `Also listed in removeTags: ${overlap.join(', ')}`;
+  }
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError('Invalid note update', errors);
+  }
+
+  if (replacing) {
+    note.tags = [...new Set(normalizeTags(input.tags))];
+  } else if (adding.length > 0 || removing.length > 0) {
+    const kept = note.tags.filter(tag => !removing.includes(tag));
+    note.tags = [...new Set([...kept, ...adding])];
+  }
+}
+
+/**
+ * Folds tags into a target tag and tells subscribers about every note
+ * that changed, except those in the trash, which subscribers already
+ * treat as deleted
+ * @param {string[]} sources - Tags to replace
+ * @param {string} target - Tag to replace them with
+ * @param {Object} editorId - ID of the admin making the change
+ * @returns {Promise<Object>} - The TagRewriteResult
+ */
+async function rewriteTags(sources, target, editorId) {
+  const { tag, notesUpdated, changes } = await mergeTags(sources, target, editorId);
+  
+  // Only tell subscribers once the rewrite has committed
+  const previousTagsById = new Map(changes.map(change => [String(change.id), change.previousTags]));
+  const updatedNotes = await Note.find({
+    _id: { $in: changes.map(change => change.id) },
+    ...ACTIVE_NOTE,
+  });
+  await Promise.all(updatedNotes.map(note =>
+    publishNoteChange('UPDATED', note, previousTagsById.get(String(note._id)))
+  ));
+  
+  return { tag, notesUpdated };
+}
+
+/**
+ * Builds a filter for notes that are out of the trash and readable by
+ * the viewer, narrowed by an extra filter
+ * @param {Object|null} viewer - The authenticated user, if any
+ * @param {Object} filter - Extra conditions
+ * @returns {Object} - Mongo filter
+ */
+function visibleNotes(viewer, filter = {}) {
+  return { $and: [ACTIVE_NOTE, readableNoteFilter(viewer), filter] };
+}
+
+/**
+ * Rejects a write when the caller's copy of the note is out of date
+ * @param {Object} note - The note document
+ * @param {number|null} expectedVersion - The version the caller last saw
+ * @param {string} path - Argument path of expectedVersion, for the error
+ */
+function assertNoteVersion(note, expectedVersion, path) {
+  if (expectedVersion != null && expectedVersion !== note.__v) {
+    throw new ConflictError(
+      `Note was modified since version ${expectedVersion}`,
+      { [path]: `Current version is ${note.__v}` }
+    );
+  }
+}
+
+/**
+ * Saves a modified note and snapshots it as a new revision, together
+ * @param {Object} note - The note document, with unsaved changes
+ * @param {Object} editorId - ID of the user making the change
+ * @returns {Promise<Object>} - The saved note
+ */
+async function saveNoteRevision(note, editorId) {
+  let savedNote;
+  await mongoose.connection.transaction(async (session) => {
+    savedNote = await note.save({ session });
+    await recordRevisions([savedNote], editorId, session);
+  });
+  return savedNote;
+}
 
 const resolvers = {
+  // Custom scalars
+  Email,
+  NonEmptyString,
+  Upload: GraphQLUpload,
+
   Query: {
+    // Auth queries
+    me: (_, __, { user }) => user,
+
     // User queries
-    users: async () => {
-      try {
-        console.log('Fetching users...');
-        const users = await User.find({}).populate({
-          path: 'notes',
-          model: 'Note'
-        });
-        console.log('Users found:', users);
-        return users || [];
-      } catch (error) {
-        console.error('Error in users resolver:', error);
-        throw new Error(`Failed to fetch users: ${error.message}`);
-      }
-    },
+    users: () => User.find({}),
     user: async (_, { id }) => {
-      try {
-        const user = await User.findById(id).populate({
-          path: 'notes',
-          model: 'Note'
-        });
-        if (!user) {
-          throw new Error('User not found');
-        }
-        return user;
-      } catch (error) {
-        console.error(`Error fetching user ${id}:`, error);
-        throw new Error(`Failed to fetch user: ${error.message}`);
+      const user = await User.findById(id);
+      if (!user) {
+        throw new NotFoundError('User');
       }
+      return user;
     },
+    usersConnection: (_, args) => paginate(User, {}, args),
 
     // Note queries
-    notes: async () => {
-      try {
-        console.log('Fetching notes...');
-        const notes = await Note.find({}).populate({
-          path: 'author',
-          model: 'User',
-          select: 'username email'
-        });
-        console.log('Notes found:', notes);
-        return notes || [];
-      } catch (error) {
-        console.error('Error in notes resolver:', error);
-        throw new Error(`Failed to fetch notes: ${error.message}`);
+    notes: (_, { filter, orderBy }, { user }) =>
+      Note.find(visibleNotes(user, buildNoteFilter(filter)))
+        .sort(buildNoteSort(orderBy))
+        // Sort titles alphabetically rather than by byte value
+        .collation({ locale: 'en' }),
+    note: async (_, { id }, { user }) => {
+      const note = await Note.findOne({ _id: id, ...ACTIVE_NOTE });
+      // Hidden notes are reported as missing so their existence isn't revealed
+      if (!note || !canReadNote(user, note)) {
+        throw new NotFoundError('Note');
       }
+      return note;
     },
-    note: async (_, { id }) => {
-      try {
-        const note = await Note.findById(id).populate({
-          path: 'author',
-          model: 'User',
-          select: 'username email'
-        });
-        if (!note) {
-          throw new Error('Note not found');
-        }
-        return note;
-      } catch (error) {
-        console.error(`Error fetching note ${id}:`, error);
-        throw new Error(`Failed to fetch note: ${error.message}`);
+    noteRevisionDiff: async (_, { noteId, from, to }, { user }) => {
+      const note = await Note.findById(noteId);
+      if (!note || !canReadNote(user, note)) {
+        throw new NotFoundError('Note');
       }
+      
+      const revisions = await NoteRevision.find({ note: noteId, version: { $in: [from, to] } });
+      const fromRevision = revisions.find(revision => revision.version === from);
+      const toRevision = revisions.find(revision => revision.version === to);
+      if (!fromRevision || !toRevision) {
+        throw new NotFoundError('Revision');
+      }
+      return diffRevisions(fromRevision, toRevision);
     },
-    notesByTag: async (_, { tag }) => {
-      try {
-        if (!tag || typeof tag !== 'string') {
-          throw new Error('Invalid tag provided');
-        }
-        const notes = await Note.find({ tags: tag.toLowerCase() }).populate({
-          path: 'author',
-          model: 'User',
-          select: 'username email'
-        });
-        return notes || [];
-      } catch (error) {
-        console.error(`Error fetching notes by tag '${tag}':`, error);
-        throw new Error(`Failed to fetch notes by tag: ${error.message}`);
+    notesByTag: (_, { tag }, { user }) => {
+      if (!tag.trim()) {
+        throw new ValidationError('Invalid tag provided', { tag: 'Tag must not be empty' });
       }
+      return Note.find(visibleNotes(user, { tags: tag.trim().toLowerCase() }));
     },
+    notesConnection: (_, { tag, ...args }, { user }) => {
+      // Tags are stored trimmed and lowercased; a blank tag doesn't filter
+      const name = tag?.trim().toLowerCase();
+      const filter = name ? { tags: name } : {};
+      return paginate(Note, visibleNotes(user, filter), args);
+    },
+    // The caller's trashed notes, or everyone's for admins; most recent first
+    trashedNotes: requireAuth((_, __, { user }) => {
+      const filter = user.role === 'admin' ? TRASHED_NOTE : { ...TRASHED_NOTE, author: user._id };
+      return Note.find(filter).sort({ deletedAt: -1, _id: 1 });
+    }),
+    tags: (_, { prefix, first }, { user }) =>
+      listTags({ prefix, first: first ?? undefined, scope: readableNoteFilter(user) }),
+    searchNotes: (_, { query, filter, first, after }, { user }) =>
+      searchNotes(query, filter, { first: first ?? undefined, after }, readableNoteFilter(user)),
   },
 
   Mutation: {
-    // User mutations
-    createUser: async (_, { input }) => {
-      try {
-        const { username, email, password } = input;
-        const existingUser = await User.findOne({ $or: [{ email }, { username }] });
-        
-        if (existingUser) {
-          throw new Error('User with this email or username already exists');
-        }
-        
-        const user = new User({
-          username,
-          email,
-          password, // Will be hashed by the pre-save hook
-        });
-        
-        return await user.save();
-      } catch (error) {
-        throw new Error(error.message || 'Error creating user');
+    // Auth mutations
+    signup: async (_, { input }) => {
+      const user = await registerUser(input);
+      return { token: createToken(user), user };
+    },
+    login: async (_, { email, password }) => {
+      const user = await User.findOne({ email: email.toLowerCase().trim() });
+      if (!user || !(await user.comparePassword(password))) {
+        throw new AuthenticationError('Invalid email or password');
       }
+      return { token: createToken(user), user };
     },
 
-    // Note mutations
-    createNote: async (_, { input }, context) => {
-      try {
-        const { title, content, tags, authorId } = input;
-        
-        // Check if author exists
-        const author = await User.findById(authorId);
-        if (!author) {
-          throw new Error('Author not found');
-        }
-        
-        const note = new Note({
-          title,
-          content,
-          author: authorId,
-          tags: tags.map(tag => tag.toLowerCase()),
+    // User mutations
+    createUser: (_, { input }) => registerUser(input),
+
+    updateUser: requireSelfOrAdmin(async (_, { id, input }) => {
+      const user = await User.findById(id);
+      if (!user) {
+        throw new NotFoundError('User');
+      }
+      
+      // Omitted (or null) fields are left unchanged
+      if (input.username != null) user.username = input.username;
+      if (input.email != null) user.email = input.email;
+      
+      // Duplicate usernames/emails surface as CONFLICT via formatError
+      return user.save();
+    }),
+    
+    changePassword: requireAuth(async (_, { oldPassword, newPassword }, { user }) => {
+      if (!(await user.comparePassword(oldPassword))) {
+        throw new ValidationError('Current password is incorrect', {
+          oldPassword: 'Is incorrect',
         });
-        
-        const savedNote = await note.save();
-        
-        // Add note reference to user
-        author.notes.push(savedNote._id);
-        await author.save();
-        
-        return savedNote.populate('author');
-      } catch (error) {
-        throw new Error(error.message || 'Error creating note');
       }
-    },
+      
+      user.password = newPassword; // Will be hashed by the pre-save hook
+      await user.save();
+      return true;
+    }),
     
-    updateNote: async (_, { id, title, content, tags }) => {
-      try {
-        const update = {};
-        if (title) update.title = title;
-        if (content) update.content = content;
-        if (tags) update.tags = tags.map(tag => tag.toLowerCase());
+    deleteUser: requireSelfOrAdmin(async (_, { id, strategy, reassignTo }) => {
+      if (strategy === 'REASSIGN') {
+        if (!reassignTo) {
+          throw new ValidationError('A user to reassign notes to is required', {
+            reassignTo: 'Required when strategy is REASSIGN',
+          });
+        }
+        if (String(reassignTo) === String(id)) {
+          throw new ValidationError('Cannot reassign notes to the deleted user', {
+            reassignTo: 'Must be a different user',
+          });
+        }
+      }
+      
+      let affectedNotes = [];
+      let deletedAttachments = [];
+      await mongoose.connection.transaction(async (session) => {
+        const user = await User.findById(id).session(session);
+        if (!user) {
+          throw new NotFoundError('User');
+        }
         
-        const updatedNote = await Note.findByIdAndUpdate(
-          id,
-          { $set: update },
-          { new: true }
-        ).populate('author');
+        affectedNotes = await Note.find({ author: user._id }).session(session);
+        const noteIds = affectedNotes.map(note => note._id);
         
-        if (!updatedNote) {
-          throw new Error('Note not found');
+        if (strategy === 'REASSIGN') {
+          const target = await User.findById(reassignTo).session(session);
+          if (!target) {
+            throw new ValidationError('The user to reassign notes to does not exist', {
+              reassignTo: 'No user with this ID',
+            });
+          }
+          // The new author no longer needs to be a collaborator
+          await Note.updateMany(
+            { _id: { $in: noteIds } },
+            {
+              $set: { author: target._id },
+              $pull: { collaborators: { user: target._id } },
+              $inc: { __v: 1 },
+            },
+            { session }
+          );
+          await User.updateOne(
+            { _id: target._id },
+            { $addToSet: { notes: { $each: noteIds } } },
+            { session }
+          );
+        } else {
+          await Note.deleteMany({ _id: { $in: noteIds } }, { session });
+          await NoteRevision.deleteMany({ note: { $in: noteIds } }, { session });
+          deletedAttachments = await deleteNoteAttachments(noteIds, session);
         }
         
-        return updatedNote;
-      } catch (error) {
-        throw new Error(error.message || 'Error updating note');
+        // Stop sharing other users' notes with the deleted user
+        await Note.updateMany(
+          { 'collaborators.user': user._id },
+          { $pull: { collaborators: { user: user._id } }, $inc: { __v: 1 } },
+          { session }
+        );
+        
+        await User.deleteOne({ _id: user._id }, { session });
+      });
+      
+      await removeStoredFiles(deletedAttachments);
+      
+      // Only tell subscribers once the transaction has committed. Trashed
+      // notes were already announced as deleted when they were trashed.
+      const activeNotes = affectedNotes.filter(note => !note.deletedAt);
+      if (strategy === 'REASSIGN') {
+        const reassigned = await Note.find({ _id: { $in: activeNotes.map(note => note._id) } });
+        await Promise.all(reassigned.map(note => publishNoteChange('UPDATED', note)));
+      } else {
+        await Promise.all(activeNotes.map(note => publishNoteChange('DELETED', note)));
       }
-    },
+      
+      return true;
+    }),
     
-    deleteNote: async (_, { id }) => {
-      try {
-        const note = await Note.findByIdAndDelete(id);
-        if (!note) {
-          throw new Error('Note not found');
-        }
-        
-        // Remove note reference from user
+    reconcileNoteOwnership: requireAdmin((_, { dryRun }) =>
+      reconcileNoteOwnership({ dryRun })
+    ),
+
+    // Note mutations
+    createNote: requireAuth(async (_, { input }, context) => {
+      const { title, content, tags, visibility } = input;
+      
+      // The author is always the authenticated caller
+      const author = await User.findById(context.user._id);
+      if (!author) {
+        throw new NotFoundError('Author');
+      }
+      
+      const note = new Note({
+        title,
+        content,
+        author: author._id,
+        tags: [...new Set(normalizeTags(tags))],
+        // Notes are private unless the author opts in to sharing them
+        visibility: visibility || 'private',
+      });
+      
+      // Save the note, its reference on the user and its first revision together
+      let savedNote;
+      await mongoose.connection.transaction(async (session) => {
+        savedNote = await note.save({ session });
         await User.updateOne(
-          { _id: note.author },
-          { $pull: { notes: note._id } }
+          { _id: author._id },
+          { $push: { notes: savedNote._id } },
+          { session }
         );
-        
-        return true;
-      } catch (error) {
-        throw new Error(error.message || 'Error deleting note');
+        await recordRevisions([savedNote], author._id, session);
+      });
+      
+      await publishNoteChange('CREATED', savedNote);
+      
+      return savedNote;
+    }),
+    
+    updateNote: requireNoteEditor(async (_, { id, input }, { user }) => {
+      const note = await Note.findOne({ _id: id, ...ACTIVE_NOTE });
+      if (!note) {
+        throw new NotFoundError('Note');
       }
-    },
+      
+      assertNoteVersion(note, input.expectedVersion, 'input.expectedVersion');
+      
+      // Keep the old tags so tag subscribers hear about removals too
+      const previousTags = [...note.tags];
+      applyNotePatch(note, input);
+      
+      // An empty patch doesn't create a new version
+      if (!note.isModified()) {
+        return note;
+      }
+      const updatedNote = await saveNoteRevision(note, user._id);
+      
+      await publishNoteChange('UPDATED', updatedNote, previousTags);
+      
+      return updatedNote;
+    }),
+    
+    restoreNoteRevision: requireNoteEditor(async (_, { id, version, expectedVersion }, { user }) => {
+      const [note, revision] = await Promise.all([
+        Note.findOne({ _id: id, ...ACTIVE_NOTE }),
+        NoteRevision.findOne({ note: id, version }),
+      ]);
+      if (!note) {
+        throw new NotFoundError('Note');
+      }
+      if (!revision) {
+        throw new NotFoundError('Revision');
+      }
+      
+      assertNoteVersion(note, expectedVersion, 'expectedVersion');
+      
+      const previousTags = [...note.tags];
+      note.title = revision.title;
+      note.content = revision.content;
+      note.tags = [...revision.tags];
+      
+      // Restoring the current state is a no-op
+      if (!note.isModified()) {
+        return note;
+      }
+      const restoredNote = await saveNoteRevision(note, user._id);
+      
+      await publishNoteChange('UPDATED', restoredNote, previousTags);
+      
+      return restoredNote;
+    }),
+    
+    // Attachment mutations
+    attachFile: requireNoteEditor(async (_, { noteId, file }, { user }) => {
+      const note = await Note.findOne({ _id: noteId, ...ACTIVE_NOTE });
+      if (!note) {
+        throw new NotFoundError('Note');
+      }
+      
+      const attachment = await attachFileToNote(note, file, user._id);
+      await publishNoteChange('UPDATED', note);
+      return attachment;
+    }, 'noteId'),
+    
+    removeAttachment: requireAuth(async (_, { id }, { user }) => {
+      const attachment = await Attachment.findById(id);
+      const note = attachment && await Note.findOne({ _id: attachment.note, ...ACTIVE_NOTE });
+      if (!note || !canReadNote(user, note)) {
+        throw new NotFoundError('Attachment');
+      }
+      if (!canEditNote(user, note)) {
+        throw new ForbiddenError('You are not allowed to modify this note');
+      }
+      
+      await attachment.deleteOne();
+      await removeStoredFiles([attachment]);
+      await publishNoteChange('UPDATED', note);
+      return true;
+    }),
+    
+    // Sharing mutations
+    shareNote: requireNoteOwner(async (_, { noteId, userId, role }) => {
+      const [note, collaborator] = await Promise.all([
+        Note.findOne({ _id: noteId, ...ACTIVE_NOTE }),
+        User.findById(userId),
+      ]);
+      if (!note) {
+        throw new NotFoundError('Note');
+      }
+      if (!collaborator) {
+        throw new NotFoundError('User');
+      }
+      if (String(note.author) === String(collaborator._id)) {
+        throw new ValidationError('The author already has full access', {
+          userId: 'Is the author of the note',
+        });
+      }
+      
+      const existing = note.collaborators.find(entry => String(entry.user) === String(collaborator._id));
+      if (existing) {
+        existing.role = role;
+      } else {
+        note.collaborators.push({ user: collaborator._id, role });
+      }
+      // Collaborators can't see a private note, so sharing one shares it
+      if (note.visibility === 'private') {
+        note.visibility = 'shared';
+      }
+      
+      const sharedNote = await note.save();
+      await publishNoteChange('UPDATED', sharedNote);
+      return sharedNote;
+    }, 'noteId'),
+    
+    unshareNote: requireNoteOwner(async (_, { noteId, userId }) => {
+      const note = await Note.findOne({ _id: noteId, ...ACTIVE_NOTE });
+      if (!note) {
+        throw new NotFoundError('Note');
+      }
+      
+      // Unsharing with someone who isn't a collaborator is a no-op
+      const remaining = note.collaborators.filter(entry => String(entry.user) !== String(userId));
+      if (remaining.length === note.collaborators.length) {
+        return note;
+      }
+      note.collaborators = remaining;
+      
+      const unsharedNote = await note.save();
+      await publishNoteChange('UPDATED', unsharedNote);
+      return unsharedNote;
+    }, 'noteId'),
+    
+    setNoteVisibility: requireNoteOwner(async (_, { id, visibility }) => {
+      const note = await Note.findOne({ _id: id, ...ACTIVE_NOTE });
+      if (!note) {
+        throw new NotFoundError('Note');
+      }
+      if (note.visibility === visibility) {
+        return note;
+      }
+      
+      note.visibility = visibility;
+      const updatedNote = await note.save();
+      await publishNoteChange('UPDATED', updatedNote);
+      return updatedNote;
+    }),
+    
+    // Moves the note to the trash; see restoreNote and purgeNote
+    deleteNote: requireNoteOwner(async (_, { id }) => {
+      const note = await Note.findOne({ _id: id, ...ACTIVE_NOTE });
+      if (!note) {
+        throw new NotFoundError('Note');
+      }
+      
+      note.deletedAt = new Date();
+      await note.save();
+      
+      // To subscribers a trashed note is gone
+      await publishNoteChange('DELETED', note);
+      
+      return true;
+    }),
+    
+    restoreNote: requireNoteOwner(async (_, { id }) => {
+      const note = await Note.findOne({ _id: id, ...TRASHED_NOTE });
+      if (!note) {
+        throw new NotFoundError('Trashed note');
+      }
+      
+      note.deletedAt = null;
+      const restoredNote = await note.save();
+      
+      // ...and a restored one reappears
+      await publishNoteChange('CREATED', restoredNote);
+      
+      return restoredNote;
+    }),
+    
+    purgeNote: requireNoteOwner(async (_, { id }) => {
+      const note = await Note.findById(id);
+      if (!note.deletedAt) {
+        throw new ValidationError('Only trashed notes can be purged', {
+          id: 'Move the note to the trash first',
+        });
+      }
+      
+      await purgeNotes([note._id]);
+      
+      return true;
+    }),
+    
+    // Tag mutations
+    renameTag: requireAdmin((_, { from, to }, { user }) => {
+      if (from.trim().toLowerCase() === to.trim().toLowerCase()) {
+        throw new ValidationError('New tag name is the same as the old one', {
+          to: 'Must differ from `from`',
+        });
+      }
+      return rewriteTags([from], to, user._id);
+    }),
+    
+    mergeTags: requireAdmin((_, { sources, target }, { user }) =>
+      rewriteTags(sources, target, user._id)
+    ),
   },
   
+  Subscription: {
+    // Subscribers only hear about notes they are allowed to read
+    noteCreated: {
+      subscribe: withFilter(
+        () => getPubSub().asyncIterator(NOTE_EVENTS.CREATED),
+        ({ noteCreated }, _, { user }) => canReadNote(user, noteCreated)
+      ),
+    },
+    noteUpdated: {
+      subscribe: withFilter(
+        () => getPubSub().asyncIterator(NOTE_EVENTS.UPDATED),
+        ({ noteUpdated }, { id }, { user }) =>
+          (!id || noteUpdated.id === id) && canReadNote(user, noteUpdated)
+      ),
+    },
+    noteDeleted: {
+      subscribe: withFilter(
+        () => getPubSub().asyncIterator(NOTE_EVENTS.DELETED),
+        ({ note }, _, { user }) => canReadNote(user, note)
+      ),
+    },
+    notesByTagChanged: {
+      subscribe: withFilter(
+        () => getPubSub().asyncIterator(NOTE_EVENTS.CHANGED),
+        ({ notesByTagChanged }, { tag }, { user }) =>
+          notesByTagChanged.tags.includes(tag.trim().toLowerCase())
+          && canReadNote(user, notesByTagChanged.note)
+      ),
+    },
+  },
+
+  // Map GraphQL enum values to the values stored in MongoDB
+  Role: {
+    USER: 'user',
+    ADMIN: 'admin',
+  },
+  NoteVisibility: {
+    PRIVATE: 'private',
+    SHARED: 'shared',
+    PUBLIC: 'public',
+  },
+  CollaboratorRole: {
+    VIEWER: 'viewer',
+    EDITOR: 'editor',
+  },
+
   // Resolvers for nested fields
   User: {
-    notes: async (user) => {
-      try {
-        return await Note.find({ _id: { $in: user.notes } });
-      } catch (error) {
-        throw new Error('Error fetching user notes');
-      }
+    notes: async (user, _, { user: viewer, loaders }) => {
+      const notes = await loaders.notesByAuthor.load(user._id);
+      return notes.filter(note => canReadNote(viewer, note));
     },
+    notesConnection: (user, args, { user: viewer }) =>
+      paginate(Note, visibleNotes(viewer, { author: user._id }), args),
+    // Notes other users have shared with this user
+    sharedNotes: (user, _, { user: viewer }) =>
+      Note.find(visibleNotes(viewer, { 'collaborators.user': user._id })),
   },
   
   Note: {
-    author: async (note) => {
-      try {
-        return await User.findById(note.author);
-      } catch (error) {
-        throw new Error('Error fetching note author');
+    version: (note) => note.__v ?? 0,
+    contentHtml: (note) => renderMarkdown(note.content),
+    excerpt: (note, { length }) => {
+      if (length < 1 || length > MAX_EXCERPT_LENGTH) {
+        throw new ValidationError('Invalid excerpt length', {
+          length: `Must be between 1 and ${MAX_EXCERPT_LENGTH}`,
+        });
       }
+      return buildExcerpt(note.content, length);
     },
+    headings: (note) => extractHeadings(note.content),
+    // `_id` works whether or not the author was populated
+    author: (note, _, { loaders }) => loaders.userById.load(note.author._id),
+    revisions: (note, _, { loaders }) => loaders.revisionsByNote.load(note._id),
+    attachments: (note, _, { loaders }) => loaders.attachmentsByNote.load(note._id),
+  },
+  
+  Attachment: {
+    url: (attachment) => `/attachments/${attachment.id}`,
+    uploadedBy: (attachment, _, { loaders }) =>
+      (attachment.uploader ? loaders.userById.load(attachment.uploader) : null),
+  },
+  
+  Collaborator: {
+    user: (collaborator, _, { loaders }) => loaders.userById.load(collaborator.user),
+  },
+  
+  NoteRevision: {
+    editor: (revision, _, { loaders }) =>
+      (revision.editor ? loaders.userById.load(revision.editor) : null),
   },
 };
 
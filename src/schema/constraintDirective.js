@@ -0,0 +1,123 @@
+const { defaultFieldResolver, getNullableType, isInputObjectType, isListType } = require('graphql');
+const { mapSchema, getDirective, MapperKind } = require('@graphql-tools/utils');
+const { ValidationError } = require('../utils/errors');
+
+const constraintDirectiveTypeDefs = `
+  directive @constraint(
+    minLength: Int
+    maxLength: Int
+    pattern: String
+    maxItems: Int
+    itemMaxLength: Int
+  ) on INPUT_FIELD_DEFINITION | ARGUMENT_DEFINITION
+`;
+
+/**
+ * Checks a single value against a @constraint and records any violation
+ * @param {*} value - The argument or input field value
+ * @param {Object} constraint - The directive arguments
+ * @param {string} path - Dotted path of the value, used as the error key
+ * @param {Object} errors - Messages keyed by path, mutated
+ */
+function checkConstraint(value, constraint, path, errors) {
+  const { minLength, maxLength, pattern, maxItems, itemMaxLength } = constraint;
+
+  if (typeof value === 'string') {
+    if (minLength != null && value.length < minLength) {
+      errors[path] = `Must be at least ${minLength} characters`;
+    } else if (maxLength != null && value.length > maxLength) {
+      errors[path] = `Must be at most ${maxLength} characters`;
+    } else if (pattern != null && !new RegExp(pattern).test(value)) {
+      errors[path] = 'Has an invalid format';
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (maxItems != null && value.length > maxItems) {
+      errors[path] = `Must have at most ${maxItems} items`;
+    }
+    if (itemMaxLength != null) {
+      value.forEach((item, index) => {
+        if (typeof item === 'string' && item.length > itemMaxLength) {
+          errors[`${path}.${index}`] = `Must be at most ${itemMaxLength} characters`;
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Creates a @constraint schema transformer. Every field with a constrained
+ * argument (directly or nested in an input object) has its resolver
+ * wrapped to validate the arguments first and throw VALIDATION_FAILED
+ * with per-field messages.
+ * @param {string} directiveName - Name of the directive
+ * @returns {Function} - (schema) => schema
+ */
+function constraintDirectiveTransformer(directiveName = 'constraint') {
+  return (schema) => {
+    const constraintOf = (node) => getDirective(schema, node, directiveName)?.[0];
+
+    /**
+     * Walks a value along its input type, checking constraints on the way
+     */
+    const validate = (value, type, constraint, path, errors) => {
+      if (value == null) return;
+      if (constraint) checkConstraint(value, constraint, path, errors);
+
+      const nullable = getNullableType(type);
+      if (isListType(nullable)) {
+        value.forEach((item, index) =>
+          validate(item, nullable.ofType, null, `${path}.${index}`, errors)
+        );
+      } else if (isInputObjectType(nullable)) {
+        Object.values(nullable.getFields()).forEach((field) => {
+          validate(value[field.name], field.type, constraintOf(field), `${path}.${field.name}`, errors);
+        });
+      }
+    };
+
+    /**
+     * Whether a type can carry constraints anywhere inside it
+     */
+    const hasConstraints = (type, seen = new Set()) => {
+      let named = getNullableType(type);
+      while (isListType(named)) named = getNullableType(named.ofType);
+      if (!isInputObjectType(named) || seen.has(named)) return false;
+      seen.add(named);
+      return Object.values(named.getFields()).some(
+        (field) => constraintOf(field) || hasConstraints(field.type, seen)
+      );
+    };
+
+    return mapSchema(schema, {
+      [MapperKind.OBJECT_FIELD]: (fieldConfig) => {
+        const args = Object.entries(fieldConfig.args || {});
+        const constrained = args.some(
+          ([, arg]) => constraintOf(arg) || hasConstraints(arg.type)
+        );
+        if (!constrained) return fieldConfig;
+
+        const { resolve = defaultFieldResolver } = fieldConfig;
+        return {
+          ...fieldConfig,
+          resolve(source, argValues, context, info) {
+            const errors = {};
+            args.forEach(([name, arg]) => {
+              validate(argValues[name], arg.type, constraintOf(arg), name, errors);
+            });
+            if (Object.keys(errors).length > 0) {
+              throw new ValidationError('Validation failed', errors);
+            }
+            return resolve(source, argValues, context, info);
+          },
+        };
+      },
+    });
+  };
+}
+
+module.exports = {
+  constraintDirectiveTypeDefs,
+  constraintDirectiveTransformer,
+};
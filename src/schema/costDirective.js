@@ -0,0 +1,147 @@
+const {
+  Kind,
+  SchemaMetaFieldDef,
+  TypeMetaFieldDef,
+  getNamedType,
+  getNullableType,
+  isLeafType,
+  isListType,
+  isObjectType,
+  typeFromAST,
+} = require('graphql');
+const { getArgumentValues } = require('graphql/execution/values');
+const { getDirective } = require('@graphql-tools/utils');
+
+const costDirectiveTypeDefs = `
+  # Cost hints for query cost analysis. value replaces the field's own
+  # cost (0 for scalars, 1 otherwise); listSize is how many items a list
+  # field (or the list inside a connection) is assumed to return when no
+  # first/last argument says otherwise.
+  directive @cost(value: Int, listSize: Int) on FIELD_DEFINITION
+`;
+
+// Items assumed for a list field without a page size or listSize hint
+const DEFAULT_LIST_SIZE = 10;
+
+/**
+ * Measures how deep an operation nests and roughly how much work it asks
+ * for, before it runs. Each field costs its @cost value (or 0 for scalars
+ * and 1 for objects) plus the cost of its selections; list fields multiply
+ * that by the number of items they may return. A `first`/`last` argument
+ * on a non-list field (a connection) sets the size of the list inside it,
+ * falling back to the connection's listSize hint: its default page size.
+ * Negative page sizes count as 0. `__typename` is free; other introspection
+ * fields are measured like any other, except that `__Type.ofType` adds no
+ * depth or cost of its own, since how far it nests is bounded by the
+ * list and non-null wrappers in the schema.
+ * @param {GraphQLSchema} schema - The schema with @cost hints
+ * @param {DocumentNode} document - The parsed request
+ * @param {Object} options
+ * @param {string} options.operationName - Which operation to measure
+ * @param {Object} options.variables - The request variables
+ * @returns {{ depth: number, cost: number }|null} - Null when the operation isn't found
+ */
+function measureOperation(schema, document, { operationName, variables = {} } = {}) {
+  const fragments = {};
+  const operations = [];
+  document.definitions.forEach((definition) => {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+      fragments[definition.name.value] = definition;
+    } else if (definition.kind === Kind.OPERATION_DEFINITION) {
+      operations.push(definition);
+    }
+  });
+  const operation = operationName
+    ? operations.find((op) => op.name?.value === operationName)
+    : operations.length === 1 && operations[0];
+  const rootType = operation && schema.getRootType(operation.operation);
+  if (!rootType) return null;
+
+  const costOf = (node) => getDirective(schema, node, 'cost')?.[0] || {};
+
+  const fieldDefOf = (parentType, name) => {
+    if (parentType === schema.getQueryType()) {
+      if (name === SchemaMetaFieldDef.name) return SchemaMetaFieldDef;
+      if (name === TypeMetaFieldDef.name) return TypeMetaFieldDef;
+    }
+    return isObjectType(parentType) && parentType.getFields()[name];
+  };
+
+  const argumentsOf = (fieldDef, node) => {
+    try {
+      return getArgumentValues(fieldDef, node, variables);
+    } catch {
+      // Bad arguments fail validation anyway; price the field without them
+      return {};
+    }
+  };
+
+  /**
+   * Measures a selection set against its parent type
+   * @returns {{ depth: number, cost: number }}
+   */
+  const measureSelections = (selectionSet, parentType, pageSize) => {
+    let depth = 0;
+    let cost = 0;
+    selectionSet.selections.forEach((selection) => {
+      let result;
+      if (selection.kind === Kind.FIELD) {
+        result = measureField(selection, parentType, pageSize);
+      } else {
+        const fragment = selection.kind === Kind.FRAGMENT_SPREAD
+          ? fragments[selection.name.value]
+          : selection;
+        if (!fragment) return;
+        const type = fragment.typeCondition
+          ? typeFromAST(schema, fragment.typeCondition)
+          : parentType;
+        result = measureSelections(fragment.selectionSet, type || parentType, pageSize);
+      }
+      depth = Math.max(depth, result.depth);
+      cost += result.cost;
+    });
+    return { depth, cost };
+  };
+
+  /**
+   * Measures a single field, including everything selected below it
+   * @returns {{ depth: number, cost: number }}
+   */
+  const measureField = (node, parentType, pageSize) => {
+    const fieldDef = fieldDefOf(parentType, node.name.value);
+    if (!fieldDef) return { depth: 0, cost: 0 };
+
+    const hint = costOf(fieldDef);
+    const args = argumentsOf(fieldDef, node);
+    const pageArg = args.first ?? args.last;
+    // Negative sizes fail in the resolver, but must not lower the cost of siblings
+    const requested = pageArg == null ? pageArg : Math.max(0, pageArg);
+    const isList = isListType(getNullableType(fieldDef.type));
+    const namedType = getNamedType(fieldDef.type);
+
+    // A connection passes its page size down to the list inside it
+    const innerPageSize = isList ? undefined : (requested ?? hint.listSize);
+    const children = node.selectionSet
+      ? measureSelections(node.selectionSet, namedType, innerPageSize)
+      : { depth: 0, cost: 0 };
+    if (parentType.name === '__Type' && node.name.value === 'ofType') {
+      return children;
+    }
+
+    const ownCost = hint.value ?? (isLeafType(namedType) ? 0 : 1);
+    const items = isList ? (requested ?? pageSize ?? hint.listSize ?? DEFAULT_LIST_SIZE) : 1;
+
+    return {
+      depth: children.depth + 1,
+      cost: items * (ownCost + children.cost),
+    };
+  };
+
+  return measureSelections(operation.selectionSet, rootType, undefined);
+}
+
+module.exports = {
+  costDirectiveTypeDefs,
+  measureOperation,
+  DEFAULT_LIST_SIZE,
+};
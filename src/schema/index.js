@@ -0,0 +1,17 @@
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const typeDefs = require('./typeDefs');
+const resolvers = require('../resolvers');
+const {
+  constraintDirectiveTypeDefs,
+  constraintDirectiveTransformer,
+} = require('./constraintDirective');
+const { costDirectiveTypeDefs } = require('./costDirective');
+
+// Build the executable schema and apply schema directives
+let schema = makeExecutableSchema({
+  typeDefs: [constraintDirectiveTypeDefs, costDirectiveTypeDefs, typeDefs],
+  resolvers,
+});
+schema = constraintDirectiveTransformer()(schema);
+
+module.exports = schema;
@@ -0,0 +1,62 @@
+const { GraphQLScalarType, GraphQLError, Kind } = require('graphql');
+const { EMAIL_PATTERN } = require('../utils/limits');
+
+/**
+ * Builds a string scalar whose values pass through `parse`
+ * @param {Object} config
+ * @param {string} config.name - Scalar name
+ * @param {string} config.description - Scalar description
+ * @param {Function} config.parse - Validates and normalizes a string,
+ *   throwing an Error with a user-facing message when invalid
+ * @returns {GraphQLScalarType}
+ */
+function createStringScalar({ name, description, parse }) {
+  const parseString = (value) => {
+    if (typeof value !== 'string') {
+      throw new GraphQLError(`${name} must be a string`);
+    }
+    try {
+      return parse(value);
+    } catch (error) {
+      throw new GraphQLError(error.message);
+    }
+  };
+
+  return new GraphQLScalarType({
+    name,
+    description,
+    serialize: (value) => value,
+    parseValue: parseString,
+    parseLiteral: (ast) => {
+      if (ast.kind !== Kind.STRING) {
+        throw new GraphQLError(`${name} must be a string`, { nodes: ast });
+      }
+      return parseString(ast.value);
+    },
+  });
+}
+
+const Email = createStringScalar({
+  name: 'Email',
+  description: 'An email address, normalized to lowercase',
+  parse: (value) => {
+    const email = value.trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(email)) {
+      throw new Error('Must be a valid email address');
+    }
+    return email;
+  },
+});
+
+const NonEmptyString = createStringScalar({
+  name: 'NonEmptyString',
+  description: 'A string containing at least one non-whitespace character',
+  parse: (value) => {
+    if (!value.trim()) {
+      throw new Error('Must not be empty');
+    }
+    return value;
+  },
+});
+
+module.exports = { Email, NonEmptyString };
@@ -1,57 +1,421 @@
 const { gql } = require('apollo-server-express');
+const { LIMITS } = require('../utils/limits');
+const { DEFAULT_EXCERPT_LENGTH } = require('../utils/markdown');
+const { MAX_PAGE_SIZE } = require('../utils/pagination');
+const { DEFAULT_PAGE_SIZE: SEARCH_PAGE_SIZE } = require('../utils/search');
+
+const { user: userLimits, note: noteLimits } = LIMITS;
 
 const typeDefs = gql`
+  scalar Email
+  scalar NonEmptyString
+  # A file sent as part of a multipart request
+  scalar Upload
+
+  enum Role {
+    USER
+    ADMIN
+  }
+
   type User {
     id: ID!
     username: String!
     email: String!
-    notes: [Note!]!
+    role: Role!
+    notes: [Note!]! @cost(listSize: 20)
+    notesConnection(first: Int, after: String, last: Int, before: String): NoteConnection! @cost(listSize: ${MAX_PAGE_SIZE})
+    # Notes other users have shared with this user
+    sharedNotes: [Note!]! @cost(listSize: 20)
     createdAt: String!
     updatedAt: String!
   }
 
+  # Who can read a note
+  enum NoteVisibility {
+    # Only the author
+    PRIVATE
+    # The author and collaborators
+    SHARED
+    # Everyone, including signed-out visitors
+    PUBLIC
+  }
+
+  enum CollaboratorRole {
+    # Can read the note
+    VIEWER
+    # Can also change its title, content and tags
+    EDITOR
+  }
+
+  type Collaborator {
+    user: User!
+    role: CollaboratorRole!
+  }
+
+  # A heading in a note's Markdown content
+  type NoteHeading {
+    # 1 for #, 2 for ##, and so on
+    level: Int!
+    text: String!
+    # Matches the id of the heading in contentHtml
+    slug: String!
+  }
+
   type Note {
     id: ID!
     title: String!
+    # Markdown source
     content: String!
+    # Content rendered from Markdown and sanitized; safe to insert as HTML
+    contentHtml: String! @cost(value: 1)
+    # Plain-text start of the content with Markdown stripped
+    excerpt(length: Int = ${DEFAULT_EXCERPT_LENGTH}): String!
+    # Outline of the content's headings
+    headings: [NoteHeading!]!
     author: User!
     tags: [String!]!
+    # Incremented on every update; pass to UpdateNoteInput.expectedVersion
+    version: Int!
+    # Every saved state of the note, newest first
+    revisions: [NoteRevision!]! @cost(listSize: 20)
     createdAt: String!
     updatedAt: String!
+    # When the note was moved to the trash; null unless it is in the trash
+    deletedAt: String
+    visibility: NoteVisibility!
+    collaborators: [Collaborator!]!
+    # Oldest first
+    attachments: [Attachment!]!
+  }
+
+  type Attachment {
+    id: ID!
+    filename: String!
+    mimeType: String!
+    # In bytes
+    size: Int!
+    # Download path; send the same Authorization header as for /graphql
+    url: String!
+    # Null if the uploader has since been deleted
+    uploadedBy: User
+    createdAt: String!
+  }
+
+  type PageInfo {
+    hasNextPage: Boolean!
+    hasPreviousPage: Boolean!
+    startCursor: String
+    endCursor: String
+  }
+
+  type UserEdge {
+    cursor: String!
+    node: User!
+  }
+
+  type UserConnection {
+    edges: [UserEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type NoteEdge {
+    cursor: String!
+    node: Note!
+  }
+
+  type NoteConnection {
+    edges: [NoteEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type NoteSearchEdge {
+    cursor: String!
+    node: Note!
+    # Text relevance score; results are ordered by it, highest first
+    score: Float!
+    # HTML-escaped title with matched terms wrapped in <mark>
+    highlightedTitle: String!
+    # HTML-escaped excerpt of the content around the first match
+    snippet: String!
+  }
+
+  type NoteSearchConnection {
+    edges: [NoteSearchEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  input NoteSearchFilter {
+    # Notes must carry all of these tags
+    tags: [String!]
+    authorId: ID
+    createdAfter: String
+    createdBefore: String
+  }
+
+  # A snapshot of a note as it was after one change
+  type NoteRevision {
+    id: ID!
+    # The note version this snapshot was taken at
+    version: Int!
+    title: String!
+    content: String!
+    tags: [String!]!
+    # Who made the change; null if that user has been deleted
+    editor: User
+    createdAt: String!
+  }
+
+  enum DiffLineType {
+    ADDED
+    REMOVED
+    UNCHANGED
+  }
+
+  type DiffLine {
+    type: DiffLineType!
+    text: String!
+    # 1-based line numbers; null on the side the line doesn't exist
+    oldLineNumber: Int
+    newLineNumber: Int
+  }
+
+  type NoteRevisionDiff {
+    from: NoteRevision!
+    to: NoteRevision!
+    titleChanged: Boolean!
+    addedTags: [String!]!
+    removedTags: [String!]!
+    additions: Int!
+    deletions: Int!
+    # Line-based diff of the content
+    lines: [DiffLine!]!
+  }
+
+  # Inclusive date range; either end may be omitted
+  input DateRange {
+    from: String
+    to: String
+  }
+
+  input NoteFilter {
+    # Notes must carry every one of these tags
+    tagsAll: [String!] @constraint(maxItems: ${noteLimits.maxTags}, itemMaxLength: ${noteLimits.tagMaxLength})
+    # Notes must carry at least one of these tags
+    tagsAny: [String!] @constraint(maxItems: ${noteLimits.maxTags}, itemMaxLength: ${noteLimits.tagMaxLength})
+    # Notes must carry none of these tags
+    tagsNone: [String!] @constraint(maxItems: ${noteLimits.maxTags}, itemMaxLength: ${noteLimits.tagMaxLength})
+    authorId: ID
+    createdAt: DateRange
+    updatedAt: DateRange
+    # Case-insensitive match on the start of the title
+    titlePrefix: String @constraint(maxLength: ${noteLimits.titleMaxLength})
+  }
+
+  enum NoteOrderField {
+    TITLE
+    CREATED_AT
+    UPDATED_AT
+  }
+
+  enum SortDirection {
+    ASC
+    DESC
+  }
+
+  input NoteOrder {
+    field: NoteOrderField!
+    direction: SortDirection = ASC
+  }
+
+  enum NoteChangeType {
+    CREATED
+    UPDATED
+    DELETED
+  }
+
+  type NoteChange {
+    type: NoteChangeType!
+    # For DELETED, a snapshot of the note as it was before deletion
+    note: Note!
+  }
+
+  type TagCount {
+    name: String!
+    # Number of notes carrying the tag
+    count: Int!
+  }
+
+  # Result of renameTag and mergeTags
+  type TagRewriteResult {
+    # The surviving tag, with its count after the rewrite
+    tag: TagCount!
+    notesUpdated: Int!
+  }
+
+  # Result of reconcileNoteOwnership
+  type OwnershipReport {
+    # True when drift was only reported, not repaired
+    dryRun: Boolean!
+    usersChecked: Int!
+    usersRepaired: Int!
+    # Notes missing from their author's User.notes
+    missingRefs: Int!
+    # Entries in User.notes pointing at notes the user doesn't author
+    staleRefs: Int!
+    # Notes whose author no longer exists; left untouched
+    orphanedNoteIds: [ID!]!
+  }
+
+  type AuthPayload {
+    token: String!
+    user: User!
   }
 
   type Query {
+    # Auth queries
+    me: User
+
     # User queries
-    users: [User!]!
+    users: [User!]! @cost(listSize: 50)
     user(id: ID!): User
+    usersConnection(first: Int, after: String, last: Int, before: String): UserConnection! @cost(listSize: ${MAX_PAGE_SIZE})
     
     # Note queries
-    notes: [Note!]!
+    # Defaults to oldest first; later orderBy entries break ties
+    notes(filter: NoteFilter, orderBy: [NoteOrder!] @constraint(maxItems: 3)): [Note!]! @cost(listSize: 50)
     note(id: ID!): Note
-    notesByTag(tag: String!): [Note!]!
+    notesByTag(tag: String!): [Note!]! @cost(listSize: 50)
+    # Compares two versions of a note's content
+    noteRevisionDiff(noteId: ID!, from: Int!, to: Int!): NoteRevisionDiff! @cost(value: 10)
+    # Your notes in the trash (everyone's for admins), most recently deleted first
+    trashedNotes: [Note!]! @cost(listSize: 50)
+    notesConnection(tag: String, first: Int, after: String, last: Int, before: String): NoteConnection! @cost(listSize: ${MAX_PAGE_SIZE})
+    # Tags by note count, most used first; pass prefix to autocomplete
+    tags(prefix: String @constraint(maxLength: ${noteLimits.tagMaxLength}), first: Int): [TagCount!]!
+    searchNotes(query: String! @constraint(maxLength: 200), filter: NoteSearchFilter, first: Int, after: String): NoteSearchConnection! @cost(value: 10, listSize: ${SEARCH_PAGE_SIZE})
   }
 
   input CreateUserInput {
-    username: String!
-    email: String!
-    password: String!
+    username: NonEmptyString! @constraint(
+      minLength: ${userLimits.usernameMinLength}
+      maxLength: ${userLimits.usernameMaxLength}
+      pattern: "${userLimits.usernamePattern}"
+    )
+    email: Email! @constraint(maxLength: ${userLimits.emailMaxLength})
+    password: String! @constraint(
+      minLength: ${userLimits.passwordMinLength}
+      maxLength: ${userLimits.passwordMaxLength}
+    )
+  }
+
+  # Patch for updateUser: omitted fields are left unchanged
+  input UpdateUserInput {
+    username: NonEmptyString @constraint(
+      minLength: ${userLimits.usernameMinLength}
+      maxLength: ${userLimits.usernameMaxLength}
+      pattern: "${userLimits.usernamePattern}"
+    )
+    email: Email @constraint(maxLength: ${userLimits.emailMaxLength})
+  }
+
+  # What happens to a deleted user's notes
+  enum DeleteUserStrategy {
+    # Delete the notes with the user
+    CASCADE
+    # Hand the notes over to another user (see deleteUser.reassignTo)
+    REASSIGN
   }
 
   input CreateNoteInput {
-    title: String!
-    content: String!
-    tags: [String!]!
-    authorId: ID!
+    title: NonEmptyString! @constraint(maxLength: ${noteLimits.titleMaxLength})
+    content: NonEmptyString! @constraint(maxLength: ${noteLimits.contentMaxLength})
+    tags: [NonEmptyString!]! @constraint(
+      maxItems: ${noteLimits.maxTags}
+      itemMaxLength: ${noteLimits.tagMaxLength}
+    )
+    # Defaults to PRIVATE
+    visibility: NoteVisibility
+  }
+
+  # Patch for updateNote: omitted fields are left unchanged
+  input UpdateNoteInput {
+    title: NonEmptyString @constraint(maxLength: ${noteLimits.titleMaxLength})
+    content: NonEmptyString @constraint(maxLength: ${noteLimits.contentMaxLength})
+    # Replaces all tags; pass null or [] to clear them
+    tags: [NonEmptyString!] @constraint(
+      maxItems: ${noteLimits.maxTags}
+      itemMaxLength: ${noteLimits.tagMaxLength}
+    )
+    # Add or remove individual tags; cannot be combined with tags
+    addTags: [NonEmptyString!] @constraint(
+      maxItems: ${noteLimits.maxTags}
+      itemMaxLength: ${noteLimits.tagMaxLength}
+    )
+    removeTags: [NonEmptyString!]
+    # Fail with CONFLICT unless the note is still at this version
+    expectedVersion: Int
   }
 
   type Mutation {
+    # Auth mutations
+    signup(input: CreateUserInput!): AuthPayload!
+    login(email: String!, password: String!): AuthPayload!
+
     # User mutations
     createUser(input: CreateUserInput!): User!
+    updateUser(id: ID!, input: UpdateUserInput!): User!
+    changePassword(
+      oldPassword: String!
+      newPassword: String! @constraint(
+        minLength: ${userLimits.passwordMinLength}
+        maxLength: ${userLimits.passwordMaxLength}
+      )
+    ): Boolean!
+    deleteUser(id: ID!, strategy: DeleteUserStrategy!, reassignTo: ID): Boolean!
+    # Admin only: repair User.notes from Note.author
+    reconcileNoteOwnership(dryRun: Boolean = false): OwnershipReport!
     
     # Note mutations
     createNote(input: CreateNoteInput!): Note!
-    updateNote(id: ID!, title: String, content: String, tags: [String!]): Note!
+    updateNote(id: ID!, input: UpdateNoteInput!): Note!
+    # Sharing mutations (author or admin only). Sharing a private note
+    # makes it SHARED.
+    shareNote(noteId: ID!, userId: ID!, role: CollaboratorRole!): Note!
+    unshareNote(noteId: ID!, userId: ID!): Note!
+    setNoteVisibility(id: ID!, visibility: NoteVisibility!): Note!
+    # Moves the note to the trash
     deleteNote(id: ID!): Boolean
+    restoreNote(id: ID!): Note!
+    # Permanently deletes a note that is already in the trash
+    purgeNote(id: ID!): Boolean!
+    # Brings back an earlier version's title, content and tags as a new version
+    restoreNoteRevision(id: ID!, version: Int!, expectedVersion: Int): Note!
+    # Attachment mutations (anyone who may edit the note)
+    attachFile(noteId: ID!, file: Upload!): Attachment!
+    removeAttachment(id: ID!): Boolean!
+
+    # Tag mutations (admin only); rewrite every affected note in bulk
+    renameTag(
+      from: NonEmptyString!
+      to: NonEmptyString! @constraint(maxLength: ${noteLimits.tagMaxLength})
+    ): TagRewriteResult!
+    mergeTags(
+      sources: [NonEmptyString!]! @constraint(maxItems: ${noteLimits.maxTags})
+      target: NonEmptyString! @constraint(maxLength: ${noteLimits.tagMaxLength})
+    ): TagRewriteResult!
+  }
+
+  type Subscription {
+    noteCreated: Note!
+    # Omit id to receive updates to every note
+    noteUpdated(id: ID): Note!
+    # Emits the ID of the deleted note
+    noteDeleted: ID!
+    # Any change to a note that has (or had) the tag
+    notesByTagChanged(tag: String!): NoteChange!
   }
 `;
 
@@ -0,0 +1,149 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+const Attachment = require('../models/Attachment');
+const { canReadNote } = require('./auth');
+const { ValidationError } = require('./errors');
+const { LIMITS } = require('./limits');
+const { getStorage } = require('./storage');
+const { logger } = require('./logger');
+
+const limits = LIMITS.attachment;
+
+/**
+ * Cleans up a client-supplied filename: no directories, no control
+ * characters
+ * @param {string} filename - The name the client sent
+ * @returns {string}
+ */
+function cleanFilename(filename) {
+  const base = path.basename(String(filename).replace(/\\/g, '/'));
+  return base.replace(/\p{Cc}/gu, '').trim();
+}
+
+/**
+ * Stores an uploaded file and attaches it to a note. Checks the type and
+ * count limits before storing and the size limit while storing.
+ * @param {Object} note - The note document
+ * @param {Promise<Object>} upload - The `Upload` argument from graphql-upload
+ * @param {Object} uploaderId - ID of the user attaching the file
+ * @returns {Promise<Object>} - The created attachment
+ */
+async function attachFileToNote(note, upload, uploaderId) {
+  const { filename, mimetype, createReadStream } = await upload;
+
+  const name = cleanFilename(filename);
+  if (!name || name.length > limits.filenameMaxLength) {
+    throw new ValidationError('Invalid filename', {
+      file: `Must have a name of 1 to ${limits.filenameMaxLength} characters`,
+    });
+  }
+  if (!limits.mimeTypes.includes(mimetype)) {
+    throw new ValidationError('Unsupported file type', {
+      file: `Must be one of ${limits.mimeTypes.join(', ')}`,
+    });
+  }
+  const count = await Attachment.countDocuments({ note: note._id });
+  if (count >= limits.maxPerNote) {
+    throw new ValidationError('Too many attachments', {
+      noteId: `A note can have at most ${limits.maxPerNote} attachments`,
+    });
+  }
+
+  const storage = getStorage();
+  let stored;
+  try {
+    stored = await storage.save(createReadStream());
+  } catch (error) {
+    // graphql-upload fails the stream with a 413 past maxFileSize
+    if (error.status === 413) {
+      throw new ValidationError('File is too large', {
+        file: `Must be at most ${limits.maxFileSize} bytes`,
+      });
+    }
+    throw error;
+  }
+
+  try {
+    return await Attachment.create({
+      note: note._id,
+      uploader: uploaderId,
+      filename: name,
+      mimeType: mimetype,
+      size: stored.size,
+      storageKey: stored.key,
+    });
+  } catch (error) {
+    await storage.remove(stored.key);
+    throw error;
+  }
+}
+
+/**
+ * Deletes stored files. Failures are logged rather than thrown, since the
+ * attachment documents are already gone by the time this runs.
+ * @param {Array<Object>} attachments - Attachments whose files to delete
+ * @returns {Promise<void>}
+ */
+async function removeStoredFiles(attachments) {
+  const storage = getStorage();
+  const results = await Promise.allSettled(
+    attachments.map((attachment) => storage.remove(attachment.storageKey))
+  );
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) => logger.error('Failed to remove attachment file', { error: result.reason }));
+}
+
+/**
+ * Deletes the attachment documents of some notes. Call removeStoredFiles
+ * with the result once the surrounding transaction has committed.
+ * @param {Array} noteIds - IDs of the notes
+ * @param {ClientSession} session - Session of the surrounding transaction
+ * @returns {Promise<Array<Object>>} - The deleted attachments
+ */
+async function deleteNoteAttachments(noteIds, session) {
+  const attachments = await Attachment.find({ note: { $in: noteIds } }).session(session);
+  await Attachment.deleteMany({ note: { $in: noteIds } }, { session });
+  return attachments;
+}
+
+/**
+ * Express handler for `GET /attachments/:id`. Anyone who can read the
+ * note can download its attachments; for everyone else they don't exist.
+ * @param {Object} req - The Express request, with `req.user` set by authMiddleware
+ * @param {Object} res - The Express response
+ * @param {Function} next - Passes errors on to Express
+ */
+async function downloadAttachment(req, res, next) {
+  try {
+    const attachment = mongoose.isValidObjectId(req.params.id)
+      && await Attachment.findById(req.params.id);
+    const note = attachment && await Note.findById(attachment.note);
+    if (!note || note.deletedAt || !canReadNote(req.user || null, note)) {
+      res.status(404).json({ error: 'Attachment not found' });
+      return;
+    }
+
+    const stream = getStorage().createReadStream(attachment.storageKey);
+    stream.once('error', next);
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      // Serve the stored type as-is and never render the file in our origin
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'; sandbox",
+    });
+    res.attachment(attachment.filename);
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  attachFileToNote,
+  removeStoredFiles,
+  deleteNoteAttachments,
+  downloadAttachment,
+};
@@ -0,0 +1,247 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Note = require('../models/Note');
+const { AuthenticationError, ForbiddenError, NotFoundError } = require('./errors');
+const { config } = require('../config');
+
+/**
+ * Signs a JWT for the given user
+ * @param {Object} user - The user document
+ * @returns {string} - The signed token
+ */
+function createToken(user) {
+  return jwt.sign({ sub: user.id }, config.jwtSecret, { expiresIn: config.jwtExpiresIn });
+}
+
+/**
+ * Extracts the bearer token from an Authorization header
+ * @param {string} header - The Authorization header value
+ * @returns {string|null} - The token, or null if none was sent
+ */
+function getBearerToken(header) {
+  if (!header) return null;
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+  return token;
+}
+
+/**
+ * Resolves the user a token was issued for
+ * @param {string} token - The JWT to verify
+ * @returns {Promise<Object|null>} - The user, or null if the token is invalid
+ */
+async function getUserFromToken(token) {
+  try {
+    const { sub } = jwt.verify(token, config.jwtSecret);
+    return await User.findById(sub);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Express middleware that verifies the bearer token and sets `req.user`.
+ * Requests without a valid token continue unauthenticated.
+ */
+async function authMiddleware(req, res, next) {
+  const token = getBearerToken(req.headers.authorization);
+  if (token) {
+    req.user = await getUserFromToken(token);
+  }
+  next();
+}
+
+/**
+ * Wraps a resolver so it only runs for authenticated callers
+ * @param {Function} resolver - The resolver to protect
+ * @returns {Function} - The wrapped resolver
+ */
+function requireAuth(resolver) {
+  return (parent, args, context, info) => {
+    if (!context.user) {
+      throw new AuthenticationError();
+    }
+    return resolver(parent, args, context, info);
+  };
+}
+
+/**
+ * Returns the ID of a note's author, whether or not it was populated
+ * @param {Object} note - The note document
+ * @returns {string}
+ */
+function authorIdOf(note) {
+  return String(note.author?._id || note.author);
+}
+
+/**
+ * Returns the role a user was given on a note, if any
+ * @param {Object} user - The authenticated user
+ * @param {Object} note - The note document
+ * @returns {string|null} - 'viewer', 'editor' or null
+ */
+function collaboratorRole(user, note) {
+  if (!user) return null;
+  const entry = (note.collaborators || []).find(
+    (collaborator) => String(collaborator.user?._id || collaborator.user) === String(user._id)
+  );
+  return entry ? entry.role : null;
+}
+
+/**
+ * Checks whether a user may modify a note's ownership, sharing and
+ * lifecycle: its author or an admin
+ * @param {Object} user - The authenticated user
+ * @param {Object} note - The note document
+ * @returns {boolean}
+ */
+function canModifyNote(user, note) {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  return authorIdOf(note) === String(user._id);
+}
+
+/**
+ * Checks whether a user may read a note. Public notes are readable by
+ * anyone, shared notes by their collaborators, and private notes only by
+ * their author. Notes saved before visibility existed count as private.
+ * @param {Object|null} user - The authenticated user, if any
+ * @param {Object} note - The note document
+ * @returns {boolean}
+ */
+function canReadNote(user, note) {
+  if (note.visibility === 'public') return true;
+  if (canModifyNote(user, note)) return true;
+  return note.visibility === 'shared' && collaboratorRole(user, note) !== null;
+}
+
+/**
+ * Checks whether a user may edit a note's title, content and tags: the
+ * author, an admin, or an editor on a note that isn't private
+ * @param {Object|null} user - The authenticated user, if any
+ * @param {Object} note - The note document
+ * @returns {boolean}
+ */
+function canEditNote(user, note) {
+  if (canModifyNote(user, note)) return true;
+  return note.visibility !== 'private' && collaboratorRole(user, note) === 'editor';
+}
+
+/**
+ * Builds a Mongo filter matching the notes a user may read; the query
+ * counterpart of canReadNote
+ * @param {Object|null} user - The authenticated user, if any
+ * @returns {Object} - Mongo filter
+ */
+function readableNoteFilter(user) {
+  if (!user) return { visibility: 'public' };
+  if (user.role === 'admin') return {};
+  return {
+    $or: [
+      { visibility: 'public' },
+      { author: user._id },
+      { visibility: 'shared', 'collaborators.user': user._id },
+    ],
+  };
+}
+
+/**
+ * Wraps a note resolver so it only runs when `check(user, note)` passes
+ * for the note identified by `args[idArg]`. Notes the caller can't read
+ * are reported as not found so their existence isn't revealed.
+ * @param {Function} check - Permission check, e.g. canEditNote
+ * @param {string} message - Error message when the check fails
+ * @param {Function} resolver - The resolver to protect
+ * @param {string} idArg - Name of the argument holding the note ID
+ * @returns {Function} - The wrapped resolver
+ */
+function requireNotePermission(check, message, resolver, idArg) {
+  return requireAuth(async (parent, args, context, info) => {
+    const note = await Note.findById(args[idArg]);
+    if (!note || !canReadNote(context.user, note)) {
+      throw new NotFoundError('Note');
+    }
+    if (!check(context.user, note)) {
+      throw new ForbiddenError(message);
+    }
+    return resolver(parent, args, context, info);
+  });
+}
+
+/**
+ * Wraps a note mutation resolver so it only runs when the caller owns the
+ * note (or is an admin)
+ * @param {Function} resolver - The resolver to protect
+ * @param {string} idArg - Name of the argument holding the note ID
+ * @returns {Function} - The wrapped resolver
+ */
+function requireNoteOwner(resolver, idArg = 'id') {
+  return requireNotePermission(
+    canModifyNote,
+    'Only the author can do this to the note',
+    resolver,
+    idArg
+  );
+}
+
+/**
+ * Wraps a note mutation resolver so it only runs when the caller may
+ * edit the note's contents
+ * @param {Function} resolver - The resolver to protect
+ * @param {string} idArg - Name of the argument holding the note ID
+ * @returns {Function} - The wrapped resolver
+ */
+function requireNoteEditor(resolver, idArg = 'id') {
+  return requireNotePermission(
+    canEditNote,
+    'You are not allowed to modify this note',
+    resolver,
+    idArg
+  );
+}
+
+/**
+ * Wraps a user mutation resolver so it only runs when the caller is the
+ * user identified by `args.id` or an admin
+ * @param {Function} resolver - The resolver to protect
+ * @returns {Function} - The wrapped resolver
+ */
+function requireSelfOrAdmin(resolver) {
+  return requireAuth((parent, args, context, info) => {
+    const { user } = context;
+    if (user.role !== 'admin' && String(user._id) !== String(args.id)) {
+      throw new ForbiddenError('You are not allowed to modify this user');
+    }
+    return resolver(parent, args, context, info);
+  });
+}
+
+/**
+ * Wraps a resolver so it only runs for admins
+ * @param {Function} resolver - The resolver to protect
+ * @returns {Function} - The wrapped resolver
+ */
+function requireAdmin(resolver) {
+  return requireAuth((parent, args, context, info) => {
+    if (context.user.role !== 'admin') {
+      throw new ForbiddenError('Only admins can do this');
+    }
+    return resolver(parent, args, context, info);
+  });
+}
+
+module.exports = {
+  createToken,
+  getBearerToken,
+  getUserFromToken,
+  authMiddleware,
+  requireAuth,
+  canModifyNote,
+  canReadNote,
+  canEditNote,
+  readableNoteFilter,
+  requireNoteOwner,
+  requireNoteEditor,
+  requireSelfOrAdmin,
+  requireAdmin,
+};
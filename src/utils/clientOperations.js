@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+
+// The browser client served from public/
+const CLIENT_FILE = path.join(__dirname, '../../public/js/script.js');
+
+/**
+ * Extracts every GraphQL operation written as a template literal in the
+ * client, expanding `${name}` placeholders that refer to other template
+ * constants in the same file. Each document is exactly the string the
+ * client sends, so its hash matches the one the client computes.
+ * @param {string} source - The client source code
+ * @returns {Array<{ name: string, type: string, document: string }>}
+ */
+function extractOperations(source) {
+  const constants = {};
+  for (const [, name, body] of source.matchAll(/const (\w+) = `([^`]*)`/g)) {
+    constants[name] = body;
+  }
+
+  const operations = [];
+  for (const [, body] of source.matchAll(/`(\s*(?:query|mutation|subscription)\b[^`]*)`/g)) {
+    const document = body.replace(/\$\{(\w+)\}/g, (match, name) => {
+      if (!(name in constants)) {
+        throw new Error(`Cannot expand ${match} in client operation`);
+      }
+      return constants[name];
+    });
+    const [, type, name = '(anonymous)'] = /(query|mutation|subscription)\s*(\w+)?/.exec(document);
+    operations.push({ name, type, document });
+  }
+  return operations;
+}
+
+/**
+ * Reads the client file and extracts its operations
+ * @param {string} file - Path of the client source
+ * @returns {Array<{ name: string, type: string, document: string }>}
+ */
+function readClientOperations(file = CLIENT_FILE) {
+  return extractOperations(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = {
+  CLIENT_FILE,
+  extractOperations,
+  readClientOperations,
+};
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { logger } = require('./logger');
+
+/**
+ * Waits for a while, or less if the signal aborts first
+ * @param {number} ms - How long to wait
+ * @param {AbortSignal} signal - Cuts the wait short
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Connects Mongoose to the database, retrying with exponential backoff
+ * (plus jitter) until it succeeds or the signal aborts
+ * @param {string} uri - The MongoDB connection string
+ * @param {Object} options
+ * @param {number} options.initialDelayMs - Wait after the first failure
+ * @param {number} options.maxDelayMs - Longest wait between attempts
+ * @param {number} options.serverSelectionTimeoutMs - How long one attempt waits for a server
+ * @param {AbortSignal} options.signal - Stops retrying, e.g. on shutdown
+ * @returns {Promise<boolean>} - True once connected, false if aborted
+ */
+async function connectWithRetry(uri, {
+  initialDelayMs = 1000,
+  maxDelayMs = 30000,
+  serverSelectionTimeoutMs = 5000,
+  signal,
+} = {}) {
+  for (let attempt = 1; !signal?.aborted; attempt += 1) {
+    try {
+      await mongoose.connect(uri, { serverSelectionTimeoutMS: serverSelectionTimeoutMs });
+      return true;
+    } catch (error) {
+      // Shutdown closed the client under a pending attempt
+      if (signal?.aborted) break;
+      const backoff = Math.min(maxDelayMs, initialDelayMs * 2 ** (attempt - 1));
+      // Spread retries out so restarted instances don't all hit the database at once
+      const delay = Math.round(backoff / 2 + Math.random() * (backoff / 2));
+      logger.warn('MongoDB connection attempt failed', {
+        attempt,
+        retryInMs: delay,
+        reason: error.message,
+      });
+      await wait(delay, signal);
+    }
+  }
+  return false;
+}
+
+/**
+ * Closes the database connection. An attempt that is still connecting is
+ * cut short instead of waited for, so shutdown doesn't hang while MongoDB
+ * is unreachable.
+ * @returns {Promise<void>}
+ */
+async function closeConnection() {
+  if (mongoose.connection.readyState === mongoose.ConnectionStates.connected) {
+    await mongoose.disconnect();
+  } else {
+    await mongoose.connection.getClient()?.close(true);
+  }
+}
+
+/**
+ * Logs when an established connection drops and comes back. Mongoose
+ * reconnects on its own; this only makes it visible.
+ */
+function watchConnection() {
+  const db = mongoose.connection;
+  db.on('disconnected', () => logger.warn('MongoDB disconnected'));
+  db.on('reconnected', () => logger.info('MongoDB reconnected'));
+  db.on('error', (error) => logger.error('MongoDB connection error', { error }));
+}
+
+module.exports = {
+  connectWithRetry,
+  closeConnection,
+  watchConnection,
+};
@@ -0,0 +1,219 @@
+const { ApolloError } = require('apollo-server-express');
+const { GraphQLError } = require('graphql');
+const mongoose = require('mongoose');
+
+/**
+ * Error codes exposed to clients via `extensions.code`
+ */
+const ERROR_CODES = {
+  NOT_FOUND: 'NOT_FOUND',
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  CONFLICT: 'CONFLICT',
+  UNAUTHENTICATED: 'UNAUTHENTICATED',
+  FORBIDDEN: 'FORBIDDEN',
+  QUERY_TOO_COMPLEX: 'QUERY_TOO_COMPLEX',
+  RATE_LIMITED: 'RATE_LIMITED',
+  OPERATION_NOT_ALLOWED: 'OPERATION_NOT_ALLOWED',
+  INTERNAL_SERVER_ERROR: 'INTERNAL_SERVER_ERROR',
+};
+
+class NotFoundError extends ApolloError {
+  /**
+   * @param {string} resource - What was looked up, e.g. 'Note'
+   */
+  constructor(resource) {
+    super(`${resource} not found`, ERROR_CODES.NOT_FOUND, { resource });
+    Object.defineProperty(this, 'name', { value: 'NotFoundError' });
+  }
+}
+
+class ValidationError extends ApolloError {
+  /**
+   * @param {string} message - Summary of what is wrong
+   * @param {Object<string, string>} fields - Messages keyed by field path
+   */
+  constructor(message, fields = {}) {
+    super(message, ERROR_CODES.VALIDATION_FAILED, { fields });
+    Object.defineProperty(this, 'name', { value: 'ValidationError' });
+  }
+}
+
+class ConflictError extends ApolloError {
+  /**
+   * @param {string} message - Summary of the conflict
+   * @param {Object<string, string>} fields - Messages keyed by clashing field
+   */
+  constructor(message, fields = {}) {
+    super(message, ERROR_CODES.CONFLICT, { fields });
+    Object.defineProperty(this, 'name', { value: 'ConflictError' });
+  }
+}
+
+class AuthenticationError extends ApolloError {
+  constructor(message = 'You must be logged in to do this') {
+    super(message, ERROR_CODES.UNAUTHENTICATED);
+    Object.defineProperty(this, 'name', { value: 'AuthenticationError' });
+  }
+}
+
+class ForbiddenError extends ApolloError {
+  constructor(message = 'You are not allowed to do this') {
+    super(message, ERROR_CODES.FORBIDDEN);
+    Object.defineProperty(this, 'name', { value: 'ForbiddenError' });
+  }
+}
+
+class QueryTooComplexError extends ApolloError {
+  /**
+   * @param {string} message - Which limit was exceeded
+   * @param {Object} measurement - Depth and cost of the query, and their limits
+   */
+  constructor(message, measurement = {}) {
+    super(message, ERROR_CODES.QUERY_TOO_COMPLEX, measurement);
+    Object.defineProperty(this, 'name', { value: 'QueryTooComplexError' });
+  }
+}
+
+class RateLimitedError extends ApolloError {
+  /**
+   * @param {string} message - Which limit was hit
+   * @param {Object} details - `{ scope, retryAfter }`, retryAfter in seconds
+   */
+  constructor(message, details = {}) {
+    super(message, ERROR_CODES.RATE_LIMITED, details);
+    Object.defineProperty(this, 'name', { value: 'RateLimitedError' });
+  }
+}
+
+class OperationNotAllowedError extends ApolloError {
+  constructor(message = 'This operation is not on the allow-list') {
+    super(message, ERROR_CODES.OPERATION_NOT_ALLOWED);
+    Object.defineProperty(this, 'name', { value: 'OperationNotAllowedError' });
+  }
+}
+
+/**
+ * Maps Mongoose and MongoDB driver errors onto the error taxonomy
+ * @param {Error} error - Any error thrown while resolving
+ * @returns {ApolloError|null} - The typed error, or null if unrecognised
+ */
+function mapDatabaseError(error) {
+  if (error instanceof mongoose.Error.CastError) {
+    return new ValidationError(`Invalid value for ${error.path}`, {
+      [error.path]: `"${error.value}" is not a valid ${error.kind}`,
+    });
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    const fields = {};
+    Object.values(error.errors).forEach((fieldError) => {
+      fields[fieldError.path] = fieldError.message;
+    });
+    return new ValidationError('Validation failed', fields);
+  }
+
+  // Document changed between load and save (optimistic concurrency)
+  if (error instanceof mongoose.Error.VersionError) {
+    return new ConflictError('This record was modified by someone else; reload and try again');
+  }
+
+  // Duplicate key on a unique index
+  if (error?.code === 11000) {
+    const paths = Object.keys(error.keyValue || error.keyPattern || {});
+    const fields = {};
+    paths.forEach((path) => {
+      fields[path] = 'Already taken';
+    });
+    return new ConflictError(
+      `A record with this ${paths.join(', ') || 'value'} already exists`,
+      fields
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Turns a variable coercion error, e.g.
+ * `Variable "$input" got invalid value "x" at "input.email"; Must be a valid email address`,
+ * into a ValidationError keyed by the offending path
+ * @param {GraphQLError} error - A BAD_USER_INPUT error from Apollo
+ * @returns {ValidationError|null}
+ */
+function mapVariableError(error) {
+  const match = /^Variable "\$(\w+)" got invalid value ([\s\S]*)$/.exec(error.message);
+  if (!match) return null;
+
+  const [, variable, rest] = match;
+  const located = / at "([^"]+)"; ([\s\S]*)$/.exec(rest);
+  const path = located ? located[1] : variable;
+  const detail = located ? located[2] : rest.slice(rest.indexOf('; ') + 2);
+  return new ValidationError('Validation failed', { [path]: detail });
+}
+
+// Apollo reports malformed persisted query requests without an error code,
+// which would otherwise make them look like internal errors
+const PERSISTED_QUERY_ERRORS = {
+  'provided sha does not match query': 'Does not match the SHA-256 of the query',
+  'Unsupported persisted query version': 'Only version 1 is supported',
+};
+
+/**
+ * Turns Apollo's errors for malformed persisted query requests into
+ * ValidationErrors on the `persistedQuery` extension
+ * @param {GraphQLError} error - An error from Apollo
+ * @returns {ValidationError|null}
+ */
+function mapPersistedQueryError(error) {
+  const detail = !error.path && PERSISTED_QUERY_ERRORS[error.message];
+  if (!detail) return null;
+  return new ValidationError('Invalid persisted query', { 'extensions.persistedQuery': detail });
+}
+
+/**
+ * Apollo `formatError` hook: types database errors and hides the details
+ * of unexpected ones
+ * @param {GraphQLError} error - The error Apollo is about to send
+ * @returns {GraphQLError} - The error to send instead
+ */
+function formatError(error) {
+  const mapped = error.extensions?.code === 'BAD_USER_INPUT'
+    ? mapVariableError(error)
+    : mapPersistedQueryError(error)
+      || (error.originalError && mapDatabaseError(error.originalError));
+  if (mapped) {
+    return new GraphQLError(mapped.message, {
+      nodes: error.nodes,
+      path: error.path,
+      originalError: mapped,
+      extensions: { code: mapped.extensions.code, ...mapped.extensions },
+    });
+  }
+
+  // Don't expose internal server errors to the client; the logging plugin
+  // has already logged them with their stack
+  if (error.extensions?.code === ERROR_CODES.INTERNAL_SERVER_ERROR) {
+    return new GraphQLError('Internal server error', {
+      nodes: error.nodes,
+      path: error.path,
+      extensions: { code: ERROR_CODES.INTERNAL_SERVER_ERROR },
+    });
+  }
+
+  return error;
+}
+
+module.exports = {
+  ERROR_CODES,
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  AuthenticationError,
+  ForbiddenError,
+  QueryTooComplexError,
+  RateLimitedError,
+  OperationNotAllowedError,
+  mapDatabaseError,
+  mapVariableError,
+  formatError,
+};
@@ -0,0 +1,35 @@
+const express = require('express');
+const mongoose = require('mongoose');
+
+const MONGOOSE_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+/**
+ * Creates the routes an orchestrator polls:
+ * - `GET /healthz` answers 200 whenever the process can serve HTTP
+ * - `GET /readyz` answers 200 only while MongoDB is connected and the
+ *   server isn't shutting down, and 503 otherwise
+ * @param {Object} options
+ * @param {Function} options.isShuttingDown - Returns true once shutdown has begun
+ * @returns {express.Router}
+ */
+function createHealthRouter({ isShuttingDown = () => false } = {}) {
+  const router = express.Router();
+
+  router.get('/healthz', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  router.get('/readyz', (req, res) => {
+    const mongo = MONGOOSE_STATES[mongoose.connection.readyState] || 'unknown';
+    const shuttingDown = isShuttingDown();
+    const ready = mongo === 'connected' && !shuttingDown;
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ok' : 'unavailable',
+      checks: { mongo, shuttingDown },
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createHealthRouter };
@@ -0,0 +1,42 @@
+/**
+ * Input size limits shared by the GraphQL @constraint directives and the
+ * Mongoose schema validators, so both layers reject the same values
+ */
+const LIMITS = {
+  user: {
+    usernameMinLength: 3,
+    usernameMaxLength: 30,
+    usernamePattern: '^[A-Za-z0-9_.-]+$',
+    emailMaxLength: 254,
+    passwordMinLength: 8,
+    passwordMaxLength: 128,
+  },
+  note: {
+    titleMaxLength: 200,
+    contentMaxLength: 20000,
+    maxTags: 20,
+    tagMaxLength: 30,
+  },
+  attachment: {
+    maxFileSize: 10 * 1024 * 1024,
+    maxPerNote: 20,
+    filenameMaxLength: 255,
+    // Types that browsers won't run as script; SVG and HTML are left out
+    mimeTypes: [
+      'image/png',
+      'image/jpeg',
+      'image/gif',
+      'image/webp',
+      'application/pdf',
+      'text/plain',
+      'text/markdown',
+      'text/csv',
+      'application/zip',
+    ],
+  },
+};
+
+// Deliberately loose: one @, no spaces, a dot in the domain
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+module.exports = { LIMITS, EMAIL_PATTERN };
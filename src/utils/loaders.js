@@ -0,0 +1,76 @@
+const DataLoader = require('dataloader');
+const User = require('../models/User');
+const Note = require('../models/Note');
+const NoteRevision = require('../models/NoteRevision');
+const Attachment = require('../models/Attachment');
+const { ACTIVE_NOTE } = require('./trash');
+
+// ObjectIds are compared by value, not identity
+const cacheKeyFn = (id) => String(id);
+
+/**
+ * Batches user lookups by ID into a single query
+ * @param {Array} ids - User IDs
+ * @returns {Promise<Array>} - Users in the same order, null when missing
+ */
+async function batchUsersById(ids) {
+  const users = await User.find({ _id: { $in: ids } });
+  const byId = new Map(users.map((user) => [String(user._id), user]));
+  return ids.map((id) => byId.get(String(id)) || null);
+}
+
+/**
+ * Batches note lookups by author into a single query, leaving out
+ * trashed notes
+ * @param {Array} authorIds - User IDs
+ * @returns {Promise<Array<Array>>} - Each author's notes, in the same order
+ */
+async function batchNotesByAuthor(authorIds) {
+  const notes = await Note.find({ author: { $in: authorIds }, ...ACTIVE_NOTE });
+  const byAuthor = new Map(authorIds.map((id) => [String(id), []]));
+  notes.forEach((note) => byAuthor.get(String(note.author))?.push(note));
+  return authorIds.map((id) => byAuthor.get(String(id)));
+}
+
+/**
+ * Batches revision lookups by note into a single query
+ * @param {Array} noteIds - Note IDs
+ * @returns {Promise<Array<Array>>} - Each note's revisions, newest first
+ */
+async function batchRevisionsByNote(noteIds) {
+  const revisions = await NoteRevision.find({ note: { $in: noteIds } }).sort({ version: -1 });
+  const byNote = new Map(noteIds.map((id) => [String(id), []]));
+  revisions.forEach((revision) => byNote.get(String(revision.note))?.push(revision));
+  return noteIds.map((id) => byNote.get(String(id)));
+}
+
+/**
+ * Batches attachment lookups by note into a single query
+ * @param {Array} noteIds - Note IDs
+ * @returns {Promise<Array<Array>>} - Each note's attachments, oldest first
+ */
+async function batchAttachmentsByNote(noteIds) {
+  const attachments = await Attachment.find({ note: { $in: noteIds } }).sort({ createdAt: 1 });
+  const byNote = new Map(noteIds.map((id) => [String(id), []]));
+  attachments.forEach((attachment) => byNote.get(String(attachment.note))?.push(attachment));
+  return noteIds.map((id) => byNote.get(String(id)));
+}
+
+/**
+ * Creates a fresh set of loaders. Call once per request so cached
+ * results never leak between callers.
+ * @param {Object} options
+ * @param {boolean} options.cache - Set to false for long-lived contexts
+ *   such as subscriptions, where cached results would go stale
+ * @returns {Object} - The loaders
+ */
+function createLoaders({ cache = true } = {}) {
+  return {
+    userById: new DataLoader(batchUsersById, { cacheKeyFn, cache }),
+    notesByAuthor: new DataLoader(batchNotesByAuthor, { cacheKeyFn, cache }),
+    revisionsByNote: new DataLoader(batchRevisionsByNote, { cacheKeyFn, cache }),
+    attachmentsByNote: new DataLoader(batchAttachmentsByNote, { cacheKeyFn, cache }),
+  };
+}
+
+module.exports = { createLoaders };
@@ -0,0 +1,98 @@
+const { config, LOG_LEVELS } = require('../config');
+
+// Keys whose values never reach the logs, wherever they appear
+const SECRET_KEY_PATTERN = /pass(word)?|secret|token|authorization|cookie|api[-_]?key/i;
+
+// Long strings (such as note content) are cut to this many characters
+const MAX_STRING_LENGTH = 200;
+
+// Objects nested deeper than this are summarized
+const MAX_DEPTH = 6;
+
+/**
+ * Copies a value for logging with secrets replaced by "[REDACTED]" and
+ * long strings shortened
+ * @param {*} value - Anything JSON-like, e.g. GraphQL variables
+ * @param {number} depth - Current nesting depth
+ * @returns {*} - The safe copy
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_LENGTH
+      ? `${value.slice(0, MAX_STRING_LENGTH)}… (${value.length} chars)`
+      : value;
+  }
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Object]';
+  // Files from multipart requests (graphql-upload's Upload)
+  if (typeof value.promise?.then === 'function') return '[Upload]';
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_KEY_PATTERN.test(key) ? '[REDACTED]' : redact(item, depth + 1),
+    ])
+  );
+}
+
+/**
+ * Turns an Error into plain fields, since JSON.stringify drops them
+ * @param {Error} error - The error
+ * @returns {Object}
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.extensions?.code ?? error.code,
+    stack: error.stack,
+  };
+}
+
+/**
+ * Creates a logger that writes one JSON object per line:
+ * `{ time, level, msg, ...bindings, ...fields }`. Fields named `error` (or
+ * holding Errors) are serialized with their stack.
+ * @param {Object} options
+ * @param {string} options.level - Lowest level written: error, warn, info or debug
+ * @param {Object} options.bindings - Fields added to every line, e.g. requestId
+ * @param {Function} options.write - Receives each line; defaults to stdout
+ * @returns {Object} - { error, warn, info, debug, child }
+ */
+function createLogger({
+  level = config.logLevel,
+  bindings = {},
+  write = (line) => process.stdout.write(`${line}\n`),
+} = {}) {
+  const threshold = LOG_LEVELS.indexOf(level);
+
+  const log = (lineLevel, msg, fields = {}) => {
+    if (LOG_LEVELS.indexOf(lineLevel) > threshold) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg,
+      ...bindings,
+    };
+    Object.entries(fields).forEach(([key, value]) => {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    });
+    write(JSON.stringify(entry));
+  };
+
+  const logger = { child: (extra) => createLogger({ level, bindings: { ...bindings, ...extra }, write }) };
+  LOG_LEVELS.forEach((lineLevel) => {
+    logger[lineLevel] = (msg, fields) => log(lineLevel, msg, fields);
+  });
+  return logger;
+}
+
+// The process-wide logger; requests get children of it with their requestId
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  createLogger,
+  redact,
+};
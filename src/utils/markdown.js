@@ -0,0 +1,145 @@
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+
+const DEFAULT_EXCERPT_LENGTH = 160;
+const MAX_EXCERPT_LENGTH = 1000;
+
+// Raw HTML in the source is escaped rather than passed through; the
+// sanitizer below is a second line of defence
+const md = new MarkdownIt({ html: false, linkify: true });
+
+/**
+ * Turns heading text into a URL fragment, e.g. "Hello, World" -> "hello-world"
+ * @param {string} text - The heading text
+ * @returns {string}
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .replace(/[\s-]+/g, '-')
+    .replace(/^-|-$/g, '') || 'section';
+}
+
+/**
+ * Lists a document's headings with unique slugs, in order
+ * @param {Array} tokens - Tokens from md.parse
+ * @returns {Array<Object>} - [{ level, text, slug, token }]
+ */
+function collectHeadings(tokens) {
+  const seen = new Map();
+  const headings = [];
+  tokens.forEach((token, index) => {
+    if (token.type !== 'heading_open') return;
+    const text = tokens[index + 1].children
+      .filter((child) => child.type === 'text' || child.type === 'code_inline')
+      .map((child) => child.content)
+      .join('');
+    const base = slugify(text);
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    headings.push({
+      level: Number(token.tag.slice(1)),
+      text,
+      slug: count === 0 ? base : `${base}-${count}`,
+      token,
+    });
+  });
+  return headings;
+}
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, 'img', 'del'],
+  allowedAttributes: {
+    // rel and target are always overwritten by transformTags below
+    a: ['href', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title'],
+    // Heading anchors for the outline, and language hints on code blocks
+    h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+    code: ['class'],
+    th: ['style'],
+    td: ['style'],
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/],
+  },
+  allowedStyles: {
+    th: { 'text-align': [/^(left|right|center)$/] },
+    td: { 'text-align': [/^(left|right|center)$/] },
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  transformTags: {
+    // Links open outside the app and don't pass on the referrer
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow', target: '_blank' }),
+  },
+};
+
+/**
+ * Renders Markdown to sanitized HTML. Headings get `id`s matching the
+ * slugs returned by extractHeadings.
+ * @param {string} source - Markdown text
+ * @returns {string} - Safe HTML
+ */
+function renderMarkdown(source) {
+  const tokens = md.parse(source, {});
+  collectHeadings(tokens).forEach(({ slug, token }) => token.attrSet('id', slug));
+  return sanitizeHtml(md.renderer.render(tokens, md.options, {}), SANITIZE_OPTIONS);
+}
+
+/**
+ * Lists the headings of a Markdown document, as an outline
+ * @param {string} source - Markdown text
+ * @returns {Array<Object>} - [{ level, text, slug }]
+ */
+function extractHeadings(source) {
+  return collectHeadings(md.parse(source, {}))
+    .map(({ level, text, slug }) => ({ level, text, slug }));
+}
+
+/**
+ * Strips Markdown down to its plain text
+ * @param {string} source - Markdown text
+ * @returns {string} - Text with whitespace collapsed
+ */
+function markdownToText(source) {
+  const parts = [];
+  md.parse(source, {}).forEach((token) => {
+    if (token.type === 'inline') {
+      token.children.forEach((child) => {
+        if (child.type === 'text' || child.type === 'code_inline') parts.push(child.content);
+        if (child.type === 'softbreak' || child.type === 'hardbreak') parts.push(' ');
+      });
+      parts.push(' ');
+    } else if (token.type === 'code_block' || token.type === 'fence') {
+      parts.push(token.content, ' ');
+    }
+  });
+  return parts.join('').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Builds a plain-text excerpt, cut at a word boundary where possible
+ * @param {string} source - Markdown text
+ * @param {number} length - Maximum length in characters, including the ellipsis
+ * @returns {string}
+ */
+function buildExcerpt(source, length = DEFAULT_EXCERPT_LENGTH) {
+  const text = markdownToText(source);
+  if (text.length <= length) return text;
+
+  const cut = text.slice(0, length - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  // Only back up to a word boundary if that doesn't lose too much
+  const trimmed = lastSpace > length * 0.6 ? cut.slice(0, lastSpace) : cut;
+  return `${trimmed.trimEnd()}…`;
+}
+
+module.exports = {
+  DEFAULT_EXCERPT_LENGTH,
+  MAX_EXCERPT_LENGTH,
+  renderMarkdown,
+  extractHeadings,
+  markdownToText,
+  buildExcerpt,
+};
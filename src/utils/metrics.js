@@ -0,0 +1,99 @@
+const client = require('prom-client');
+
+// Operation names come from clients, so only this many distinct ones get
+// their own label; the rest are counted under "other"
+const MAX_OPERATION_LABELS = 200;
+
+// Latency buckets in seconds, from a cached lookup to a slow bulk mutation
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const requestsTotal = new client.Counter({
+  name: 'graphql_requests_total',
+  help: 'GraphQL requests by operation',
+  labelNames: ['operation', 'type'],
+  registers: [registry],
+});
+
+const errorsTotal = new client.Counter({
+  name: 'graphql_errors_total',
+  help: 'Errors in GraphQL responses by operation and error code',
+  labelNames: ['operation', 'type', 'code'],
+  registers: [registry],
+});
+
+const requestDuration = new client.Histogram({
+  name: 'graphql_request_duration_seconds',
+  help: 'Time from receiving a GraphQL request to sending the response',
+  labelNames: ['operation', 'type'],
+  buckets: DURATION_BUCKETS,
+  registers: [registry],
+});
+
+const seenOperations = new Set();
+
+/**
+ * Picks the metric label for an operation name, capping how many
+ * different names are tracked
+ * @param {string|null} name - The operation name, if the request had one
+ * @returns {string}
+ */
+function operationLabel(name) {
+  if (!name) return 'anonymous';
+  if (seenOperations.has(name)) return name;
+  if (seenOperations.size >= MAX_OPERATION_LABELS) return 'other';
+  seenOperations.add(name);
+  return name;
+}
+
+/**
+ * Creates an Apollo plugin that counts requests and errors and times each
+ * request, labelled by operation name and type. Requests that fail before
+ * the operation is known (e.g. syntax errors) are labelled "unknown".
+ * @returns {Object} - The plugin
+ */
+function createMetricsPlugin() {
+  return {
+    async requestDidStart() {
+      const endTimer = requestDuration.startTimer();
+      const labels = { operation: 'unknown', type: 'unknown' };
+      return {
+        async didResolveOperation({ operationName, operation }) {
+          labels.operation = operationLabel(operationName);
+          labels.type = operation.operation;
+        },
+        async willSendResponse({ response }) {
+          // Count the errors as sent, after formatError has assigned their codes
+          (response.errors || []).forEach((error) => {
+            errorsTotal.inc({ ...labels, code: error.extensions?.code || 'UNKNOWN' });
+          });
+          requestsTotal.inc(labels);
+          endTimer(labels);
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Express handler for `GET /metrics` in the Prometheus text format
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ * @param {Function} next - Passes errors on to Express
+ */
+async function metricsHandler(req, res, next) {
+  try {
+    res.set('Content-Type', registry.contentType);
+    res.send(await registry.metrics());
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  registry,
+  createMetricsPlugin,
+  metricsHandler,
+};
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const { ValidationError } = require('./errors');
+
+// NoteOrderField values mapped to the stored paths they sort on
+const SORT_FIELDS = {
+  TITLE: 'title',
+  CREATED_AT: 'createdAt',
+  UPDATED_AT: 'updatedAt',
+};
+
+/**
+ * Escapes a string for literal use inside a regular expression
+ * @param {string} text - The text to escape
+ * @returns {string}
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Normalizes a tag list the way tags are stored
+ * @param {string[]} tags - Tags as sent by the client
+ * @returns {string[]} - Trimmed, lowercase, non-empty tags
+ */
+function normalizeTagList(tags) {
+  return tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Compiles a DateRange input into a Mongo range condition
+ * @param {Object} range - { from, to }, both inclusive
+ * @param {string} path - Input path, used as the error key
+ * @returns {Object|null} - e.g. { $gte: Date, $lte: Date }
+ */
+function buildDateRange(range, path) {
+  if (!range) return null;
+  const condition = {};
+  const errors = {};
+
+  [['from', '$gte'], ['to', '$lte']].forEach(([key, op]) => {
+    if (!range[key]) return;
+    const date = new Date(range[key]);
+    if (Number.isNaN(date.getTime())) {
+      errors[`${path}.${key}`] = 'Not a valid date';
+    } else {
+      condition[op] = date;
+    }
+  });
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError('Invalid date range', errors);
+  }
+  if (condition.$gte && condition.$lte && condition.$gte > condition.$lte) {
+    throw new ValidationError('Invalid date range', {
+      [`${path}.to`]: 'Must not be before `from`',
+    });
+  }
+  return Object.keys(condition).length > 0 ? condition : null;
+}
+
+/**
+ * Compiles a NoteFilter input into a Mongo filter. Only known keys are
+ * read, and every value is turned into a typed condition, so nothing the
+ * client sends ends up in the query as an operator.
+ * @param {Object} filter - The NoteFilter input
+ * @returns {Object} - Mongo filter
+ */
+function buildNoteFilter(filter) {
+  if (!filter) return {};
+  const { tagsAll, tagsAny, tagsNone, authorId, createdAt, updatedAt, titlePrefix } = filter;
+  const conditions = [];
+
+  // Each tag operator gets its own condition so they can be combined
+  if (tagsAll && tagsAll.length > 0) {
+    conditions.push({ tags: { $all: normalizeTagList(tagsAll) } });
+  }
+  if (tagsAny && tagsAny.length > 0) {
+    conditions.push({ tags: { $in: normalizeTagList(tagsAny) } });
+  }
+  if (tagsNone && tagsNone.length > 0) {
+    conditions.push({ tags: { $nin: normalizeTagList(tagsNone) } });
+  }
+
+  if (authorId) {
+    if (!mongoose.isValidObjectId(authorId)) {
+      throw new ValidationError('Invalid `authorId`', { 'filter.authorId': 'Not a valid ID' });
+    }
+    conditions.push({ author: new mongoose.Types.ObjectId(authorId) });
+  }
+
+  const created = buildDateRange(createdAt, 'filter.createdAt');
+  if (created) conditions.push({ createdAt: created });
+  const updated = buildDateRange(updatedAt, 'filter.updatedAt');
+  if (updated) conditions.push({ updatedAt: updated });
+
+  if (titlePrefix && titlePrefix.trim()) {
+    conditions.push({
+      title: { $regex: `^${escapeRegex(titlePrefix.trim())}`, $options: 'i' },
+    });
+  }
+
+  if (conditions.length === 0) return {};
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+/**
+ * Compiles a list of NoteOrder inputs into a Mongo sort, with `_id` as a
+ * final tie-breaker so the order is stable
+ * @param {Array<Object>} orderBy - [{ field, direction }]
+ * @returns {Object} - Mongo sort, e.g. { title: 1, _id: 1 }
+ */
+function buildNoteSort(orderBy) {
+  const sort = {};
+  (orderBy || []).forEach(({ field, direction }, index) => {
+    const path = SORT_FIELDS[field];
+    if (path in sort) {
+      throw new ValidationError('Each field can only be sorted on once', {
+        [`orderBy.${index}.field`]: `${field} is already used`,
+      });
+    }
+    sort[path] = direction === 'DESC' ? -1 : 1;
+  });
+
+  if (Object.keys(sort).length === 0) sort.createdAt = 1;
+  sort._id = 1;
+  return sort;
+}
+
+module.exports = {
+  escapeRegex,
+  buildNoteFilter,
+  buildNoteSort,
+};
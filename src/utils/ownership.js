@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Note = require('../models/Note');
+
+/**
+ * Finds and repairs drift between `User.notes` and `Note.author`.
+ * `Note.author` is treated as the source of truth: each user's `notes`
+ * array is rewritten to hold exactly the notes they author, keeping the
+ * existing order and appending any that were missing. Notes whose author
+ * no longer exists are reported but left alone, since there is no owner
+ * to give them to.
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Report drift without writing anything
+ * @returns {Promise<Object>} - { dryRun, usersChecked, usersRepaired,
+ *   missingRefs, staleRefs, orphanedNoteIds }
+ */
+async function reconcileNoteOwnership({ dryRun = false } = {}) {
+  const report = {
+    dryRun,
+    usersChecked: 0,
+    usersRepaired: 0,
+    missingRefs: 0,
+    staleRefs: 0,
+    orphanedNoteIds: [],
+  };
+
+  await mongoose.connection.transaction(async (session) => {
+    const byAuthor = new Map();
+    const notes = await Note.find({}, { author: 1 }).session(session).lean();
+    notes.forEach((note) => {
+      const key = String(note.author);
+      if (!byAuthor.has(key)) byAuthor.set(key, []);
+      byAuthor.get(key).push(note._id);
+    });
+
+    const users = await User.find({}, { notes: 1 }).session(session).lean();
+    const updates = [];
+
+    users.forEach((user) => {
+      report.usersChecked += 1;
+      const owned = byAuthor.get(String(user._id)) || [];
+      byAuthor.delete(String(user._id));
+
+      const ownedIds = new Set(owned.map(String));
+      const listedIds = new Set(user.notes.map(String));
+      const kept = user.notes.filter((id) => ownedIds.has(String(id)));
+      const missing = owned.filter((id) => !listedIds.has(String(id)));
+      const stale = user.notes.length - kept.length;
+
+      if (missing.length === 0 && stale === 0) return;
+
+      report.usersRepaired += 1;
+      report.missingRefs += missing.length;
+      report.staleRefs += stale;
+      updates.push({
+        updateOne: {
+          filter: { _id: user._id },
+          update: { $set: { notes: [...kept, ...missing] } },
+        },
+      });
+    });
+
+    // Anything left over belongs to an author that no longer exists
+    byAuthor.forEach((noteIds) => {
+      report.orphanedNoteIds.push(...noteIds.map(String));
+    });
+
+    if (!dryRun && updates.length > 0) {
+      await User.bulkWrite(updates, { session });
+    }
+  });
+
+  return report;
+}
+
+module.exports = { reconcileNoteOwnership };
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const { ValidationError } = require('./errors');
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Encodes a document's position as an opaque cursor
+ * @param {Object} doc - A document with `createdAt` and `_id`
+ * @returns {string} - Base64 cursor
+ */
+function encodeCursor(doc) {
+  return Buffer.from(`${doc.createdAt.getTime()}:${doc._id}`).toString('base64');
+}
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * @param {string} cursor - Base64 cursor
+ * @param {string} name - Argument name, for error details
+ * @returns {{ createdAt: Date, id: mongoose.Types.ObjectId }}
+ */
+function decodeCursor(cursor, name = 'cursor') {
+  const [time, id] = Buffer.from(cursor, 'base64').toString('utf8').split(':');
+  const createdAt = new Date(Number(time));
+  if (Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(id)) {
+    throw new ValidationError('Invalid cursor', { [name]: 'Not a valid cursor' });
+  }
+  return { createdAt, id: new mongoose.Types.ObjectId(id) };
+}
+
+/**
+ * Builds a filter matching documents strictly after (or before) a cursor
+ * in (createdAt, _id) order
+ * @param {string} cursor - The cursor to compare against
+ * @param {string} op - '$gt' or '$lt'
+ * @returns {Object} - Mongo filter
+ */
+function cursorFilter(cursor, op) {
+  const { createdAt, id } = decodeCursor(cursor, op === '$gt' ? 'after' : 'before');
+  return {
+    $or: [
+      { createdAt: { [op]: createdAt } },
+      { createdAt, _id: { [op]: id } },
+    ],
+  };
+}
+
+/**
+ * Validates a page size argument
+ * @param {string} name - Argument name, for error messages
+ * @param {number} value - The requested page size
+ */
+function assertPageSize(name, value) {
+  if (value == null) return;
+  if (value < 0 || value > MAX_PAGE_SIZE) {
+    const message = `Must be between 0 and ${MAX_PAGE_SIZE}`;
+    throw new ValidationError(`Invalid page size \`${name}\``, { [name]: message });
+  }
+}
+
+/**
+ * Resolves a Relay-style connection over a Mongoose model, ordered by
+ * creation time with `_id` as a tie-breaker
+ * @param {mongoose.Model} Model - The model to page through
+ * @param {Object} filter - Base filter for the collection
+ * @param {Object} args - Connection arguments (first, after, last, before)
+ * @returns {Promise<Object>} - { edges, pageInfo, totalCount }
+ */
+async function paginate(Model, filter = {}, { first, after, last, before } = {}) {
+  assertPageSize('first', first);
+  assertPageSize('last', last);
+  if (first != null && last != null) {
+    throw new ValidationError('Passing both `first` and `last` is not supported', {
+      last: 'Cannot be combined with `first`',
+    });
+  }
+
+  const conditions = [filter];
+  if (after) conditions.push(cursorFilter(after, '$gt'));
+  if (before) conditions.push(cursorFilter(before, '$lt'));
+  const query = { $and: conditions };
+
+  // Page backwards from the end when only `last` is given
+  const backwards = last != null;
+  const limit = backwards ? last : (first ?? MAX_PAGE_SIZE);
+  const direction = backwards ? -1 : 1;
+
+  const [docs, totalCount] = await Promise.all([
+    limit === 0
+      ? []
+      : Model.find(query)
+        .sort({ createdAt: direction, _id: direction })
+        .limit(limit + 1),
+    Model.countDocuments(filter),
+  ]);
+
+  const hasMore = docs.length > limit;
+  const page = hasMore ? docs.slice(0, limit) : docs;
+  if (backwards) page.reverse();
+
+  const edges = page.map((node) => ({ cursor: encodeCursor(node), node }));
+
+  return {
+    edges,
+    totalCount,
+    pageInfo: {
+      hasNextPage: backwards ? Boolean(before) : hasMore,
+      hasPreviousPage: backwards ? hasMore : Boolean(after),
+      startCursor: edges.length ? edges[0].cursor : null,
+      endCursor: edges.length ? edges[edges.length - 1].cursor : null,
+    },
+  };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  paginate,
+};
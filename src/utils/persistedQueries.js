@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { GraphQLError } = require('graphql');
+const { OperationNotAllowedError } = require('./errors');
+
+// Where `npm run build:persisted-queries` writes the manifest of client operations
+const DEFAULT_MANIFEST_PATH = path.join(__dirname, '../../persisted-queries.json');
+
+// Format marker of the manifest, shared with Apollo's tooling
+const MANIFEST_FORMAT = 'apollo-persisted-query-manifest';
+
+/**
+ * Hashes a query the way APQ clients and Apollo do
+ * @param {string} query - The exact query string
+ * @returns {string} - Hex SHA-256
+ */
+function hashQuery(query) {
+  return crypto.createHash('sha256').update(query).digest('hex');
+}
+
+/**
+ * Creates a persisted query cache that keeps the most recently used
+ * queries in memory.
+ *
+ * A cache is any object with Apollo's key-value cache methods:
+ * - `get(key)` resolves to the stored query, or undefined
+ * - `set(key, value, options)` stores a query; `options.ttl` may be ignored
+ * - `delete(key)` forgets a query
+ * @param {Object} options
+ * @param {number} options.maxEntries - Queries kept before the least recently used is dropped
+ * @returns {Object} - The cache
+ */
+function createMemoryQueryCache({ maxEntries = 1000 } = {}) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const value = entries.get(key);
+      if (value !== undefined) {
+        // Move to the back so the oldest entry is always first
+        entries.delete(key);
+        entries.set(key, value);
+      }
+      return value;
+    },
+
+    async set(key, value) {
+      entries.delete(key);
+      entries.set(key, value);
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+let cache = createMemoryQueryCache();
+
+/**
+ * Returns the active persisted query cache
+ * @returns {Object} - A cache with get(), set() and delete()
+ */
+function getPersistedQueryCache() {
+  return cache;
+}
+
+/**
+ * Replaces the persisted query cache, e.g. with a Redis-backed one so
+ * every instance knows the queries registered with any of them
+ * @param {Object} backend - A cache with get(), set() and delete()
+ */
+function setPersistedQueryCache(backend) {
+  cache = backend;
+}
+
+// Handed to Apollo once; forwards to whichever cache is active
+const persistedQueryCache = {
+  get: (key) => cache.get(key),
+  set: (key, value, options) => cache.set(key, value, options),
+  delete: (key) => cache.delete(key),
+};
+
+/**
+ * Builds a manifest of operations, keyed by the hash of their exact text
+ * @param {Array<Object>} operations - `{ name, type, document }` from extractOperations
+ * @returns {Object} - `{ format, version, operations: [{ id, name, type, body }] }`
+ */
+function buildManifest(operations) {
+  const byId = new Map();
+  operations.forEach(({ name, type, document }) => {
+    const id = hashQuery(document);
+    if (!byId.has(id)) byId.set(id, { id, name, type, body: document });
+  });
+  return {
+    format: MANIFEST_FORMAT,
+    version: 1,
+    // Sorted so regenerating an unchanged client gives an identical file
+    operations: [...byId.values()].sort((a, b) =>
+      a.name.localeCompare(b.name) || a.id.localeCompare(b.id)
+    ),
+  };
+}
+
+/**
+ * Reads a manifest written by `npm run build:persisted-queries`
+ * @param {string} file - Path of the manifest
+ * @returns {Map<string, string>} - Query text by hash
+ * @throws {Error} - When the file is missing or not a manifest
+ */
+function loadManifest(file = DEFAULT_MANIFEST_PATH) {
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(
+      `Cannot read the persisted query manifest at ${file} (${error.message}); `
+        + 'run `npm run build:persisted-queries` to create it'
+    );
+  }
+  if (manifest.format !== MANIFEST_FORMAT || manifest.version !== 1) {
+    throw new Error(`${file} is not a version 1 persisted query manifest`);
+  }
+  return new Map(manifest.operations.map((operation) => [operation.id, operation.body]));
+}
+
+/**
+ * Creates an Apollo plugin that only runs operations listed in the
+ * manifest. Clients may send just the hash of a listed operation, as with
+ * APQ; anything else fails with OPERATION_NOT_ALLOWED before it executes
+ * (and before APQ registers it).
+ * @param {Map<string, string>} allowed - Query text by hash, from loadManifest
+ * @returns {Object} - The plugin
+ */
+function createAllowListPlugin(allowed) {
+  return {
+    async requestDidStart({ request }) {
+      // Fill in listed queries from the manifest, so they work even when
+      // the APQ cache has never seen them
+      const hash = request.extensions?.persistedQuery?.sha256Hash;
+      if (!request.query && allowed.has(hash)) {
+        request.query = allowed.get(hash);
+      }
+
+      return {
+        async didResolveOperation({ queryHash }) {
+          if (!allowed.has(queryHash)) {
+            throw new OperationNotAllowedError();
+          }
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Builds a graphql-ws `onSubscribe` hook that applies the allow-list to
+ * subscriptions, which don't go through Apollo's plugins
+ * @param {Map<string, string>} allowed - Query text by hash, from loadManifest
+ * @returns {Function} - (ctx, message) => GraphQLError[] | undefined
+ */
+function createSubscriptionAllowListCheck(allowed) {
+  return (ctx, { payload }) => {
+    if (typeof payload.query === 'string' && allowed.has(hashQuery(payload.query))) {
+      return undefined;
+    }
+    const error = new OperationNotAllowedError();
+    return [new GraphQLError(error.message, { extensions: error.extensions })];
+  };
+}
+
+module.exports = {
+  DEFAULT_MANIFEST_PATH,
+  hashQuery,
+  createMemoryQueryCache,
+  getPersistedQueryCache,
+  setPersistedQueryCache,
+  persistedQueryCache,
+  buildManifest,
+  loadManifest,
+  createAllowListPlugin,
+  createSubscriptionAllowListCheck,
+};
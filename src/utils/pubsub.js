@@ -0,0 +1,63 @@
+const { PubSub } = require('graphql-subscriptions');
+
+const NOTE_EVENTS = {
+  CREATED: 'NOTE_CREATED',
+  UPDATED: 'NOTE_UPDATED',
+  DELETED: 'NOTE_DELETED',
+  // Fired alongside every event above, carrying the tags involved
+  CHANGED: 'NOTE_CHANGED',
+};
+
+// In-memory by default; only reaches subscribers on this process
+let pubsub = new PubSub();
+
+/**
+ * Returns the active pubsub engine
+ * @returns {Object} - An engine with publish() and asyncIterator()
+ */
+function getPubSub() {
+  return pubsub;
+}
+
+/**
+ * Replaces the pubsub engine, e.g. with a Redis-backed one when running
+ * several instances
+ * @param {Object} engine - An engine with publish() and asyncIterator()
+ */
+function setPubSub(engine) {
+  pubsub = engine;
+}
+
+/**
+ * Publishes a note change to its specific event and to NOTE_CHANGED
+ * @param {string} type - 'CREATED', 'UPDATED' or 'DELETED'
+ * @param {Object} note - The note document (the deleted snapshot for DELETED)
+ * @param {string[]} previousTags - Tags the note had before an update
+ * @returns {Promise<void>}
+ */
+async function publishNoteChange(type, note, previousTags = []) {
+  const field = {
+    CREATED: 'noteCreated',
+    UPDATED: 'noteUpdated',
+    DELETED: 'noteDeleted',
+  }[type];
+  const tags = [...new Set([...previousTags, ...note.tags])];
+
+  await Promise.all([
+    pubsub.publish(NOTE_EVENTS[type], {
+      [field]: type === 'DELETED' ? note.id : note,
+      // Lets subscription filters check who may see the change
+      note,
+    }),
+    pubsub.publish(NOTE_EVENTS.CHANGED, {
+      notesByTagChanged: { type, note, tags },
+    }),
+  ]);
+}
+
+module.exports = {
+  NOTE_EVENTS,
+  getPubSub,
+  setPubSub,
+  publishNoteChange,
+};
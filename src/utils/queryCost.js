@@ -0,0 +1,112 @@
+const { GraphQLError, parse } = require('graphql');
+const { measureOperation } = require('../schema/costDirective');
+const { QueryTooComplexError } = require('./errors');
+
+const DEFAULT_QUERY_LIMITS = {
+  maxDepth: 10,
+  maxCost: 5000,
+};
+
+/**
+ * Measures an operation and throws if it is deeper or costlier than allowed
+ * @param {GraphQLSchema} schema - The schema with @cost hints
+ * @param {DocumentNode} document - The parsed, validated request
+ * @param {Object} request - `{ operationName, variables }`
+ * @param {Object} limits - `{ maxDepth, maxCost }`
+ * @returns {Object|null} - `{ depth, maxDepth, cost, maxCost }`, or null
+ *   when there is no operation to measure
+ */
+function measureQuery(schema, document, { operationName, variables }, limits) {
+  const result = measureOperation(schema, document, { operationName, variables });
+  return result && {
+    depth: result.depth,
+    maxDepth: limits.maxDepth,
+    cost: result.cost,
+    maxCost: limits.maxCost,
+  };
+}
+
+/**
+ * Throws a QueryTooComplexError when a measurement is over its limits
+ * @param {Object} measurement - The result of measureQuery
+ */
+function assertWithinLimits(measurement) {
+  if (!measurement) return;
+  const { depth, maxDepth, cost, maxCost } = measurement;
+  if (depth > maxDepth) {
+    throw new QueryTooComplexError(
+      `Query is nested ${depth} levels deep; the limit is ${maxDepth}`,
+      measurement
+    );
+  }
+  if (cost > maxCost) {
+    throw new QueryTooComplexError(
+      `Query has a cost of ${cost}; the limit is ${maxCost}`,
+      measurement
+    );
+  }
+}
+
+/**
+ * Creates an Apollo plugin that rejects operations over the depth or cost
+ * limit before they execute, and reports every operation's measurement in
+ * `extensions.cost` of the response
+ * @param {Object} limits - `{ maxDepth, maxCost }`
+ * @returns {Object} - The plugin
+ */
+function createQueryCostPlugin(limits = DEFAULT_QUERY_LIMITS) {
+  return {
+    async requestDidStart() {
+      let measurement = null;
+      return {
+        async didResolveOperation({ schema, document, request, operationName }) {
+          measurement = measureQuery(
+            schema,
+            document,
+            { operationName, variables: request.variables },
+            limits
+          );
+          assertWithinLimits(measurement);
+        },
+        async willSendResponse({ response }) {
+          if (measurement) {
+            response.extensions = { ...response.extensions, cost: measurement };
+          }
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Builds a graphql-ws `onSubscribe` hook that applies the same limits to
+ * subscriptions, which don't go through Apollo's plugins
+ * @param {GraphQLSchema} schema - The schema with @cost hints
+ * @param {Object} limits - `{ maxDepth, maxCost }`
+ * @returns {Function} - (ctx, message) => GraphQLError[] | undefined
+ */
+function createSubscriptionCostCheck(schema, limits = DEFAULT_QUERY_LIMITS) {
+  return (ctx, { payload }) => {
+    let document;
+    try {
+      document = parse(payload.query);
+    } catch {
+      // Let graphql-ws report the syntax error as usual
+      return undefined;
+    }
+
+    try {
+      assertWithinLimits(measureQuery(schema, document, payload, limits));
+    } catch (error) {
+      return [new GraphQLError(error.message, { extensions: error.extensions })];
+    }
+    return undefined;
+  };
+}
+
+module.exports = {
+  DEFAULT_QUERY_LIMITS,
+  measureQuery,
+  createQueryCostPlugin,
+  createSubscriptionCostCheck,
+};
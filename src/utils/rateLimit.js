@@ -0,0 +1,237 @@
+const { GraphQLError, Kind, parse } = require('graphql');
+const { RateLimitedError } = require('./errors');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Token-bucket limits. Each rule allows bursts of up to `capacity`
+ * requests and refills at `capacity` tokens per `windowMs`. The `default`
+ * rule applies to every operation; the others apply on top of it to
+ * operations that select that root field.
+ */
+const DEFAULT_RATE_LIMITS = {
+  default: { capacity: 120, windowMs: MINUTE_MS },
+  // Account creation and password guessing are the abuse cases
+  signup: { capacity: 5, windowMs: HOUR_MS },
+  createUser: { capacity: 5, windowMs: HOUR_MS },
+  login: { capacity: 10, windowMs: 15 * MINUTE_MS },
+  changePassword: { capacity: 10, windowMs: 15 * MINUTE_MS },
+  attachFile: { capacity: 30, windowMs: HOUR_MS },
+};
+
+// Past this many buckets, the memory store drops the ones that have refilled
+const MAX_IDLE_BUCKETS = 10000;
+
+/**
+ * Creates a rate-limit store that keeps buckets in process memory.
+ *
+ * A store is any object with an async `consume(key, rule, now)` method that
+ * takes one token from the bucket at `key` if it has one, and resolves to
+ * `{ allowed, remaining, retryAfterMs }`.
+ * @returns {Object} - The store
+ */
+function createMemoryStore() {
+  const buckets = new Map();
+
+  const refill = (bucket, rule, now) => {
+    const rate = rule.capacity / rule.windowMs;
+    bucket.tokens = Math.min(rule.capacity, bucket.tokens + (now - bucket.updatedAt) * rate);
+    bucket.updatedAt = now;
+  };
+
+  // Full buckets hold no state worth keeping
+  const sweep = (now) => {
+    buckets.forEach((bucket, key) => {
+      refill(bucket, bucket.rule, now);
+      if (bucket.tokens >= bucket.rule.capacity) buckets.delete(key);
+    });
+  };
+
+  return {
+    async consume(key, rule, now = Date.now()) {
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        if (buckets.size >= MAX_IDLE_BUCKETS) sweep(now);
+        bucket = { tokens: rule.capacity, updatedAt: now, rule };
+        buckets.set(key, bucket);
+      }
+      refill(bucket, rule, now);
+
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterMs: 0 };
+      }
+      const rate = rule.capacity / rule.windowMs;
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfterMs: Math.ceil((1 - bucket.tokens) / rate),
+      };
+    },
+  };
+}
+
+// In-memory by default; limits are per process
+let store = createMemoryStore();
+
+/**
+ * Returns the active rate-limit store
+ * @returns {Object} - A store with consume()
+ */
+function getRateLimitStore() {
+  return store;
+}
+
+/**
+ * Replaces the rate-limit store, e.g. with a Redis-backed one so several
+ * instances share limits
+ * @param {Object} engine - A store with consume()
+ */
+function setRateLimitStore(engine) {
+  store = engine;
+}
+
+/**
+ * Who a request counts against: the signed-in user, or else the client IP
+ * @param {Object} context - The resolver context
+ * @returns {string}
+ */
+function rateLimitIdentity(context) {
+  return context.user ? `user:${context.user._id}` : `ip:${context.ip || 'unknown'}`;
+}
+
+/**
+ * Lists the root fields an operation selects, once per occurrence, looking
+ * inside fragments so a spread or an alias can't dodge a limit
+ * @param {Object} selectionSet - The operation's selection set
+ * @param {Object<string, Object>} fragments - Fragment definitions by name
+ * @returns {string[]}
+ */
+function collectRootFields(selectionSet, fragments) {
+  return selectionSet.selections.flatMap((selection) => {
+    if (selection.kind === Kind.FIELD) return [selection.name.value];
+    const fragment = selection.kind === Kind.FRAGMENT_SPREAD
+      ? fragments[selection.name.value]
+      : selection;
+    return fragment ? collectRootFields(fragment.selectionSet, fragments) : [];
+  });
+}
+
+/**
+ * Takes a token from every bucket an operation counts against and throws
+ * RateLimitedError when one of them is empty. Selecting a limited field
+ * twice takes two tokens.
+ * @param {string[]} fields - Root fields the operation selects
+ * @param {Object} context - The resolver context
+ * @param {Object} rules - Limits keyed by root field, plus `default`
+ * @returns {Promise<void>}
+ */
+async function enforceRateLimits(fields, context, rules = DEFAULT_RATE_LIMITS) {
+  const identity = rateLimitIdentity(context);
+  const scopes = ['default', ...fields.filter((field) => field !== 'default' && rules[field])];
+
+  for (const scope of scopes) {
+    const result = await store.consume(`${scope}:${identity}`, rules[scope]);
+    if (!result.allowed) {
+      const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+      throw new RateLimitedError(
+        scope === 'default'
+          ? `Too many requests; try again in ${retryAfter} seconds`
+          : `Too many ${scope} requests; try again in ${retryAfter} seconds`,
+        { scope, retryAfter }
+      );
+    }
+  }
+}
+
+/**
+ * Maps a document's fragment definitions by name
+ * @param {DocumentNode} document - The parsed request
+ * @returns {Object<string, Object>}
+ */
+function fragmentsOf(document) {
+  return Object.fromEntries(
+    document.definitions
+      .filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+      .map((definition) => [definition.name.value, definition])
+  );
+}
+
+/**
+ * Creates an Apollo plugin that applies rate limits once the operation is
+ * known. Rejected requests get HTTP 429 and a Retry-After header.
+ * @param {Object} rules - Limits keyed by root field, plus `default`
+ * @returns {Object} - The plugin
+ */
+function createRateLimitPlugin(rules = DEFAULT_RATE_LIMITS) {
+  return {
+    async requestDidStart() {
+      let retryAfter = null;
+      return {
+        async didResolveOperation({ operation, document, context }) {
+          const fields = collectRootFields(operation.selectionSet, fragmentsOf(document));
+          try {
+            await enforceRateLimits(fields, context, rules);
+          } catch (error) {
+            if (error instanceof RateLimitedError) {
+              ({ retryAfter } = error.extensions);
+            }
+            throw error;
+          }
+        },
+        async willSendResponse({ response }) {
+          if (retryAfter !== null && response.http) {
+            response.http.status = 429;
+            response.http.headers.set('Retry-After', String(retryAfter));
+          }
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Builds a graphql-ws `onSubscribe` hook that applies the same limits to
+ * subscriptions, which don't go through Apollo's plugins. Every subscribe
+ * message takes a token, so a client can't open subscriptions without limit.
+ * @param {Function} identify - Resolves a connection context to `{ user, ip }`
+ * @param {Object} rules - Limits keyed by root field, plus `default`
+ * @returns {Function} - async (ctx, message) => GraphQLError[] | undefined
+ */
+function createSubscriptionRateLimitCheck(identify, rules = DEFAULT_RATE_LIMITS) {
+  return async (ctx, { payload }) => {
+    let document;
+    try {
+      document = parse(payload.query);
+    } catch {
+      // Let graphql-ws report the syntax error as usual
+      return undefined;
+    }
+    const operations = document.definitions.filter(
+      (definition) => definition.kind === Kind.OPERATION_DEFINITION
+    );
+    const operation = payload.operationName
+      ? operations.find((op) => op.name?.value === payload.operationName)
+      : operations[0];
+    const fields = operation ? collectRootFields(operation.selectionSet, fragmentsOf(document)) : [];
+
+    try {
+      await enforceRateLimits(fields, await identify(ctx), rules);
+    } catch (error) {
+      if (!(error instanceof RateLimitedError)) throw error;
+      return [new GraphQLError(error.message, { extensions: error.extensions })];
+    }
+    return undefined;
+  };
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMITS,
+  createMemoryStore,
+  getRateLimitStore,
+  setRateLimitStore,
+  enforceRateLimits,
+  createRateLimitPlugin,
+  createSubscriptionRateLimitCheck,
+};
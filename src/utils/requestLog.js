@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { logger, redact } = require('./logger');
+const { mapDatabaseError } = require('./errors');
+
+// Incoming X-Request-Id values are reused only if they look like an ID
+const REQUEST_ID_PATTERN = /^[\w.-]{1,128}$/;
+
+// Header that asks for a per-resolver timing trace in the response
+const TRACE_HEADER = 'x-debug-trace';
+
+// A trace stops recording after this many resolver calls
+const MAX_TRACE_ENTRIES = 1000;
+
+/**
+ * Express middleware that gives every request an ID, taken from the
+ * X-Request-Id header (e.g. set by a load balancer) or generated, and echoes
+ * it back in the response
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ * @param {Function} next - Calls the next middleware
+ */
+function requestIdMiddleware(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+/**
+ * Returns the milliseconds elapsed since a process.hrtime.bigint() reading
+ * @param {bigint} start - The earlier reading
+ * @returns {number} - Rounded to microseconds
+ */
+function elapsedMs(start) {
+  return Math.round(Number(process.hrtime.bigint() - start) / 1000) / 1000;
+}
+
+/**
+ * Whether an error is a bug rather than something the client caused.
+ * Typed errors carry a code and database errors are mapped by formatError;
+ * anything else thrown by a resolver is unexpected.
+ * @param {GraphQLError} error - An error raised while handling the request
+ * @returns {boolean}
+ */
+function isUnexpectedError(error) {
+  return Boolean(
+    error.originalError
+      && !error.extensions?.code
+      && !error.originalError.extensions?.code
+      && !mapDatabaseError(error.originalError)
+  );
+}
+
+/**
+ * Creates an Apollo plugin that writes one log line per operation with its
+ * name, type, redacted variables, duration and errors, using the request's
+ * logger from the context so the line carries its requestId. Unexpected
+ * errors are also logged with their stack.
+ *
+ * When a request has the X-Debug-Trace header and `allowTrace(context)`
+ * agrees, the time spent in each resolver is returned in
+ * `extensions.trace`. Only fields with their own resolver are timed.
+ * @param {Object} options
+ * @param {Function} options.allowTrace - Decides whether a request may see a trace
+ * @returns {Object} - The plugin
+ */
+function createLoggingPlugin({ allowTrace = () => false } = {}) {
+  return {
+    async requestDidStart({ request, context }) {
+      const start = process.hrtime.bigint();
+      const log = context.logger || logger;
+      const operation = { name: request.operationName || null, type: null };
+      const trace = request.http?.headers.get(TRACE_HEADER) && allowTrace(context)
+        ? { resolvers: [], truncated: false }
+        : null;
+
+      return {
+        async didResolveOperation({ operationName, operation: definition }) {
+          operation.name = operationName || null;
+          operation.type = definition.operation;
+        },
+
+        async didEncounterErrors({ errors }) {
+          errors.filter(isUnexpectedError).forEach((error) => {
+            log.error('Unexpected error', { path: error.path, error: error.originalError });
+          });
+        },
+
+        async executionDidStart() {
+          if (!trace) return undefined;
+          return {
+            willResolveField({ info }) {
+              if (!info.parentType.getFields()[info.fieldName]?.resolve) return undefined;
+              if (trace.resolvers.length >= MAX_TRACE_ENTRIES) {
+                trace.truncated = true;
+                return undefined;
+              }
+              const fieldStart = process.hrtime.bigint();
+              return () => {
+                const path = [];
+                for (let key = info.path; key; key = key.prev) path.unshift(key.key);
+                trace.resolvers.push({
+                  path: path.join('.'),
+                  field: `${info.parentType.name}.${info.fieldName}`,
+                  startMs: Math.round(Number(fieldStart - start) / 1000) / 1000,
+                  durationMs: elapsedMs(fieldStart),
+                });
+              };
+            },
+          };
+        },
+
+        async willSendResponse({ response }) {
+          const durationMs = elapsedMs(start);
+          const errors = (response.errors || []).map((error) => ({
+            message: error.message,
+            code: error.extensions?.code,
+            path: error.path,
+          }));
+          log.info('GraphQL operation', {
+            operationName: operation.name,
+            operationType: operation.type,
+            variables: redact(request.variables || {}),
+            durationMs,
+            ...(errors.length > 0 && { errors }),
+          });
+          if (trace) {
+            response.extensions = { ...response.extensions, trace: { durationMs, ...trace } };
+          }
+        },
+      };
+    },
+  };
+}
+
+module.exports = {
+  requestIdMiddleware,
+  createLoggingPlugin,
+};
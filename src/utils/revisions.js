@@ -0,0 +1,163 @@
+const NoteRevision = require('../models/NoteRevision');
+
+// Past this many differing lines the diff falls back to "replace
+// everything", which keeps the search's memory use bounded
+const MAX_DIFF_DISTANCE = 2000;
+
+/**
+ * Snapshots notes as they are now, one revision per note
+ * @param {Array<Object>} notes - Saved note documents
+ * @param {Object} editorId - ID of the user who made the change
+ * @param {ClientSession} session - Session of the surrounding transaction
+ * @returns {Promise<Array>} - The created revisions
+ */
+function recordRevisions(notes, editorId, session) {
+  if (notes.length === 0) return Promise.resolve([]);
+  return NoteRevision.insertMany(
+    notes.map((note) => ({
+      note: note._id,
+      version: note.__v ?? 0,
+      title: note.title,
+      content: note.content,
+      tags: [...note.tags],
+      editor: editorId,
+    })),
+    { session }
+  );
+}
+
+/**
+ * Finds the shortest edit script between two line arrays (Myers' O(ND)
+ * algorithm) and returns it as a list of line operations
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<Object>|null} - [{ type, text }], or null when the
+ *   lines differ in more than MAX_DIFF_DISTANCE places
+ */
+function shortestEditScript(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_DIFF_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d += 1) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x += 1;
+        y += 1;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b, d);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Walks the saved search frontiers back from the end to recover the edits
+ * @param {Array<Int32Array>} trace - Frontier before each round d, covering k in [-d-1, d+1]
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @param {number} distance - Number of edits found
+ * @returns {Array<Object>} - [{ type, text }]
+ */
+function backtrack(trace, a, b, distance) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = distance; d > 0; d -= 1) {
+    const frontier = trace[d];
+    // Frontier d holds diagonals -d-1..d+1 starting at index 0
+    const at = (k) => frontier[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'UNCHANGED', text: a[x - 1] });
+      x -= 1;
+      y -= 1;
+    }
+    if (prevK === k + 1) {
+      ops.push({ type: 'ADDED', text: b[y - 1] });
+    } else {
+      ops.push({ type: 'REMOVED', text: a[x - 1] });
+    }
+    x = prevX;
+    y = prevY;
+  }
+  while (x > 0 && y > 0) {
+    ops.push({ type: 'UNCHANGED', text: a[x - 1] });
+    x -= 1;
+    y -= 1;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Diffs two texts line by line
+ * @param {string} oldText - The earlier text
+ * @param {string} newText - The later text
+ * @returns {Array<Object>} - [{ type, text, oldLineNumber, newLineNumber }]
+ *   where type is ADDED, REMOVED or UNCHANGED and line numbers are 1-based
+ */
+function diffLines(oldText, newText) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+  const ops = shortestEditScript(a, b) || [
+    ...a.map((text) => ({ type: 'REMOVED', text })),
+    ...b.map((text) => ({ type: 'ADDED', text })),
+  ];
+
+  let oldLine = 0;
+  let newLine = 0;
+  return ops.map(({ type, text }) => {
+    if (type !== 'ADDED') oldLine += 1;
+    if (type !== 'REMOVED') newLine += 1;
+    return {
+      type,
+      text,
+      oldLineNumber: type === 'ADDED' ? null : oldLine,
+      newLineNumber: type === 'REMOVED' ? null : newLine,
+    };
+  });
+}
+
+/**
+ * Compares two revisions of a note
+ * @param {Object} from - The earlier revision
+ * @param {Object} to - The later revision
+ * @returns {Object} - The NoteRevisionDiff fields
+ */
+function diffRevisions(from, to) {
+  const lines = diffLines(from.content, to.content);
+  return {
+    from,
+    to,
+    titleChanged: from.title !== to.title,
+    addedTags: to.tags.filter((tag) => !from.tags.includes(tag)),
+    removedTags: from.tags.filter((tag) => !to.tags.includes(tag)),
+    additions: lines.filter((line) => line.type === 'ADDED').length,
+    deletions: lines.filter((line) => line.type === 'REMOVED').length,
+    lines,
+  };
+}
+
+module.exports = {
+  recordRevisions,
+  diffLines,
+  diffRevisions,
+};
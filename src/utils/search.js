@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+const { ValidationError } = require('./errors');
+const { ACTIVE_NOTE } = require('./trash');
+const { MAX_PAGE_SIZE } = require('./pagination');
+
+const DEFAULT_PAGE_SIZE = 20;
+const SNIPPET_RADIUS = 80;
+
+/**
+ * Escapes HTML special characters
+ * @param {string} text - The text to escape
+ * @returns {string} - The escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Splits a $text search string into the terms worth highlighting,
+ * dropping negated terms and quotes
+ * @param {string} query - The search string
+ * @returns {string[]} - Lowercase terms
+ */
+function extractTerms(query) {
+  return query
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith('-'))
+    .map((term) => term.toLowerCase());
+}
+
+/**
+ * Builds a regex matching any of the terms at a word start. Trailing word
+ * characters are included so stemmed matches ("note" -> "notes") are
+ * highlighted in full.
+ * @param {string[]} terms - Terms to match
+ * @returns {RegExp|null}
+ */
+function termsPattern(terms) {
+  if (terms.length === 0) return null;
+  const escaped = terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`\\b(?:${escaped.join('|')})\\w*`, 'gi');
+}
+
+/**
+ * HTML-escapes text and wraps every match in <mark>
+ * @param {string} text - The text to highlight
+ * @param {RegExp|null} pattern - Pattern from termsPattern
+ * @returns {string} - Safe HTML
+ */
+function highlight(text, pattern) {
+  if (!pattern) return escapeHtml(text);
+  let html = '';
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    html += escapeHtml(text.slice(last, match.index));
+    html += `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(text.slice(last));
+}
+
+/**
+ * Cuts an excerpt of the text around the first match and highlights it
+ * @param {string} text - The full text
+ * @param {RegExp|null} pattern - Pattern from termsPattern
+ * @returns {string} - Safe HTML snippet
+ */
+function buildSnippet(text, pattern) {
+  const match = pattern ? new RegExp(pattern.source, 'i').exec(text) : null;
+  const center = match ? match.index : 0;
+  const start = Math.max(0, center - SNIPPET_RADIUS);
+  const end = Math.min(text.length, center + SNIPPET_RADIUS);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  return prefix + highlight(text.slice(start, end), pattern) + suffix;
+}
+
+/**
+ * Encodes a search hit's rank as an opaque cursor
+ * @param {number} score - The text score
+ * @param {Object} id - The note's _id
+ * @returns {string} - Base64 cursor
+ */
+function encodeCursor(score, id) {
+  return Buffer.from(`${score}:${id}`).toString('base64');
+}
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * @param {string} cursor - Base64 cursor
+ * @returns {{ score: number, id: mongoose.Types.ObjectId }}
+ */
+function decodeCursor(cursor) {
+  const [score, id] = Buffer.from(cursor, 'base64').toString('utf8').split(':');
+  if (Number.isNaN(Number(score)) || !mongoose.isValidObjectId(id)) {
+    throw new ValidationError('Invalid cursor', { after: 'Not a valid cursor' });
+  }
+  return { score: Number(score), id: new mongoose.Types.ObjectId(id) };
+}
+
+/**
+ * Parses an optional date filter value
+ * @param {string} value - A date string
+ * @param {string} name - Field name, for error messages
+ * @returns {Date|null}
+ */
+function parseDate(value, name) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid date \`${name}\``, { [`filter.${name}`]: 'Not a valid date' });
+  }
+  return date;
+}
+
+/**
+ * Compiles a NoteSearchFilter into a $match stage
+ * @param {Object} filter - The NoteSearchFilter input
+ * @returns {Object} - Mongo filter
+ */
+function buildFilter(filter) {
+  if (!filter) return {};
+  const { tags, authorId, createdAfter, createdBefore } = filter;
+  const match = {};
+  if (tags && tags.length > 0) {
+    match.tags = { $all: tags.map((tag) => tag.trim().toLowerCase()) };
+  }
+  if (authorId) {
+    if (!mongoose.isValidObjectId(authorId)) {
+      throw new ValidationError('Invalid `authorId`', { 'filter.authorId': 'Not a valid ID' });
+    }
+    match.author = new mongoose.Types.ObjectId(authorId);
+  }
+  const after = parseDate(createdAfter, 'createdAfter');
+  const before = parseDate(createdBefore, 'createdBefore');
+  if (after || before) {
+    match.createdAt = {};
+    if (after) match.createdAt.$gte = after;
+    if (before) match.createdAt.$lte = before;
+  }
+  return match;
+}
+
+/**
+ * Runs a full-text search over notes, ranked by text score
+ * @param {string} query - The search string ($text syntax)
+ * @param {Object} filter - The NoteSearchFilter input
+ * @param {Object} page - { first, after }
+ * @param {Object} scope - Only search notes matching this filter
+ * @returns {Promise<Object>} - { edges, pageInfo, totalCount }
+ */
+async function searchNotes(query, filter, { first = DEFAULT_PAGE_SIZE, after } = {}, scope = {}) {
+  if (!query || !query.trim()) {
+    throw new ValidationError('Search query must not be empty', { query: 'Must not be empty' });
+  }
+  if (first < 0 || first > MAX_PAGE_SIZE) {
+    throw new ValidationError('Invalid page size `first`', {
+      first: `Must be between 0 and ${MAX_PAGE_SIZE}`,
+    });
+  }
+
+  const match = {
+    $text: { $search: query },
+    $and: [ACTIVE_NOTE, scope, buildFilter(filter)],
+  };
+  const pipeline = [
+    { $match: match },
+    { $addFields: { score: { $meta: 'textScore' } } },
+  ];
+  if (after) {
+    const cursor = decodeCursor(after);
+    pipeline.push({
+      $match: {
+        $or: [
+          { score: { $lt: cursor.score } },
+          { score: cursor.score, _id: { $gt: cursor.id } },
+        ],
+      },
+    });
+  }
+  pipeline.push({ $sort: { score: -1, _id: 1 } }, { $limit: first + 1 });
+
+  const [docs, totalCount] = await Promise.all([
+    first === 0 ? [] : Note.aggregate(pipeline),
+    Note.countDocuments(match),
+  ]);
+
+  const hasNextPage = docs.length > first;
+  const pattern = termsPattern(extractTerms(query));
+
+  const edges = docs.slice(0, first).map(({ score, ...doc }) => ({
+    cursor: encodeCursor(score, doc._id),
+    score,
+    node: Note.hydrate(doc),
+    highlightedTitle: highlight(doc.title, pattern),
+    snippet: buildSnippet(doc.content, pattern),
+  }));
+
+  return {
+    edges,
+    totalCount,
+    pageInfo: {
+      hasNextPage,
+      hasPreviousPage: Boolean(after),
+      startCursor: edges.length ? edges[0].cursor : null,
+      endCursor: edges.length ? edges[edges.length - 1].cursor : null,
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  escapeHtml,
+  buildSnippet,
+  searchNotes,
+};
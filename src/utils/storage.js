@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { config } = require('../config');
+
+// Keys are generated here, never taken from the client, but are checked
+// anyway so a bad key can't reach outside the storage directory
+const KEY_PATTERN = /^[a-f0-9-]+$/;
+
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, '../../uploads');
+
+/**
+ * Creates a storage backend that keeps files in a directory on local disk.
+ *
+ * A storage backend is any object with these methods:
+ * - `save(stream)` stores a stream's bytes and resolves to `{ key, size }`
+ * - `createReadStream(key)` returns a readable stream of the stored bytes
+ * - `remove(key)` deletes the stored bytes; missing keys are not an error
+ * @param {Object} options
+ * @param {string} options.directory - Where to keep the files
+ * @returns {Object} - The storage backend
+ */
+function createLocalStorage({ directory = DEFAULT_UPLOAD_DIR } = {}) {
+  const pathFor = (key) => {
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return path.join(directory, key);
+  };
+
+  return {
+    async save(stream) {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const key = crypto.randomUUID();
+      const filePath = pathFor(key);
+      try {
+        await pipeline(stream, fs.createWriteStream(filePath, { flags: 'wx' }));
+      } catch (error) {
+        // Don't leave a partial file behind, e.g. when the upload was too big
+        await fs.promises.rm(filePath, { force: true });
+        throw error;
+      }
+      const { size } = await fs.promises.stat(filePath);
+      return { key, size };
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(pathFor(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(pathFor(key), { force: true });
+    },
+  };
+}
+
+let storage = createLocalStorage({ directory: config.uploadDir });
+
+/**
+ * Returns the active storage backend
+ * @returns {Object} - A backend with save(), createReadStream() and remove()
+ */
+function getStorage() {
+  return storage;
+}
+
+/**
+ * Replaces the storage backend, e.g. with one backed by object storage
+ * when running several instances
+ * @param {Object} backend - A backend with save(), createReadStream() and remove()
+ */
+function setStorage(backend) {
+  storage = backend;
+}
+
+module.exports = {
+  createLocalStorage,
+  getStorage,
+  setStorage,
+};
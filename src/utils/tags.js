@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+const { ValidationError } = require('./errors');
+const { recordRevisions } = require('./revisions');
+const { ACTIVE_NOTE } = require('./trash');
+const { escapeRegex } = require('./noteFilter');
+
+const MAX_TAGS_PAGE = 100;
+const DEFAULT_TAGS_PAGE = 50;
+
+/**
+ * Lists tags with the number of notes carrying each, most used first.
+ * Trashed notes don't count.
+ * @param {Object} options
+ * @param {string} options.prefix - Only tags starting with this (autocomplete)
+ * @param {number} options.first - Maximum number of tags to return
+ * @param {Object} options.scope - Only count notes matching this filter
+ * @returns {Promise<Array>} - [{ name, count }]
+ */
+async function listTags({ prefix, first = DEFAULT_TAGS_PAGE, scope = {} } = {}) {
+  if (first < 0 || first > MAX_TAGS_PAGE) {
+    throw new ValidationError('Invalid page size `first`', {
+      first: `Must be between 0 and ${MAX_TAGS_PAGE}`,
+    });
+  }
+  if (first === 0) return [];
+
+  const pipeline = [{ $match: { ...ACTIVE_NOTE, ...scope } }, { $unwind: '$tags' }];
+  const normalized = prefix ? prefix.trim().toLowerCase() : '';
+  if (normalized) {
+    // Tags are stored lowercase, so an anchored case-sensitive match suffices
+    pipeline.push({ $match: { tags: { $regex: `^${escapeRegex(normalized)}` } } });
+  }
+  pipeline.push(
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: first },
+    { $project: { _id: 0, name: '$_id', count: 1 } }
+  );
+
+  return Note.aggregate(pipeline);
+}
+
+/**
+ * Replaces every source tag with the target tag on all notes, in a single
+ * bulk update. The target keeps its position when a note already has it,
+ * and is appended otherwise. Bumps each note's version and records a
+ * revision for it. Notes in the trash are rewritten too, so they come back
+ * with the new tag, but like `tag.count`, `notesUpdated` leaves them out.
+ * @param {string[]} sources - Tags to fold into the target
+ * @param {string} target - The tag to keep
+ * @param {Object} editorId - ID of the user making the change
+ * @returns {Promise<Object>} - { tag: { name, count }, notesUpdated, changes }
+ *   where `changes` lists each affected note's ID, previous tags and
+ *   whether it is in the trash
+ */
+async function mergeTags(sources, target, editorId) {
+  const name = target.trim().toLowerCase();
+  const merged = [...new Set(sources.map((tag) => tag.trim().toLowerCase()))]
+    .filter((tag) => tag && tag !== name);
+
+  if (!name) {
+    throw new ValidationError('Target tag must not be empty', { target: 'Must not be empty' });
+  }
+  if (merged.length === 0) {
+    throw new ValidationError('Nothing to merge', {
+      sources: 'Must name at least one tag other than the target',
+    });
+  }
+
+  let changes = [];
+  await mongoose.connection.transaction(async (session) => {
+    const affected = await Note.find({ tags: { $in: merged } }, { tags: 1, deletedAt: 1 })
+      .session(session)
+      .lean();
+    changes = affected.map((note) => ({
+      id: note._id,
+      previousTags: note.tags,
+      trashed: note.deletedAt != null,
+    }));
+    if (affected.length === 0) return;
+
+    await Note.updateMany(
+      { _id: { $in: affected.map((note) => note._id) } },
+      [{
+        $set: {
+          tags: {
+            $concatArrays: [
+              { $filter: { input: '$tags', cond: { $not: { $in: ['$$this', merged] } } } },
+              { $cond: [{ $in: [name, '$tags'] }, [], [name]] },
+            ],
+          },
+          __v: { $add: [{ $ifNull: ['$__v', 0] }, 1] },
+        },
+      }],
+      { session }
+    );
+
+    const updated = await Note.find({ _id: { $in: affected.map((note) => note._id) } }).session(session);
+    await recordRevisions(updated, editorId, session);
+  });
+
+  const count = await Note.countDocuments({ tags: name, ...ACTIVE_NOTE });
+  const notesUpdated = changes.filter((change) => !change.trashed).length;
+  return { tag: { name, count }, notesUpdated, changes };
+}
+
+module.exports = {
+  listTags,
+  mergeTags,
+};
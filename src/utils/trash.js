@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Note = require('../models/Note');
+const NoteRevision = require('../models/NoteRevision');
+const { deleteNoteAttachments, removeStoredFiles } = require('./attachments');
+const { logger } = require('./logger');
+
+// Filters for notes outside and inside the trash. Notes saved before
+// soft delete existed have no `deletedAt`, which `null` also matches.
+const ACTIVE_NOTE = { deletedAt: null };
+const TRASHED_NOTE = { deletedAt: { $ne: null } };
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Permanently deletes notes along with their revisions, attachments and
+ * the references to them in `User.notes`, in one transaction. Attachment
+ * files are removed from storage after it commits.
+ * @param {Array} noteIds - IDs of the notes to delete
+ * @returns {Promise<number>} - How many notes were deleted
+ */
+async function purgeNotes(noteIds) {
+  if (noteIds.length === 0) return 0;
+
+  let deletedCount = 0;
+  let attachments = [];
+  await mongoose.connection.transaction(async (session) => {
+    ({ deletedCount } = await Note.deleteMany({ _id: { $in: noteIds } }, { session }));
+    await NoteRevision.deleteMany({ note: { $in: noteIds } }, { session });
+    attachments = await deleteNoteAttachments(noteIds, session);
+    await User.updateMany(
+      { notes: { $in: noteIds } },
+      { $pull: { notes: { $in: noteIds } } },
+      { session }
+    );
+  });
+  await removeStoredFiles(attachments);
+  return deletedCount;
+}
+
+/**
+ * Permanently deletes every note that has been in the trash for longer
+ * than the retention period
+ * @param {number} retentionDays - Days a note stays restorable
+ * @returns {Promise<number>} - How many notes were deleted
+ */
+async function purgeExpiredNotes(retentionDays = DEFAULT_RETENTION_DAYS) {
+  const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+  const expired = await Note.find({ deletedAt: { $ne: null, $lt: cutoff } }, { _id: 1 }).lean();
+  return purgeNotes(expired.map((note) => note._id));
+}
+
+/**
+ * Runs purgeExpiredNotes now and then on an interval. The timer doesn't
+ * keep the process alive on its own.
+ * @param {Object} options
+ * @param {number} options.retentionDays - Days a note stays restorable
+ * @param {number} options.intervalMs - Time between runs
+ * @returns {Function} - Stops the job
+ */
+function startTrashRetentionJob({
+  retentionDays = DEFAULT_RETENTION_DAYS,
+  intervalMs = HOUR_MS,
+} = {}) {
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredNotes(retentionDays);
+      if (purged > 0) {
+        logger.info('Purged expired notes from the trash', { purged, retentionDays });
+      }
+    } catch (error) {
+      logger.error('Trash retention job failed', { error });
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  ACTIVE_NOTE,
+  TRASHED_NOTE,
+  DEFAULT_RETENTION_DAYS,
+  purgeNotes,
+  purgeExpiredNotes,
+  startTrashRetentionJob,
+};
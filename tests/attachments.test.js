@@ -0,0 +1,110 @@
+const Attachment = require('../src/models/Attachment');
+const { getStorage } = require('../src/utils/storage');
+const { useTestServer, dataOf, errorCodeOf } = require('./helpers/server');
+const { createUser, createNote, buildUpload } = require('./helpers/factories');
+
+const { execute } = useTestServer();
+
+const ATTACH_FILE = `
+  mutation Attach($noteId: ID!, $file: Upload!) {
+    attachFile(noteId: $noteId, file: $file) { id filename mimeType size url uploadedBy { id } }
+  }
+`;
+
+const REMOVE_ATTACHMENT = 'mutation Remove($id: ID!) { removeAttachment(id: $id) }';
+
+/**
+ * Reads a stored file back
+ * @param {string} key - The storage key
+ * @returns {Promise<string>}
+ */
+async function readStored(key) {
+  const chunks = [];
+  for await (const chunk of getStorage().createReadStream(key)) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+}
+
+describe('attachFile', () => {
+  it('stores the file and lists it on the note', async () => {
+    const author = await createUser();
+    const note = await createNote(author);
+
+    const { attachFile } = dataOf(await execute(ATTACH_FILE, {
+      user: author,
+      variables: { noteId: note.id, file: buildUpload({ filename: 'dir/todo.txt', content: 'Buy milk' }) },
+    }));
+
+    expect(attachFile).toMatchObject({
+      filename: 'todo.txt',
+      mimeType: 'text/plain',
+      size: 8,
+      url: `/attachments/${attachFile.id}`,
+      uploadedBy: { id: author.id },
+    });
+    const stored = await Attachment.findById(attachFile.id);
+    expect(await readStored(stored.storageKey)).toBe('Buy milk');
+
+    const { note: fetched } = dataOf(await execute(
+      'query Note($id: ID!) { note(id: $id) { attachments { id } } }',
+      { user: author, variables: { id: note.id } }
+    ));
+    expect(fetched.attachments).toEqual([{ id: attachFile.id }]);
+  });
+
+  it('rejects file types that are not allowed', async () => {
+    const author = await createUser();
+    const note = await createNote(author);
+
+    const result = await execute(ATTACH_FILE, {
+      user: author,
+      variables: { noteId: note.id, file: buildUpload({ filename: 'page.html', mimetype: 'text/html' }) },
+    });
+
+    expect(errorCodeOf(result)).toBe('VALIDATION_FAILED');
+    expect(await Attachment.countDocuments()).toBe(0);
+  });
+
+  it('requires permission to edit the note', async () => {
+    const [author, other] = await Promise.all([createUser(), createUser()]);
+    const note = await createNote(author, { visibility: 'public' });
+
+    const result = await execute(ATTACH_FILE, {
+      user: other,
+      variables: { noteId: note.id, file: buildUpload() },
+    });
+
+    expect(errorCodeOf(result)).toBe('FORBIDDEN');
+  });
+});
+
+describe('removeAttachment', () => {
+  it('deletes the attachment and its stored file', async () => {
+    const author = await createUser();
+    const note = await createNote(author);
+    const { attachFile } = dataOf(await execute(ATTACH_FILE, {
+      user: author,
+      variables: { noteId: note.id, file: buildUpload() },
+    }));
+    const { storageKey } = await Attachment.findById(attachFile.id);
+
+    const result = await execute(REMOVE_ATTACHMENT, { user: author, variables: { id: attachFile.id } });
+
+    expect(dataOf(result).removeAttachment).toBe(true);
+    expect(await Attachment.exists({ _id: attachFile.id })).toBeNull();
+    await expect(readStored(storageKey)).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  it("hides attachments of notes the caller can't read", async () => {
+    const [author, other] = await Promise.all([createUser(), createUser()]);
+    const note = await createNote(author);
+    const { attachFile } = dataOf(await execute(ATTACH_FILE, {
+      user: author,
+      variables: { noteId: note.id, file: buildUpload() },
+    }));
+
+    const result = await execute(REMOVE_ATTACHMENT, { user: other, variables: { id: attachFile.id } });
+
+    expect(errorCodeOf(result)).toBe('NOT_FOUND');
+    expect(await Attachment.exists({ _id: attachFile.id })).toBeTruthy();
+  });
+});
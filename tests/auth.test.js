@@ -0,0 +1,160 @@
+const User = require('../src/models/User');
+const { getUserFromToken } = require('../src/utils/auth');
+const { useTestServer, dataOf, errorCodeOf } = require('./helpers/server');
+const { PASSWORD, buildUserInput, createUser } = require('./helpers/factories');
+
+const { execute } = useTestServer();
+
+const SIGNUP = `
+  mutation Signup($input: CreateUserInput!) {
+    signup(input: $input) { token user { id username email role } }
+  }
+`;
+
+const LOGIN = `
+  mutation Login($email: String!, $password: String!) {
+    login(email: $email, password: $password) { token user { id } }
+  }
+`;
+
+const CHANGE_PASSWORD = `
+  mutation ChangePassword($oldPassword: String!, $newPassword: String!) {
+    changePassword(oldPassword: $oldPassword, newPassword: $newPassword)
+  }
+`;
+
+describe('signup', () => {
+  it('creates a user and returns a token for them', async () => {
+    const input = buildUserInput({ email: 'Ada@Example.com ' });
+    const { signup } = dataOf(await execute(SIGNUP, { variables: { input } }));
+
+    expect(signup.user).toMatchObject({
+      username: input.username,
+      email: 'ada@example.com',
+      role: 'USER',
+    });
+    const tokenUser = await getUserFromToken(signup.token);
+    expect(tokenUser.id).toBe(signup.user.id);
+  });
+
+  it('rejects a taken email, whatever its case', async () => {
+    await createUser({ email: 'ada@example.com' });
+    const input = buildUserInput({ email: 'ADA@example.com' });
+
+    const result = await execute(SIGNUP, { variables: { input } });
+
+    expect(errorCodeOf(result)).toBe('CONFLICT');
+    expect(await User.countDocuments()).toBe(1);
+  });
+
+  it('rejects a taken username and says which field clashed', async () => {
+    await createUser({ username: 'ada' });
+
+    const result = await execute(SIGNUP, { variables: { input: buildUserInput({ username: 'ada' }) } });
+
+    expect(errorCodeOf(result)).toBe('CONFLICT');
+    expect(result.errors[0].extensions.fields).toEqual({ username: 'Already taken' });
+  });
+});
+
+describe('password hashing', () => {
+  it('stores a bcrypt hash instead of the password', async () => {
+    const user = await createUser();
+    const stored = await User.findById(user._id);
+
+    expect(stored.password).not.toBe(PASSWORD);
+    expect(stored.password).toMatch(/^\$2[aby]\$10\$/);
+    expect(await stored.comparePassword(PASSWORD)).toBe(true);
+    expect(await stored.comparePassword('wrong-password')).toBe(false);
+  });
+
+  it('does not hash the hash again when other fields change', async () => {
+    const user = await createUser();
+    const hash = user.password;
+
+    user.username = `${user.username}x`;
+    await user.save();
+
+    expect((await User.findById(user._id)).password).toBe(hash);
+  });
+});
+
+describe('login', () => {
+  it('returns a token for the right password', async () => {
+    const user = await createUser({ email: 'ada@example.com' });
+
+    const { login } = dataOf(await execute(LOGIN, {
+      variables: { email: ' ADA@example.com', password: PASSWORD },
+    }));
+
+    expect(login.user.id).toBe(user.id);
+    expect((await getUserFromToken(login.token)).id).toBe(user.id);
+  });
+
+  it('gives the same error for a wrong password and an unknown email', async () => {
+    const user = await createUser();
+
+    const wrongPassword = await execute(LOGIN, {
+      variables: { email: user.email, password: 'wrong-password' },
+    });
+    const unknownEmail = await execute(LOGIN, {
+      variables: { email: 'nobody@example.com', password: PASSWORD },
+    });
+
+    expect(errorCodeOf(wrongPassword)).toBe('UNAUTHENTICATED');
+    expect(errorCodeOf(unknownEmail)).toBe('UNAUTHENTICATED');
+    expect(wrongPassword.errors[0].message).toBe(unknownEmail.errors[0].message);
+  });
+});
+
+describe('me', () => {
+  const ME = '{ me { id username } }';
+
+  it('is null when signed out', async () => {
+    expect(dataOf(await execute(ME)).me).toBeNull();
+  });
+
+  it('returns the signed-in user', async () => {
+    const user = await createUser();
+    expect(dataOf(await execute(ME, { user })).me).toEqual({ id: user.id, username: user.username });
+  });
+});
+
+describe('changePassword', () => {
+  it('hashes the new password and accepts it at login', async () => {
+    const user = await createUser();
+    const newPassword = 'new-password-456';
+
+    const result = await execute(CHANGE_PASSWORD, {
+      user,
+      variables: { oldPassword: PASSWORD, newPassword },
+    });
+
+    expect(dataOf(result).changePassword).toBe(true);
+    const stored = await User.findById(user._id);
+    expect(stored.password).not.toBe(newPassword);
+    expect(await stored.comparePassword(newPassword)).toBe(true);
+    expect(errorCodeOf(await execute(LOGIN, {
+      variables: { email: user.email, password: PASSWORD },
+    }))).toBe('UNAUTHENTICATED');
+  });
+
+  it('requires the current password', async () => {
+    const user = await createUser();
+
+    const result = await execute(CHANGE_PASSWORD, {
+      user,
+      variables: { oldPassword: 'wrong-password', newPassword: 'new-password-456' },
+    });
+
+    expect(errorCodeOf(result)).toBe('VALIDATION_FAILED');
+    expect(result.errors[0].extensions.fields).toEqual({ oldPassword: 'Is incorrect' });
+  });
+
+  it('requires signing in', async () => {
+    const result = await execute(CHANGE_PASSWORD, {
+      variables: { oldPassword: PASSWORD, newPassword: 'new-password-456' },
+    });
+    expect(errorCodeOf(result)).toBe('UNAUTHENTICATED');
+  });
+});
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const { parse, validate } = require('graphql');
+const schema = require('../src/schema');
+const { measureOperation } = require('../src/schema/costDirective');
+const { DEFAULT_QUERY_LIMITS } = require('../src/utils/queryCost');
+const { readClientOperations } = require('../src/utils/clientOperations');
+const {
+  hashQuery,
+  buildManifest,
+  loadManifest,
+  DEFAULT_MANIFEST_PATH,
+} = require('../src/utils/persistedQueries');
+
+const operations = readClientOperations();
+
+describe('client operations in public/js/script.js', () => {
+  it('finds the operations to check', () => {
+    expect(operations.map((op) => op.name)).toEqual(
+      expect.arrayContaining(['GetUsers', 'GetNotes', 'CreateNote', 'UpdateNote', 'DeleteNote'])
+    );
+  });
+
+  it.each(operations.map((op) => [op.name, op.document]))(
+    '%s is valid against the schema',
+    (name, document) => {
+      const errors = validate(schema, parse(document));
+      expect(errors.map((error) => error.message)).toEqual([]);
+    }
+  );
+
+  it.each(operations.map((op) => [op.name, op.document]))(
+    '%s stays within the default depth and cost limits',
+    (name, document) => {
+      const { depth, cost } = measureOperation(schema, parse(document), {
+        variables: { first: 50 },
+      });
+      expect(depth).toBeLessThanOrEqual(DEFAULT_QUERY_LIMITS.maxDepth);
+      expect(cost).toBeLessThanOrEqual(DEFAULT_QUERY_LIMITS.maxCost);
+    }
+  );
+
+  it('are all in the committed persisted query manifest', () => {
+    const committed = JSON.parse(fs.readFileSync(DEFAULT_MANIFEST_PATH, 'utf8'));
+    // Run `npm run build:persisted-queries` after changing a client operation
+    expect(committed).toEqual(buildManifest(operations));
+
+    const allowed = loadManifest();
+    operations.forEach(({ document }) => {
+      expect(allowed.get(hashQuery(document))).toBe(document);
+    });
+  });
+});
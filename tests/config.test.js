@@ -0,0 +1,86 @@
+const { loadConfig, ConfigError } = require('../src/config');
+
+describe('loadConfig', () => {
+  it('uses the development profile by default', () => {
+    const config = loadConfig({});
+    expect(config).toMatchObject({
+      env: 'development',
+      port: 4000,
+      mongoUri: 'mongodb://localhost:27017/study-graphql',
+      corsOrigins: ['*'],
+      introspection: true,
+      playground: true,
+      debug: true,
+      logLevel: 'debug',
+      persistedQueries: 'apq',
+    });
+    expect(Object.isFrozen(config)).toBe(true);
+  });
+
+  it('lets environment variables override the profile', () => {
+    const config = loadConfig({
+      NODE_ENV: 'production',
+      MONGODB_URI: 'mongodb+srv://db.example.com/notes',
+      JWT_SECRET: 'secret',
+      PORT: '8080',
+      CORS_ORIGINS: 'https://a.example.com, https://b.example.com',
+      GRAPHQL_INTROSPECTION: 'true',
+      TRUST_PROXY: '2',
+      QUERY_MAX_COST: '2000',
+    });
+    expect(config).toMatchObject({
+      env: 'production',
+      port: 8080,
+      corsOrigins: ['https://a.example.com', 'https://b.example.com'],
+      introspection: true,
+      playground: false,
+      debug: false,
+      logLevel: 'info',
+      persistedQueries: 'allowlist',
+      trustProxy: 2,
+      queryMaxCost: 2000,
+    });
+    // Unset module tunables fall through to that module's default
+    expect(config.queryMaxDepth).toBeUndefined();
+  });
+
+  it('reports every problem at once', () => {
+    expect.assertions(2);
+    try {
+      loadConfig({
+        NODE_ENV: 'production',
+        PORT: '99999',
+        LOG_LEVEL: 'loud',
+        GRAPHQL_PLAYGROUND: 'yes',
+        PERSISTED_QUERIES: 'sometimes',
+      });
+    } catch (error) {
+      expect(error).toBeInstanceOf(ConfigError);
+      expect(error.problems).toEqual([
+        'MONGODB_URI is required when NODE_ENV is production',
+        'LOG_LEVEL must be one of error, warn, info, debug',
+        'PERSISTED_QUERIES must be one of off, apq, allowlist',
+        'PORT must be an integer from 1 to 65535',
+        'JWT_SECRET is required when NODE_ENV is production',
+        'GRAPHQL_PLAYGROUND must be true or false',
+      ]);
+    }
+  });
+
+  it('rejects unknown environments and malformed URIs', () => {
+    expect(() => loadConfig({ NODE_ENV: 'staging' })).toThrow('NODE_ENV must be one of');
+    expect(() => loadConfig({ MONGODB_URI: 'localhost:27017' })).toThrow('MONGODB_URI must start with');
+  });
+
+  it('serves metrics on their own port', () => {
+    expect(loadConfig({}).metricsPort).toBe(9464);
+    expect(() => loadConfig({ PORT: '9000', METRICS_PORT: '9000' }))
+      .toThrow('METRICS_PORT must differ from PORT');
+  });
+
+  it('keeps connection attempts shorter than the shutdown timeout', () => {
+    expect(loadConfig({}).db.serverSelectionTimeoutMs).toBe(5000);
+    expect(() => loadConfig({ DB_SERVER_SELECTION_TIMEOUT_MS: '10000' }))
+      .toThrow('DB_SERVER_SELECTION_TIMEOUT_MS must be less than SHUTDOWN_TIMEOUT_MS');
+  });
+});
@@ -0,0 +1,125 @@
+const { ApolloServer } = require('apollo-server-express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const schema = require('../src/schema');
+const { createContext } = require('../src/context');
+const User = require('../src/models/User');
+const Note = require('../src/models/Note');
+
+const USER_COUNT = 5;
+const NOTES_PER_USER = 3;
+
+let mongod;
+let server;
+
+/**
+ * Runs an operation and records every MongoDB command it issues
+ * @param {string} query - The GraphQL operation
+ * @returns {Promise<{ result: Object, queries: string[] }>}
+ */
+async function executeCounting(query) {
+  const queries = [];
+  mongoose.set('debug', (collection, method) => {
+    queries.push(`${collection}.${method}`);
+  });
+  try {
+    const result = await server.executeOperation({ query }, { req: {} });
+    return { result, queries };
+  } finally {
+    mongoose.set('debug', false);
+  }
+}
+
+beforeAll(async () => {
+  mongod = await MongoMemoryServer.create();
+  await mongoose.connect(mongod.getUri());
+  await Promise.all([User.init(), Note.init()]);
+  server = new ApolloServer({ schema, context: createContext });
+});
+
+afterAll(async () => {
+  await server?.stop();
+  await mongoose.disconnect();
+  await mongod?.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([User.deleteMany({}), Note.deleteMany({})]);
+  for (let i = 0; i < USER_COUNT; i++) {
+    const user = await User.create({
+      username: `user${i}`,
+      email: `user${i}@example.com`,
+      password: 'password123',
+    });
+    const notes = await Note.insertMany(
+      Array.from({ length: NOTES_PER_USER }, (_, j) => ({
+        title: `Note ${j} by user${i}`,
+        content: 'Content',
+        author: user._id,
+        tags: ['test'],
+        // Readable by the anonymous requests below
+        visibility: 'public',
+      }))
+    );
+    user.notes = notes.map((note) => note._id);
+    await user.save();
+  }
+});
+
+describe('nested resolver batching', () => {
+  it('loads users { notes { author } } in a constant number of queries', async () => {
+    const { result, queries } = await executeCounting(`
+      query {
+        users {
+          username
+          notes {
+            title
+            author {
+              username
+            }
+          }
+        }
+      }
+    `);
+
+    expect(result.errors).toBeUndefined();
+    expect(result.data.users).toHaveLength(USER_COUNT);
+    result.data.users.forEach((user) => {
+      expect(user.notes).toHaveLength(NOTES_PER_USER);
+      user.notes.forEach((note) => expect(note.author.username).toBe(user.username));
+    });
+    // users.find, notes.find (batched by author), users.find (batched by id)
+    expect(queries).toEqual(['users.find', 'notes.find', 'users.find']);
+  });
+
+  it('loads notes { author { notes } } in a constant number of queries', async () => {
+    const { result, queries } = await executeCounting(`
+      query {
+        notes {
+          title
+          author {
+            username
+            notes {
+              id
+            }
+          }
+        }
+      }
+    `);
+
+    expect(result.errors).toBeUndefined();
+    expect(result.data.notes).toHaveLength(USER_COUNT * NOTES_PER_USER);
+    expect(queries).toEqual(['notes.find', 'users.find', 'notes.find']);
+  });
+
+  it('does not share cached results between requests', async () => {
+    const query = '{ notes { author { username } } }';
+    const first = await executeCounting(query);
+    await User.updateMany({}, { $set: { username: 'renamed' } });
+    const second = await executeCounting(query);
+
+    expect(first.result.data.notes[0].author.username).not.toBe('renamed');
+    expect(second.result.data.notes[0].author.username).toBe('renamed');
+    expect(second.queries).toEqual(['notes.find', 'users.find']);
+  });
+});
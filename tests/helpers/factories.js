@@ -0,0 +1,94 @@
+const { Readable } = require('stream');
+const Upload = require('graphql-upload/public/Upload.js');
+const User = require('../../src/models/User');
+const Note = require('../../src/models/Note');
+const { recordRevisions } = require('../../src/utils/revisions');
+
+// Default password of every user built here
+const PASSWORD = 'password123';
+
+// Keeps generated usernames and emails unique across a test file
+let sequence = 0;
+
+/**
+ * Builds CreateUserInput fields for a new, unique user
+ * @param {Object} overrides - Fields to set instead of the defaults
+ * @returns {Object} - `{ username, email, password }`
+ */
+function buildUserInput(overrides = {}) {
+  sequence += 1;
+  return {
+    username: `user${sequence}`,
+    email: `user${sequence}@example.com`,
+    password: PASSWORD,
+    ...overrides,
+  };
+}
+
+/**
+ * Saves a user directly, running the password hashing hook
+ * @param {Object} overrides - Fields to set instead of the defaults, e.g. `{ role: 'admin' }`
+ * @returns {Promise<Object>} - The user document
+ */
+function createUser(overrides = {}) {
+  return User.create(buildUserInput(overrides));
+}
+
+/**
+ * Saves an admin user
+ * @param {Object} overrides - Fields to set instead of the defaults
+ * @returns {Promise<Object>} - The user document
+ */
+function createAdmin(overrides = {}) {
+  return createUser({ role: 'admin', ...overrides });
+}
+
+/**
+ * Saves a note the way createNote does: referenced from the author's
+ * `notes` and with its first revision
+ * @param {Object} author - The author's user document
+ * @param {Object} overrides - Fields to set instead of the defaults, e.g.
+ *   `{ visibility: 'public', tags: ['graphql'] }`
+ * @returns {Promise<Object>} - The note document
+ */
+async function createNote(author, overrides = {}) {
+  sequence += 1;
+  const note = await Note.create({
+    title: `Note ${sequence}`,
+    content: `Content of note ${sequence}`,
+    tags: [],
+    author: author._id,
+    ...overrides,
+  });
+  await User.updateOne({ _id: author._id }, { $push: { notes: note._id } });
+  await recordRevisions([note], author._id);
+  return note;
+}
+
+/**
+ * Builds an Upload variable as graphql-upload would for a multipart request
+ * @param {Object} file
+ * @param {string} file.filename - Name the client sent
+ * @param {string} file.mimetype - Type the client sent
+ * @param {string} file.content - The file's bytes
+ * @returns {Upload}
+ */
+function buildUpload({ filename = 'notes.txt', mimetype = 'text/plain', content = 'Hello' } = {}) {
+  const upload = new Upload();
+  upload.resolve({
+    filename,
+    mimetype,
+    encoding: '7bit',
+    createReadStream: () => Readable.from([Buffer.from(content)]),
+  });
+  return upload;
+}
+
+module.exports = {
+  PASSWORD,
+  buildUserInput,
+  createUser,
+  createAdmin,
+  createNote,
+  buildUpload,
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ApolloServer } = require('apollo-server-express');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const schema = require('../../src/schema');
+const { createContext } = require('../../src/context');
+const { createToken, getUserFromToken } = require('../../src/utils/auth');
+const { formatError } = require('../../src/utils/errors');
+const { createLocalStorage, getStorage, setStorage } = require('../../src/utils/storage');
+
+/**
+ * Boots the Apollo server against a throwaway in-memory MongoDB for the
+ * tests in the calling file. MongoDB runs as a single-node replica set,
+ * since note and user mutations use transactions. Every collection is
+ * emptied before each test and uploads go to a temporary directory.
+ *
+ * Call it at the top level of a test file:
+ *
+ *     const { execute } = useTestServer();
+ *
+ * @returns {Object} - `{ execute }`; see execute below
+ */
+function useTestServer() {
+  let replSet;
+  let server;
+  let uploadDir;
+  let previousStorage;
+
+  beforeAll(async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri());
+    // Build unique and text indexes up front; duplicate checks and search rely on them
+    await Promise.all(mongoose.modelNames().map((name) => mongoose.model(name).init()));
+
+    uploadDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'notes-uploads-'));
+    previousStorage = getStorage();
+    setStorage(createLocalStorage({ directory: uploadDir }));
+
+    server = new ApolloServer({ schema, context: createContext, formatError });
+  });
+
+  afterAll(async () => {
+    await server?.stop();
+    await mongoose.disconnect();
+    await replSet?.stop();
+    if (previousStorage) setStorage(previousStorage);
+    if (uploadDir) await fs.promises.rm(uploadDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await Promise.all(
+      Object.values(mongoose.connection.collections).map((collection) => collection.deleteMany({}))
+    );
+  });
+
+  /**
+   * Runs an operation the way an HTTP request would reach it. With `user`,
+   * a token is signed for them and resolved again as authMiddleware does.
+   * @param {string} query - The GraphQL operation
+   * @param {Object} options
+   * @param {Object} options.variables - Operation variables
+   * @param {Object} options.user - User document to run the operation as
+   * @returns {Promise<Object>} - The GraphQL response: `{ data, errors }`
+   */
+  async function execute(query, { variables, user } = {}) {
+    const req = {
+      user: user ? await getUserFromToken(createToken(user)) : null,
+      ip: '127.0.0.1',
+    };
+    return server.executeOperation({ query, variables }, { req });
+  }
+
+  return { execute };
+}
+
+/**
+ * Returns a response's data, failing the test if it has errors
+ * @param {Object} result - The GraphQL response
+ * @returns {Object}
+ */
+function dataOf(result) {
+  expect(result.errors).toBeUndefined();
+  return result.data;
+}
+
+/**
+ * Returns the code of a response's first error, failing the test if there
+ * is none
+ * @param {Object} result - The GraphQL response
+ * @returns {string} - e.g. 'NOT_FOUND'
+ */
+function errorCodeOf(result) {
+  expect(result.errors).toBeDefined();
+  return result.errors[0].extensions.code;
+}
+
+module.exports = {
+  useTestServer,
+  dataOf,
+  errorCodeOf,
+};
@@ -0,0 +1,182 @@
+const { ApolloServer } = require('apollo-server-express');
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const schema = require('../src/schema');
+const { createLogger, redact } = require('../src/utils/logger');
+const { createLoggingPlugin } = require('../src/utils/requestLog');
+const { formatError } = require('../src/utils/errors');
+
+/**
+ * Creates a logger that collects its lines as parsed objects
+ * @returns {Object} - `{ logger, lines }`
+ */
+function captureLogger() {
+  const lines = [];
+  const logger = createLogger({
+    level: 'debug',
+    bindings: { requestId: 'req-1' },
+    write: (line) => lines.push(JSON.parse(line)),
+  });
+  return { logger, lines };
+}
+
+const echoSchema = makeExecutableSchema({
+  typeDefs: `
+    input Credentials { username: String, password: String }
+    type Query {
+      echo(credentials: Credentials): String
+      boom: String
+    }
+  `,
+  resolvers: {
+    Query: {
+      echo: (_, { credentials }) => credentials.username,
+      boom: () => {
+        throw new Error('database password leaked into this message');
+      },
+    },
+  },
+});
+
+describe('redact', () => {
+  it('hides secrets at any depth and keeps everything else', () => {
+    expect(redact({
+      username: 'ada',
+      password: 'hunter2',
+      input: { currentPassword: 'a', newPassword: 'b', token: 'c' },
+      list: [{ apiKey: 'd', title: 'Note' }],
+    })).toEqual({
+      username: 'ada',
+      password: '[REDACTED]',
+      input: { currentPassword: '[REDACTED]', newPassword: '[REDACTED]', token: '[REDACTED]' },
+      list: [{ apiKey: '[REDACTED]', title: 'Note' }],
+    });
+  });
+
+  it('shortens long strings', () => {
+    const redacted = redact({ content: 'x'.repeat(1000) }).content;
+    expect(redacted.length).toBeLessThan(250);
+    expect(redacted).toContain('(1000 chars)');
+  });
+});
+
+describe('createLogger', () => {
+  it('writes JSON lines with bindings and serialized errors', () => {
+    const { logger, lines } = captureLogger();
+    logger.child({ userId: 'u1' }).error('Failed', { error: new Error('boom') });
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({
+      level: 'error',
+      msg: 'Failed',
+      requestId: 'req-1',
+      userId: 'u1',
+      error: { name: 'Error', message: 'boom' },
+    });
+    expect(lines[0].error.stack).toContain('boom');
+    expect(Date.parse(lines[0].time)).not.toBeNaN();
+  });
+
+  it('skips levels below its own', () => {
+    const lines = [];
+    const logger = createLogger({ level: 'warn', write: (line) => lines.push(line) });
+    logger.debug('hidden');
+    logger.info('hidden');
+    logger.warn('shown');
+    logger.error('shown');
+    expect(lines).toHaveLength(2);
+  });
+});
+
+describe('createLoggingPlugin', () => {
+  it('logs the operation with redacted variables and its duration', async () => {
+    const { logger, lines } = captureLogger();
+    const server = new ApolloServer({
+      schema: echoSchema,
+      context: () => ({ logger }),
+      plugins: [createLoggingPlugin()],
+    });
+
+    await server.executeOperation({
+      query: 'query Echo($credentials: Credentials) { echo(credentials: $credentials) }',
+      variables: { credentials: { username: 'ada', password: 'hunter2' } },
+    });
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({
+      level: 'info',
+      requestId: 'req-1',
+      operationName: 'Echo',
+      operationType: 'query',
+      variables: { credentials: { username: 'ada', password: '[REDACTED]' } },
+    });
+    expect(typeof lines[0].durationMs).toBe('number');
+    expect(JSON.stringify(lines)).not.toContain('hunter2');
+  });
+
+  it('logs unexpected errors with their stack but sends a generic message', async () => {
+    const { logger, lines } = captureLogger();
+    const server = new ApolloServer({
+      schema: echoSchema,
+      context: () => ({ logger }),
+      plugins: [createLoggingPlugin()],
+      formatError,
+    });
+
+    const result = await server.executeOperation({ query: 'query Boom { boom }' });
+
+    expect(result.errors[0].message).toBe('Internal server error');
+    const unexpected = lines.find((line) => line.msg === 'Unexpected error');
+    expect(unexpected).toMatchObject({ level: 'error', path: ['boom'] });
+    expect(unexpected.error.stack).toContain('database password leaked');
+    expect(lines.find((line) => line.msg === 'GraphQL operation').errors).toEqual([
+      { message: 'Internal server error', code: 'INTERNAL_SERVER_ERROR', path: ['boom'] },
+    ]);
+  });
+
+  it('does not log client errors as unexpected', async () => {
+    const { logger, lines } = captureLogger();
+    const server = new ApolloServer({
+      schema,
+      context: () => ({ logger }),
+      plugins: [createLoggingPlugin()],
+      formatError,
+    });
+
+    await server.executeOperation({ query: '{ missingField }' });
+
+    expect(lines.map((line) => line.msg)).toEqual(['GraphQL operation']);
+    expect(lines[0].errors[0].code).toBe('GRAPHQL_VALIDATION_FAILED');
+  });
+
+  describe('resolver trace', () => {
+    const traced = { headers: new Map([['x-debug-trace', '1']]) };
+
+    const run = (allowTrace, http) => {
+      const { logger } = captureLogger();
+      const server = new ApolloServer({
+        schema,
+        context: () => ({ logger, user: null }),
+        plugins: [createLoggingPlugin({ allowTrace })],
+      });
+      return server.executeOperation({ query: 'query Me { me { id } __typename }', http });
+    };
+
+    it('returns resolver timings when the header is sent and allowed', async () => {
+      const result = await run(() => true, traced);
+
+      const { trace } = result.extensions;
+      expect(typeof trace.durationMs).toBe('number');
+      expect(trace.truncated).toBe(false);
+      // __typename has no resolver of its own, so only `me` is timed
+      expect(trace.resolvers).toEqual([
+        expect.objectContaining({ path: 'me', field: 'Query.me' }),
+      ]);
+      expect(typeof trace.resolvers[0].durationMs).toBe('number');
+    });
+
+    it('leaves the trace out without the header or permission', async () => {
+      expect((await run(() => true, undefined)).extensions?.trace).toBeUndefined();
+      expect((await run(() => false, traced)).extensions?.trace).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const { renderMarkdown, extractHeadings, buildExcerpt } = require('../src/utils/markdown');
+
+describe('renderMarkdown', () => {
+  it('renders Markdown to HTML', () => {
+    expect(renderMarkdown('Some **bold** text')).toBe('<p>Some <strong>bold</strong> text</p>\n');
+  });
+
+  it('escapes raw HTML and drops unsafe links', () => {
+    const html = renderMarkdown('<script>alert(1)</script>\n\n[x](javascript:alert(1))');
+    expect(html).not.toContain('<script>');
+    expect(html).not.toContain('<a');
+  });
+
+  it('opens links in a new tab without a referrer', () => {
+    expect(renderMarkdown('[x](https://example.com)'))
+      .toContain('<a href="https://example.com" rel="noopener noreferrer nofollow" target="_blank">');
+  });
+
+  it('gives headings the ids returned by extractHeadings', () => {
+    const source = '# Intro\n\n## Intro';
+    const html = renderMarkdown(source);
+    extractHeadings(source).forEach(({ slug }) => expect(html).toContain(`id="${slug}"`));
+  });
+});
+
+describe('extractHeadings', () => {
+  it('lists headings with unique slugs', () => {
+    expect(extractHeadings('# Hello, World\n\ntext\n\n## Hello, World\n### `code` bit'))
+      .toEqual([
+        { level: 1, text: 'Hello, World', slug: 'hello-world' },
+        { level: 2, text: 'Hello, World', slug: 'hello-world-1' },
+        { level: 3, text: 'code bit', slug: 'code-bit' },
+      ]);
+  });
+});
+
+describe('buildExcerpt', () => {
+  it('returns short texts whole, without Markdown syntax', () => {
+    expect(buildExcerpt('# Title\n\nSome *text*')).toBe('Title Some text');
+  });
+
+  it('cuts long texts at a word boundary', () => {
+    const excerpt = buildExcerpt('one two three four five six', 16);
+    expect(excerpt).toBe('one two three…');
+    expect(excerpt.length).toBeLessThanOrEqual(16);
+  });
+});
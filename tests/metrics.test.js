@@ -0,0 +1,49 @@
+const { ApolloServer } = require('apollo-server-express');
+const schema = require('../src/schema');
+const { registry, createMetricsPlugin } = require('../src/utils/metrics');
+
+/**
+ * Reads the value of one metric sample
+ * @param {string} name - Metric name, e.g. 'graphql_requests_total'
+ * @param {Object} labels - Labels the sample must have
+ * @returns {Promise<number|undefined>}
+ */
+async function sample(name, labels) {
+  const metric = await registry.getSingleMetric(name).get();
+  return metric.values.find((value) =>
+    Object.entries(labels).every(([key, expected]) => value.labels[key] === expected)
+  )?.value;
+}
+
+describe('createMetricsPlugin', () => {
+  const server = new ApolloServer({ schema, plugins: [createMetricsPlugin()] });
+
+  beforeEach(() => registry.resetMetrics());
+
+  it('counts and times requests by operation', async () => {
+    await server.executeOperation({ query: 'query Ping { __typename }' });
+    await server.executeOperation({ query: 'query Ping { __typename }' });
+
+    expect(await sample('graphql_requests_total', { operation: 'Ping', type: 'query' })).toBe(2);
+    expect(await sample('graphql_request_duration_seconds', {
+      operation: 'Ping',
+      type: 'query',
+      le: '+Inf',
+    })).toBe(2);
+  });
+
+  it('counts errors by the code sent to the client', async () => {
+    await server.executeOperation({ query: '{ missingField }' });
+
+    expect(await sample('graphql_errors_total', {
+      operation: 'unknown',
+      code: 'GRAPHQL_VALIDATION_FAILED',
+    })).toBe(1);
+  });
+
+  it('exposes the Prometheus text format', async () => {
+    await server.executeOperation({ query: 'query Ping { __typename }' });
+    expect(await registry.metrics())
+      .toContain('graphql_requests_total{operation="Ping",type="query"} 1');
+  });
+});
@@ -0,0 +1,293 @@
+const User = require('../src/models/User');
+const Note = require('../src/models/Note');
+const NoteRevision = require('../src/models/NoteRevision');
+const { useTestServer, dataOf, errorCodeOf } = require('./helpers/server');
+const { createUser, createNote } = require('./helpers/factories');
+
+const { execute } = useTestServer();
+
+const CREATE_NOTE = `
+  mutation CreateNote($input: CreateNoteInput!) {
+    createNote(input: $input) { id title tags visibility version author { id } }
+  }
+`;
+
+const UPDATE_NOTE = `
+  mutation UpdateNote($id: ID!, $input: UpdateNoteInput!) {
+    updateNote(id: $id, input: $input) { id title content tags version }
+  }
+`;
+
+describe('createNote', () => {
+  it('saves a private note for the caller with its first revision', async () => {
+    const user = await createUser();
+
+    const { createNote: note } = dataOf(await execute(CREATE_NOTE, {
+      user,
+      variables: { input: { title: 'GraphQL', content: 'Schemas and resolvers', tags: [] } },
+    }));
+
+    expect(note).toMatchObject({
+      title: 'GraphQL',
+      visibility: 'PRIVATE',
+      version: 0,
+      author: { id: user.id },
+    });
+    expect((await User.findById(user._id)).notes.map(String)).toEqual([note.id]);
+    expect(await NoteRevision.countDocuments({ note: note.id, version: 0 })).toBe(1);
+  });
+
+  it('trims, lowercases and de-duplicates tags', async () => {
+    const user = await createUser();
+
+    const { createNote: note } = dataOf(await execute(CREATE_NOTE, {
+      user,
+      variables: {
+        input: { title: 'Tags', content: 'Content', tags: ['GraphQL', ' graphql ', 'MongoDB'] },
+      },
+    }));
+
+    expect(note.tags).toEqual(['graphql', 'mongodb']);
+    expect((await Note.findById(note.id)).tags).toEqual(['graphql', 'mongodb']);
+  });
+
+  it('requires signing in', async () => {
+    const result = await execute(CREATE_NOTE, {
+      variables: { input: { title: 'Title', content: 'Content', tags: [] } },
+    });
+    expect(errorCodeOf(result)).toBe('UNAUTHENTICATED');
+  });
+});
+
+describe('note queries', () => {
+  it('show signed-out visitors public notes only', async () => {
+    const author = await createUser();
+    const publicNote = await createNote(author, { visibility: 'public' });
+    await createNote(author);
+
+    const { notes } = dataOf(await execute('{ notes { id } }'));
+
+    expect(notes).toEqual([{ id: publicNote.id }]);
+  });
+
+  it('show authors their own private notes', async () => {
+    const [author, other] = await Promise.all([createUser(), createUser()]);
+    const privateNote = await createNote(author);
+    await createNote(other);
+
+    const { notes } = dataOf(await execute('{ notes { id } }', { user: author }));
+
+    expect(notes).toEqual([{ id: privateNote.id }]);
+  });
+
+  it('filter and sort notes', async () => {
+    const author = await createUser();
+    await createNote(author, { title: 'beta', tags: ['graphql', 'api'] });
+    await createNote(author, { title: 'Alpha', tags: ['graphql'] });
+    await createNote(author, { title: 'Gamma', tags: ['mongodb'] });
+
+    const { notes } = dataOf(await execute(`
+      {
+        notes(filter: { tagsAny: ["GraphQL"] }, orderBy: [{ field: TITLE }]) { title }
+      }
+    `, { user: author }));
+
+    expect(notes.map((note) => note.title)).toEqual(['Alpha', 'beta']);
+  });
+
+  it('fetch a note by ID and hide private notes from other users', async () => {
+    const [author, other] = await Promise.all([createUser(), createUser()]);
+    const note = await createNote(author, { content: '# Heading\n\nBody' });
+    const NOTE = `
+      query Note($id: ID!) { note(id: $id) { title contentHtml headings { level text } } }
+    `;
+
+    const own = dataOf(await execute(NOTE, { user: author, variables: { id: note.id } }));
+    const hidden = await execute(NOTE, { user: other, variables: { id: note.id } });
+
+    expect(own.note.title).toBe(note.title);
+    expect(own.note.contentHtml).toContain('<h1');
+    expect(own.note.headings).toEqual([{ level: 1, text: 'Heading' }]);
+    expect(errorCodeOf(hidden)).toBe('NOT_FOUND');
+  });
+
+  it('find notes by tag regardless of case', async () => {
+    const author = await createUser();
+    const tagged = await createNote(author, { tags: ['graphql'], visibility: 'public' });
+    await createNote(author, { tags: ['mongodb'], visibility: 'public' });
+    const BY_TAG = 'query ByTag($tag: String!) { notesByTag(tag: $tag) { id } }';
+
+    const { notesByTag } = dataOf(await execute(BY_TAG, { variables: { tag: ' GraphQL ' } }));
+    const blank = await execute(BY_TAG, { variables: { tag: '  ' } });
+
+    expect(notesByTag).toEqual([{ id: tagged.id }]);
+    expect(errorCodeOf(blank)).toBe('VALIDATION_FAILED');
+  });
+
+  it('page through notes with a tag, trimmed and regardless of case', async () => {
+    const author = await createUser();
+    await Promise.all([1, 2, 3].map(() => createNote(author, { tags: ['graphql'] })));
+    await createNote(author, { tags: ['mongodb'] });
+
+    const { notesConnection } = dataOf(await execute(`
+      {
+        notesConnection(tag: " GraphQL ", first: 2) {
+          edges { node { tags } }
+          pageInfo { hasNextPage }
+          totalCount
+        }
+      }
+    `, { user: author }));
+
+    expect(notesConnection.totalCount).toBe(3);
+    expect(notesConnection.edges).toHaveLength(2);
+    expect(notesConnection.edges.every(({ node }) => node.tags.includes('graphql'))).toBe(true);
+    expect(notesConnection.pageInfo.hasNextPage).toBe(true);
+  });
+
+  it('search notes by text with highlights', async () => {
+    const author = await createUser();
+    const match = await createNote(author, {
+      title: 'Resolver patterns',
+      content: 'Batching lookups with DataLoader',
+      visibility: 'public',
+    });
+    await createNote(author, { title: 'Shopping', content: 'Milk and eggs', visibility: 'public' });
+
+    const { searchNotes } = dataOf(await execute(`
+      {
+        searchNotes(query: "resolver") {
+          edges { node { id } highlightedTitle }
+          totalCount
+        }
+      }
+    `));
+
+    expect(searchNotes.totalCount).toBe(1);
+    expect(searchNotes.edges[0].node.id).toBe(match.id);
+    expect(searchNotes.edges[0].highlightedTitle).toContain('<mark>');
+  });
+
+  it('search notes with an explicit null filter', async () => {
+    const author = await createUser();
+    await createNote(author, { title: 'Resolver patterns', visibility: 'public' });
+
+    const { searchNotes } = dataOf(await execute(
+      '{ searchNotes(query: "resolver", filter: null) { totalCount } }'
+    ));
+
+    expect(searchNotes.totalCount).toBe(1);
+  });
+});
+
+describe('updateNote', () => {
+  it('applies the patch, bumps the version and records a revision', async () => {
+    const author = await createUser();
+    const note = await createNote(author, { tags: ['graphql'] });
+
+    const { updateNote } = dataOf(await execute(UPDATE_NOTE, {
+      user: author,
+      variables: { id: note.id, input: { title: 'Renamed', addTags: ['Apollo'], expectedVersion: 0 } },
+    }));
+
+    expect(updateNote).toMatchObject({
+      title: 'Renamed',
+      content: note.content,
+      tags: ['graphql', 'apollo'],
+      version: 1,
+    });
+    expect(await NoteRevision.countDocuments({ note: note._id })).toBe(2);
+  });
+
+  it('rejects a stale expectedVersion', async () => {
+    const author = await createUser();
+    const note = await createNote(author);
+    await execute(UPDATE_NOTE, { user: author, variables: { id: note.id, input: { title: 'First' } } });
+
+    const result = await execute(UPDATE_NOTE, {
+      user: author,
+      variables: { id: note.id, input: { title: 'Second', expectedVersion: 0 } },
+    });
+
+    expect(errorCodeOf(result)).toBe('CONFLICT');
+    expect((await Note.findById(note._id)).title).toBe('First');
+  });
+
+  it('rejects combining tags with addTags', async () => {
+    const author = await createUser();
+    const note = await createNote(author);
+
+    const result = await execute(UPDATE_NOTE, {
+      user: author,
+      variables: { id: note.id, input: { tags: ['a'], addTags: ['b'] } },
+    });
+
+    expect(errorCodeOf(result)).toBe('VALIDATION_FAILED');
+  });
+
+  it("hides other users' private notes", async () => {
+    const [author, other] = await Promise.all([createUser(), createUser()]);
+    const note = await createNote(author);
+
+    const result = await execute(UPDATE_NOTE, {
+      user: other,
+      variables: { id: note.id, input: { title: 'Hijacked' } },
+    });
+
+    expect(errorCodeOf(result)).toBe('NOT_FOUND');
+  });
+});
+
+describe('revisions', () => {
+  it('diffs two versions and restores an earlier one', async () => {
+    const author = await createUser();
+    const note = await createNote(author, { title: 'Draft', content: 'one\ntwo', tags: ['a'] });
+    await execute(UPDATE_NOTE, {
+      user: author,
+      variables: { id: note.id, input: { title: 'Final', content: 'one\nthree', tags: ['b'] } },
+    });
+
+    const { noteRevisionDiff } = dataOf(await execute(`
+      query Diff($id: ID!) {
+        noteRevisionDiff(noteId: $id, from: 0, to: 1) {
+          titleChanged addedTags removedTags additions deletions
+        }
+      }
+    `, { user: author, variables: { id: note.id } }));
+
+    expect(noteRevisionDiff).toEqual({
+      titleChanged: true,
+      addedTags: ['b'],
+      removedTags: ['a'],
+      additions: 1,
+      deletions: 1,
+    });
+
+    const { restoreNoteRevision } = dataOf(await execute(`
+      mutation Restore($id: ID!) {
+        restoreNoteRevision(id: $id, version: 0, expectedVersion: 1) {
+          title content tags version revisions { version }
+        }
+      }
+    `, { user: author, variables: { id: note.id } }));
+
+    expect(restoreNoteRevision).toEqual({
+      title: 'Draft',
+      content: 'one\ntwo',
+      tags: ['a'],
+      version: 2,
+      revisions: [{ version: 2 }, { version: 1 }, { version: 0 }],
+    });
+  });
+
+  it('reports a missing revision as not found', async () => {
+    const author = await createUser();
+    const note = await createNote(author);
+
+    const result = await execute(`
+      query Diff($id: ID!) { noteRevisionDiff(noteId: $id, from: 0, to: 5) { additions } }
+    `, { user: author, variables: { id: note.id } });
+
+    expect(errorCodeOf(result)).toBe('NOT_FOUND');
+  });
+});
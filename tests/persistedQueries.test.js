@@ -0,0 +1,152 @@
+const { ApolloServer } = require('apollo-server-express');
+const schema = require('../src/schema');
+const { formatError } = require('../src/utils/errors');
+const {
+  hashQuery,
+  createMemoryQueryCache,
+  getPersistedQueryCache,
+  setPersistedQueryCache,
+  persistedQueryCache,
+  buildManifest,
+  createAllowListPlugin,
+  createSubscriptionAllowListCheck,
+} = require('../src/utils/persistedQueries');
+
+const PING = 'query Ping { __typename }';
+const ME = 'query Me { me { id } }';
+
+/**
+ * Builds the APQ extension for a query
+ * @param {string} query - The query text
+ * @returns {Object}
+ */
+const persisted = (query) => ({ persistedQuery: { version: 1, sha256Hash: hashQuery(query) } });
+
+/**
+ * Returns the code of a response's first error, if any
+ * @param {Object} result - The GraphQL response
+ * @returns {string|undefined}
+ */
+const errorCode = (result) => result.errors?.[0]?.extensions?.code;
+
+describe('createMemoryQueryCache', () => {
+  it('drops the least recently used query when full', async () => {
+    const cache = createMemoryQueryCache({ maxEntries: 2 });
+    await cache.set('a', 'query A');
+    await cache.set('b', 'query B');
+    await cache.get('a');
+    await cache.set('c', 'query C');
+
+    expect(await cache.get('a')).toBe('query A');
+    expect(await cache.get('b')).toBeUndefined();
+    expect(await cache.get('c')).toBe('query C');
+  });
+});
+
+describe('automatic persisted queries', () => {
+  const server = new ApolloServer({
+    schema,
+    persistedQueries: { cache: persistedQueryCache },
+    formatError,
+  });
+  let previousCache;
+
+  beforeEach(() => {
+    previousCache = getPersistedQueryCache();
+    setPersistedQueryCache(createMemoryQueryCache());
+  });
+
+  afterEach(() => setPersistedQueryCache(previousCache));
+
+  it('asks for the full query once, then runs it by hash', async () => {
+    const miss = await server.executeOperation({ extensions: persisted(PING) });
+    expect(errorCode(miss)).toBe('PERSISTED_QUERY_NOT_FOUND');
+
+    const register = await server.executeOperation({ query: PING, extensions: persisted(PING) });
+    expect(register.data).toEqual({ __typename: 'Query' });
+
+    const hit = await server.executeOperation({ extensions: persisted(PING) });
+    expect(hit.errors).toBeUndefined();
+    expect(hit.data).toEqual({ __typename: 'Query' });
+  });
+
+  it('stores queries in the active cache', async () => {
+    const cache = createMemoryQueryCache();
+    setPersistedQueryCache(cache);
+    const set = jest.spyOn(cache, 'set');
+
+    await server.executeOperation({ query: PING, extensions: persisted(PING) });
+
+    expect(set).toHaveBeenCalledWith(expect.stringContaining(hashQuery(PING)), PING, expect.anything());
+  });
+
+  it('rejects a hash that does not match the query', async () => {
+    const result = await server.executeOperation({ query: PING, extensions: persisted(ME) });
+
+    expect(errorCode(result)).toBe('VALIDATION_FAILED');
+    expect(result.errors[0].extensions.fields).toEqual({
+      'extensions.persistedQuery': 'Does not match the SHA-256 of the query',
+    });
+  });
+});
+
+describe('allow-list mode', () => {
+  const manifest = buildManifest([{ name: 'Ping', type: 'query', document: PING }]);
+  const allowed = new Map(manifest.operations.map((operation) => [operation.id, operation.body]));
+  const server = new ApolloServer({
+    schema,
+    persistedQueries: { cache: persistedQueryCache },
+    plugins: [createAllowListPlugin(allowed)],
+    formatError,
+  });
+
+  beforeEach(() => setPersistedQueryCache(createMemoryQueryCache()));
+
+  it('runs listed operations by hash without registering them first', async () => {
+    const result = await server.executeOperation({ extensions: persisted(PING) });
+    expect(result.errors).toBeUndefined();
+    expect(result.data).toEqual({ __typename: 'Query' });
+  });
+
+  it('runs listed operations sent in full', async () => {
+    const result = await server.executeOperation({ query: PING });
+    expect(result.data).toEqual({ __typename: 'Query' });
+  });
+
+  it('refuses other operations and never registers them', async () => {
+    const full = await server.executeOperation({ query: ME });
+    const registering = await server.executeOperation({ query: ME, extensions: persisted(ME) });
+    const byHash = await server.executeOperation({ extensions: persisted(ME) });
+
+    expect(errorCode(full)).toBe('OPERATION_NOT_ALLOWED');
+    expect(errorCode(registering)).toBe('OPERATION_NOT_ALLOWED');
+    expect(errorCode(byHash)).toBe('PERSISTED_QUERY_NOT_FOUND');
+  });
+
+  it('applies to subscriptions too', () => {
+    const check = createSubscriptionAllowListCheck(allowed);
+
+    expect(check({}, { payload: { query: PING } })).toBeUndefined();
+    const [error] = check({}, { payload: { query: 'subscription { noteDeleted }' } });
+    expect(error.extensions.code).toBe('OPERATION_NOT_ALLOWED');
+  });
+});
+
+describe('buildManifest', () => {
+  it('keys each operation by the hash of its exact text, once', () => {
+    const operations = [
+      { name: 'Ping', type: 'query', document: PING },
+      { name: 'Ping', type: 'query', document: PING },
+      { name: 'Me', type: 'query', document: ME },
+    ];
+
+    expect(buildManifest(operations)).toEqual({
+      format: 'apollo-persisted-query-manifest',
+      version: 1,
+      operations: [
+        { id: hashQuery(ME), name: 'Me', type: 'query', body: ME },
+        { id: hashQuery(PING), name: 'Ping', type: 'query', body: PING },
+      ],
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const { ApolloServer } = require('apollo-server-express');
+const { getIntrospectionQuery, parse } = require('graphql');
+const schema = require('../src/schema');
+const { measureOperation, DEFAULT_LIST_SIZE } = require('../src/schema/costDirective');
+const { DEFAULT_QUERY_LIMITS, createQueryCostPlugin } = require('../src/utils/queryCost');
+const { MAX_PAGE_SIZE } = require('../src/utils/pagination');
+
+const measure = (query, options) => measureOperation(schema, parse(query), options);
+
+describe('measureOperation', () => {
+  it('counts nesting depth', () => {
+    expect(measure('{ me { id } }').depth).toBe(2);
+    expect(measure('{ me { notes { author { id } } } }').depth).toBe(4);
+  });
+
+  it('charges list fields per item, using listSize hints', () => {
+    // users has @cost(listSize: 50): 50 users, 1 each
+    expect(measure('{ users { id } }').cost).toBe(50);
+    // attachments has no hint
+    expect(measure('{ note(id: "1") { attachments { id } } }').cost).toBe(1 + DEFAULT_LIST_SIZE);
+  });
+
+  it('sizes lists from first, including the edges of a connection', () => {
+    const query = 'query ($n: Int) { notesConnection(first: $n) { edges { node { id } } } }';
+    // connection 1 + n edges * (edge 1 + node 1)
+    expect(measure(query, { variables: { n: 5 } }).cost).toBe(1 + 5 * 2);
+  });
+
+  it('sizes connections without first or last at their default page size', () => {
+    const nested = (args) => `{
+      usersConnection${args} { edges { node { notesConnection${args} { edges { node { title } } } } } }
+    }`;
+    // connection 1 + 100 edges * (edge 1 + node 1 + connection 1 + 100 edges * (edge 1 + node 1))
+    const expected = 1 + MAX_PAGE_SIZE * (3 + MAX_PAGE_SIZE * 2);
+    expect(measure(nested('')).cost).toBe(expected);
+    expect(measure(nested('(first: 100)')).cost).toBe(expected);
+    // searchNotes returns 20 results unless asked for more
+    expect(measure('{ searchNotes(query: "x") { edges { node { id } } } }').cost).toBe(10 + 20 * 2);
+  });
+
+  it('grows quickly for mutually recursive selections', () => {
+    const { cost } = measure('{ users { notes { author { notes { id } } } } }');
+    expect(cost).toBe(50 * (1 + 20 * (1 + 1 * (1 + 20))));
+  });
+
+  it('follows fragments', () => {
+    expect(measure('{ ...F } fragment F on Query { me { id } }')).toEqual({ depth: 2, cost: 1 });
+  });
+
+  it('measures introspection, except __typename', () => {
+    expect(measure('{ __typename me { __typename } }')).toEqual({ depth: 1, cost: 1 });
+    expect(measure('{ __schema { types { name } } }')).toEqual({ depth: 3, cost: 1 + DEFAULT_LIST_SIZE });
+    const recursive = measure(`{
+      __schema { types { fields { type { fields { type { fields { type { fields { name } } } } } } } } }
+    }`);
+    expect(recursive.depth).toBe(10);
+    expect(recursive.cost).toBeGreaterThan(DEFAULT_QUERY_LIMITS.maxCost);
+    // ofType only unwraps the schema's list and non-null wrappers, so the
+    // standard introspection query used by IDEs stays within the limits
+    const { depth, cost } = measure(getIntrospectionQuery());
+    expect(depth).toBeLessThanOrEqual(DEFAULT_QUERY_LIMITS.maxDepth);
+    expect(cost).toBeLessThanOrEqual(DEFAULT_QUERY_LIMITS.maxCost);
+  });
+
+  it('counts negative page sizes as 0, so they cannot offset expensive siblings', () => {
+    const expensive = '{ users { notes { author { notes { author { id } } } } } }';
+    const { cost } = measure(expensive);
+
+    expect(measure(`{
+      a: usersConnection(first: -100000) { edges { node { id } } }
+      b: notesConnection(last: -100000) { edges { node { id } } }
+      c: tags(first: -100000) { name }
+      ${expensive.slice(1, -1)}
+    }`).cost).toBe(cost + 1 + 1);
+  });
+});
+
+describe('createQueryCostPlugin', () => {
+  const server = new ApolloServer({
+    schema,
+    plugins: [createQueryCostPlugin({ maxDepth: 3, maxCost: 100 })],
+  });
+
+  it('rejects queries that are too deep before running them', async () => {
+    const response = await server.executeOperation({
+      query: '{ me { notes { author { id } } } }',
+    });
+    expect(response.data).toBeUndefined();
+    expect(response.errors[0].extensions).toMatchObject({
+      code: 'QUERY_TOO_COMPLEX',
+      depth: 4,
+      maxDepth: 3,
+    });
+  });
+
+  it('rejects queries that cost too much', async () => {
+    const response = await server.executeOperation({ query: '{ users { notes { id } } }' });
+    expect(response.errors[0].extensions).toMatchObject({
+      code: 'QUERY_TOO_COMPLEX',
+      cost: 1050,
+      maxCost: 100,
+    });
+  });
+
+  it('reports the cost in the response extensions', async () => {
+    const response = await server.executeOperation({ query: '{ __typename }' });
+    expect(response.errors).toBeUndefined();
+    expect(response.extensions.cost).toEqual({ depth: 0, maxDepth: 3, cost: 0, maxCost: 100 });
+  });
+});
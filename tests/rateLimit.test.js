@@ -0,0 +1,127 @@
+const { ApolloServer } = require('apollo-server-express');
+const schema = require('../src/schema');
+const {
+  createMemoryStore,
+  setRateLimitStore,
+  enforceRateLimits,
+  createRateLimitPlugin,
+  createSubscriptionRateLimitCheck,
+} = require('../src/utils/rateLimit');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('createMemoryStore', () => {
+  const rule = { capacity: 2, windowMs: MINUTE_MS };
+
+  it('allows bursts up to the capacity, then reports when to retry', async () => {
+    const store = createMemoryStore();
+    expect((await store.consume('k', rule, 0)).allowed).toBe(true);
+    expect((await store.consume('k', rule, 0)).allowed).toBe(true);
+    // One token comes back every 30 seconds
+    expect(await store.consume('k', rule, 0)).toEqual({
+      allowed: false,
+      remaining: 0,
+      retryAfterMs: 30000,
+    });
+  });
+
+  it('refills over time, up to the capacity', async () => {
+    const store = createMemoryStore();
+    await store.consume('k', rule, 0);
+    await store.consume('k', rule, 0);
+    expect((await store.consume('k', rule, 30000)).allowed).toBe(true);
+    expect((await store.consume('k', rule, 30000)).allowed).toBe(false);
+    expect((await store.consume('k', rule, 10 * MINUTE_MS)).remaining).toBe(1);
+  });
+
+  it('keeps separate buckets per key', async () => {
+    const store = createMemoryStore();
+    await store.consume('a', { capacity: 1, windowMs: MINUTE_MS }, 0);
+    expect((await store.consume('b', { capacity: 1, windowMs: MINUTE_MS }, 0)).allowed).toBe(true);
+  });
+});
+
+describe('enforceRateLimits', () => {
+  const rules = {
+    default: { capacity: 100, windowMs: MINUTE_MS },
+    login: { capacity: 1, windowMs: MINUTE_MS },
+  };
+
+  beforeEach(() => setRateLimitStore(createMemoryStore()));
+
+  it('applies per-operation limits on top of the default', async () => {
+    await enforceRateLimits(['login'], { ip: '10.0.0.1' }, rules);
+    await expect(enforceRateLimits(['login'], { ip: '10.0.0.1' }, rules))
+      .rejects.toMatchObject({ extensions: { code: 'RATE_LIMITED', scope: 'login', retryAfter: 60 } });
+    // Other operations only count against the default bucket
+    await enforceRateLimits(['notes'], { ip: '10.0.0.1' }, rules);
+  });
+
+  it('keys signed-in callers by user and others by IP', async () => {
+    await enforceRateLimits(['login'], { ip: '10.0.0.1' }, rules);
+    await enforceRateLimits(['login'], { ip: '10.0.0.2' }, rules);
+    await enforceRateLimits(['login'], { ip: '10.0.0.1', user: { _id: 'u1' } }, rules);
+  });
+
+  it('charges each occurrence of a limited field', async () => {
+    await expect(enforceRateLimits(['login', 'login'], { ip: '10.0.0.1' }, rules))
+      .rejects.toMatchObject({ extensions: { code: 'RATE_LIMITED' } });
+  });
+});
+
+describe('createRateLimitPlugin', () => {
+  beforeEach(() => setRateLimitStore(createMemoryStore()));
+
+  it('rejects over-limit requests with 429 and Retry-After', async () => {
+    const server = new ApolloServer({
+      schema,
+      context: { user: null, ip: '10.0.0.1' },
+      plugins: [createRateLimitPlugin({ default: { capacity: 1, windowMs: MINUTE_MS } })],
+    });
+
+    expect((await server.executeOperation({ query: '{ __typename }' })).errors).toBeUndefined();
+
+    const response = await server.executeOperation({ query: '{ __typename }' });
+    expect(response.errors[0].extensions).toMatchObject({ code: 'RATE_LIMITED', retryAfter: 60 });
+    expect(response.http.status).toBe(429);
+    expect(response.http.headers.get('Retry-After')).toBe('60');
+  });
+
+  it('finds limited fields inside fragments', async () => {
+    const server = new ApolloServer({
+      schema,
+      context: { user: null, ip: '10.0.0.1' },
+      plugins: [createRateLimitPlugin({
+        default: { capacity: 100, windowMs: MINUTE_MS },
+        __typename: { capacity: 1, windowMs: MINUTE_MS },
+      })],
+    });
+
+    const query = '{ ...F } fragment F on Query { __typename }';
+    await server.executeOperation({ query });
+    const response = await server.executeOperation({ query });
+    expect(response.errors[0].extensions.code).toBe('RATE_LIMITED');
+  });
+});
+
+describe('createSubscriptionRateLimitCheck', () => {
+  beforeEach(() => setRateLimitStore(createMemoryStore()));
+
+  it('counts each subscribe message against the connection identity', async () => {
+    const check = createSubscriptionRateLimitCheck(
+      async (ctx) => ({ user: null, ip: ctx.extra.ip }),
+      {
+        default: { capacity: 100, windowMs: MINUTE_MS },
+        noteCreated: { capacity: 1, windowMs: MINUTE_MS },
+      }
+    );
+    const message = { payload: { query: 'subscription { noteCreated { id } }' } };
+    const ctx = { extra: { ip: '10.0.0.1' } };
+
+    expect(await check(ctx, message)).toBeUndefined();
+    const [error] = await check(ctx, message);
+    expect(error.extensions).toMatchObject({ code: 'RATE_LIMITED', scope: 'noteCreated', retryAfter: 60 });
+    // Another client has its own bucket
+    expect(await check({ extra: { ip: '10.0.0.2' } }, message)).toBeUndefined();
+  });
+});
@@ -0,0 +1,47 @@
+const { diffLines, diffRevisions } = require('../src/utils/revisions');
+
+/**
+ * Shortens a diff to `+text` / `-text` / ` text` strings
+ * @param {Array<Object>} lines - Output of diffLines
+ * @returns {string[]}
+ */
+function compact(lines) {
+  const markers = { ADDED: '+', REMOVED: '-', UNCHANGED: ' ' };
+  return lines.map((line) => `${markers[line.type]}${line.text}`);
+}
+
+describe('diffLines', () => {
+  it('reports identical texts as unchanged', () => {
+    expect(compact(diffLines('a\nb', 'a\nb'))).toEqual([' a', ' b']);
+  });
+
+  it('finds a minimal set of added and removed lines', () => {
+    const lines = diffLines('a\nb\nc\nd', 'a\nc\nx\nd');
+    expect(compact(lines)).toEqual([' a', '-b', ' c', '+x', ' d']);
+  });
+
+  it('numbers lines on the side they exist', () => {
+    const lines = diffLines('a\nb', 'a\nc');
+    expect(lines.map(({ oldLineNumber, newLineNumber }) => [oldLineNumber, newLineNumber]))
+      .toEqual([[1, 1], [2, null], [null, 2]]);
+  });
+
+  it('handles empty texts', () => {
+    expect(compact(diffLines('', 'a'))).toEqual(['-', '+a']);
+  });
+});
+
+describe('diffRevisions', () => {
+  it('summarizes title, tag and line changes', () => {
+    const from = { title: 'Old', content: 'a\nb', tags: ['x', 'y'] };
+    const to = { title: 'New', content: 'a\nc', tags: ['y', 'z'] };
+
+    expect(diffRevisions(from, to)).toMatchObject({
+      titleChanged: true,
+      addedTags: ['z'],
+      removedTags: ['x'],
+      additions: 1,
+      deletions: 1,
+    });
+  });
+});
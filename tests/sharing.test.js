@@ -0,0 +1,130 @@
+const Note = require('../src/models/Note');
+const { useTestServer, dataOf, errorCodeOf } = require('./helpers/server');
+const { createUser, createNote } = require('./helpers/factories');
+
+const { execute } = useTestServer();
+
+const SHARE_NOTE = `
+  mutation Share($noteId: ID!, $userId: ID!, $role: CollaboratorRole!) {
+    shareNote(noteId: $noteId, userId: $userId, role: $role) {
+      visibility
+      collaborators { user { id } role }
+    }
+  }
+`;
+
+const UNSHARE_NOTE = `
+  mutation Unshare($noteId: ID!, $userId: ID!) {
+    unshareNote(noteId: $noteId, userId: $userId) { collaborators { role } }
+  }
+`;
+
+const UPDATE_TITLE = `
+  mutation UpdateTitle($id: ID!, $title: NonEmptyString!) {
+    updateNote(id: $id, input: { title: $title }) { title }
+  }
+`;
+
+const NOTE = 'query Note($id: ID!) { note(id: $id) { id } }';
+
+describe('shareNote', () => {
+  it('makes a private note shared and readable by the collaborator', async () => {
+    const [author, viewer] = await Promise.all([createUser(), createUser()]);
+    const note = await createNote(author);
+
+    const { shareNote } = dataOf(await execute(SHARE_NOTE, {
+      user: author,
+      variables: { noteId: note.id, userId: viewer.id, role: 'VIEWER' },
+    }));
+
+    expect(shareNote).toEqual({
+      visibility: 'SHARED',
+      collaborators: [{ user: { id: viewer.id }, role: 'VIEWER' }],
+    });
+    expect(dataOf(await execute(NOTE, { user: viewer, variables: { id: note.id } })).note)
+      .toEqual({ id: note.id });
+    const { user } = dataOf(await execute(
+      'query Shared($id: ID!) { user(id: $id) { sharedNotes { id } } }',
+      { user: viewer, variables: { id: viewer.id } }
+    ));
+    expect(user.sharedNotes).toEqual([{ id: note.id }]);
+  });
+
+  it('lets editors change the note but not viewers', async () => {
+    const [author, viewer, editor] = await Promise.all([createUser(), createUser(), createUser()]);
+    const note = await createNote(author, {
+      visibility: 'shared',
+      collaborators: [
+        { user: viewer._id, role: 'viewer' },
+        { user: editor._id, role: 'editor' },
+      ],
+    });
+
+    const byViewer = await execute(UPDATE_TITLE, { user: viewer, variables: { id: note.id, title: 'Viewer' } });
+    const byEditor = await execute(UPDATE_TITLE, { user: editor, variables: { id: note.id, title: 'Editor' } });
+
+    expect(errorCodeOf(byViewer)).toBe('FORBIDDEN');
+    expect(dataOf(byEditor).updateNote.title).toBe('Editor');
+  });
+
+  it('is for the author only', async () => {
+    const [author, editor, other] = await Promise.all([createUser(), createUser(), createUser()]);
+    const note = await createNote(author, {
+      visibility: 'shared',
+      collaborators: [{ user: editor._id, role: 'editor' }],
+    });
+
+    const result = await execute(SHARE_NOTE, {
+      user: editor,
+      variables: { noteId: note.id, userId: other.id, role: 'EDITOR' },
+    });
+
+    expect(errorCodeOf(result)).toBe('FORBIDDEN');
+  });
+
+  it('refuses to share a note with its author', async () => {
+    const author = await createUser();
+    const note = await createNote(author);
+
+    const result = await execute(SHARE_NOTE, {
+      user: author,
+      variables: { noteId: note.id, userId: author.id, role: 'EDITOR' },
+    });
+
+    expect(errorCodeOf(result)).toBe('VALIDATION_FAILED');
+  });
+});
+
+describe('unshareNote', () => {
+  it('takes away access', async () => {
+    const [author, viewer] = await Promise.all([createUser(), createUser()]);
+    const note = await createNote(author, {
+      visibility: 'shared',
+      collaborators: [{ user: viewer._id, role: 'viewer' }],
+    });
+
+    const { unshareNote } = dataOf(await execute(UNSHARE_NOTE, {
+      user: author,
+      variables: { noteId: note.id, userId: viewer.id },
+    }));
+
+    expect(unshareNote.collaborators).toEqual([]);
+    expect(errorCodeOf(await execute(NOTE, { user: viewer, variables: { id: note.id } })))
+      .toBe('NOT_FOUND');
+  });
+});
+
+describe('setNoteVisibility', () => {
+  it('publishes a note to signed-out visitors', async () => {
+    const author = await createUser();
+    const note = await createNote(author);
+
+    const result = await execute(`
+      mutation Publish($id: ID!) { setNoteVisibility(id: $id, visibility: PUBLIC) { visibility } }
+    `, { user: author, variables: { id: note.id } });
+
+    expect(dataOf(result).setNoteVisibility.visibility).toBe('PUBLIC');
+    expect((await Note.findById(note._id)).visibility).toBe('public');
+    expect(dataOf(await execute(NOTE, { variables: { id: note.id } })).note).toEqual({ id: note.id });
+  });
+});
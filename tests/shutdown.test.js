@@ -0,0 +1,101 @@
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+const ENTRY = path.join(__dirname, '../src/index.js');
+
+/**
+ * Finds a free TCP port
+ * @returns {Promise<number>}
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+/**
+ * Starts the server against a database that refuses connections
+ * @param {Object} env - Extra environment variables
+ * @returns {Promise<Object>} - `{ child, waitForLog(msg), exited }`
+ */
+async function startServer(env) {
+  const child = spawn(process.execPath, [ENTRY], {
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      LOG_LEVEL: 'info',
+      PORT: String(await freePort()),
+      METRICS_PORT: String(await freePort()),
+      // Nothing listens on port 1, so every attempt fails
+      MONGODB_URI: 'mongodb://127.0.0.1:1/study-graphql-test',
+      ...env,
+    },
+  });
+
+  const lines = [];
+  const waiters = [];
+  let buffered = '';
+  child.stdout.on('data', (chunk) => {
+    buffered += chunk;
+    const complete = buffered.split('\n');
+    buffered = complete.pop();
+    complete.filter(Boolean).forEach((line) => {
+      const entry = JSON.parse(line);
+      lines.push(entry);
+      waiters.filter((waiter) => waiter.msg === entry.msg).forEach((waiter) => waiter.resolve(entry));
+    });
+  });
+
+  const exited = new Promise((resolve) => {
+    child.on('exit', (code) => resolve({ code, logs: lines.map((entry) => entry.msg) }));
+  });
+
+  const waitForLog = (msg) => lines.find((entry) => entry.msg === msg)
+    ? Promise.resolve()
+    : new Promise((resolve) => waiters.push({ msg, resolve }));
+
+  return { child, waitForLog, exited };
+}
+
+describe('shutdown while MongoDB is unreachable', () => {
+  let server;
+
+  afterEach(() => {
+    if (server.child.exitCode === null) server.child.kill('SIGKILL');
+  });
+
+  it('cuts a pending connection attempt short', async () => {
+    server = await startServer({ DB_SERVER_SELECTION_TIMEOUT_MS: '8000', SHUTDOWN_TIMEOUT_MS: '9000' });
+    await server.waitForLog('Connecting to MongoDB');
+    const signalledAt = Date.now();
+    server.child.kill('SIGTERM');
+
+    const { code, logs } = await server.exited;
+
+    expect(code).toBe(0);
+    expect(logs).toContain('Shutdown complete');
+    expect(logs).not.toContain('Shutdown timed out; exiting');
+    expect(Date.now() - signalledAt).toBeLessThan(5000);
+  }, 15000);
+
+  it('stops waiting to retry', async () => {
+    server = await startServer({
+      DB_SERVER_SELECTION_TIMEOUT_MS: '200',
+      DB_RETRY_INITIAL_DELAY_MS: '60000',
+      DB_RETRY_MAX_DELAY_MS: '60000',
+    });
+    await server.waitForLog('MongoDB connection attempt failed');
+    server.child.kill('SIGTERM');
+
+    const { code, logs } = await server.exited;
+
+    expect(code).toBe(0);
+    expect(logs).toContain('Shutdown complete');
+    expect(logs.filter((msg) => msg === 'MongoDB connection attempt failed')).toHaveLength(1);
+  }, 15000);
+});
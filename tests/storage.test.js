@@ -0,0 +1,55 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { createLocalStorage } = require('../src/utils/storage');
+
+/**
+ * Reads a stream to the end
+ * @param {Readable} stream - The stream to read
+ * @returns {Promise<string>}
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+}
+
+describe('createLocalStorage', () => {
+  let directory;
+  let storage;
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'notes-storage-'));
+    storage = createLocalStorage({ directory });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  it('saves, reads back and removes a file', async () => {
+    const { key, size } = await storage.save(Readable.from(['hello ', 'world']));
+    expect(size).toBe(11);
+    expect(await readAll(storage.createReadStream(key))).toBe('hello world');
+
+    await storage.remove(key);
+    expect(await fs.promises.readdir(directory)).toEqual([]);
+  });
+
+  it('removes the partial file when the stream fails', async () => {
+    const failing = new Readable({
+      read() {
+        this.push('partial');
+        this.destroy(new Error('too large'));
+      },
+    });
+
+    await expect(storage.save(failing)).rejects.toThrow('too large');
+    expect(await fs.promises.readdir(directory)).toEqual([]);
+  });
+
+  it('refuses keys that could reach outside the directory', () => {
+    expect(() => storage.createReadStream('../secret')).toThrow('Invalid storage key');
+  });
+});
@@ -0,0 +1,163 @@
+const { parse, subscribe } = require('graphql');
+const { PubSub } = require('graphql-subscriptions');
+const mongoose = require('mongoose');
+const schema = require('../src/schema');
+const User = require('../src/models/User');
+const Note = require('../src/models/Note');
+const { getPubSub, setPubSub, publishNoteChange } = require('../src/utils/pubsub');
+
+/**
+ * Builds an unsaved user; the subscription filters only look at its ID and role
+ * @param {string} role - 'user' or 'admin'
+ * @returns {User}
+ */
+const buildUser = (role = 'user') => new User({
+  username: `user${new mongoose.Types.ObjectId()}`,
+  email: 'user@example.com',
+  password: 'password123',
+  role,
+});
+
+/**
+ * Builds an unsaved note
+ * @param {User} author - The note's author
+ * @param {Object} overrides - Fields to set on the note
+ * @returns {Note}
+ */
+const buildNote = (author, overrides = {}) => new Note({
+  title: 'A note',
+  content: 'Content',
+  author: author._id,
+  tags: ['graphql'],
+  visibility: 'private',
+  ...overrides,
+});
+
+describe('subscriptions', () => {
+  const author = buildUser();
+  const viewer = buildUser();
+  const outsider = buildUser();
+  const admin = buildUser('admin');
+  const iterators = [];
+  let previousPubSub;
+
+  beforeEach(() => {
+    previousPubSub = getPubSub();
+    setPubSub(new PubSub());
+  });
+
+  afterEach(async () => {
+    await Promise.all(iterators.splice(0).map((iterator) => iterator.return()));
+    setPubSub(previousPubSub);
+  });
+
+  /**
+   * Subscribes as a user, the way graphql-ws does with its context, and
+   * waits until the subscription is listening
+   * @param {Object|null} user - The subscriber, or null when signed out
+   * @param {string} query - The subscription operation
+   * @param {Object} variables - Operation variables
+   * @returns {Promise<{ received: Promise<Object> }>} - `received` resolves to
+   *   the data of the first event the subscriber gets
+   */
+  async function subscribeAs(user, query, variables) {
+    const iterator = await subscribe({
+      schema,
+      document: parse(query),
+      variableValues: variables,
+      contextValue: { user },
+    });
+    expect(iterator.errors).toBeUndefined();
+    iterators.push(iterator);
+
+    // The pubsub iterator only starts listening once it is read from
+    const received = iterator.next().then(({ value }) => {
+      expect(value.errors).toBeUndefined();
+      return value.data;
+    });
+    await new Promise(setImmediate);
+    return { received };
+  }
+
+  // Events are delivered in order, so a subscriber whose next event is a
+  // later public note never received the note published before it
+  const publicNote = () => buildNote(author, { title: 'Public', visibility: 'public' });
+
+  it('noteCreated reaches readers only', async () => {
+    const query = 'subscription { noteCreated { id title } }';
+    const [asAuthor, asOutsider, asAnonymous, asAdmin] = await Promise.all(
+      [author, outsider, null, admin].map((user) => subscribeAs(user, query))
+    );
+    const secret = buildNote(author, { title: 'Secret' });
+    const sentinel = publicNote();
+
+    await publishNoteChange('CREATED', secret);
+    await publishNoteChange('CREATED', sentinel);
+
+    expect(await asAuthor.received).toEqual({ noteCreated: { id: secret.id, title: 'Secret' } });
+    expect(await asAdmin.received).toEqual({ noteCreated: { id: secret.id, title: 'Secret' } });
+    expect(await asOutsider.received).toEqual({ noteCreated: { id: sentinel.id, title: 'Public' } });
+    expect(await asAnonymous.received).toEqual({ noteCreated: { id: sentinel.id, title: 'Public' } });
+  });
+
+  it('noteUpdated reaches collaborators of shared notes, optionally for one note', async () => {
+    const shared = buildNote(author, {
+      visibility: 'shared',
+      collaborators: [{ user: viewer._id, role: 'viewer' }],
+    });
+    const sentinel = publicNote();
+    const query = 'subscription ($id: ID) { noteUpdated(id: $id) { id } }';
+    const [asViewer, asOutsider, asViewerOfSentinel] = await Promise.all([
+      subscribeAs(viewer, query),
+      subscribeAs(outsider, query),
+      subscribeAs(viewer, query, { id: sentinel.id }),
+    ]);
+
+    await publishNoteChange('UPDATED', shared);
+    await publishNoteChange('UPDATED', sentinel);
+
+    expect(await asViewer.received).toEqual({ noteUpdated: { id: shared.id } });
+    expect(await asOutsider.received).toEqual({ noteUpdated: { id: sentinel.id } });
+    expect(await asViewerOfSentinel.received).toEqual({ noteUpdated: { id: sentinel.id } });
+  });
+
+  it("noteDeleted doesn't reveal the IDs of unreadable notes", async () => {
+    const query = 'subscription { noteDeleted }';
+    const [asAuthor, asOutsider] = await Promise.all([
+      subscribeAs(author, query),
+      subscribeAs(outsider, query),
+    ]);
+    const secret = buildNote(author);
+    const sentinel = publicNote();
+
+    await publishNoteChange('DELETED', secret);
+    await publishNoteChange('DELETED', sentinel);
+
+    expect(await asAuthor.received).toEqual({ noteDeleted: secret.id });
+    expect(await asOutsider.received).toEqual({ noteDeleted: sentinel.id });
+  });
+
+  it('notesByTagChanged matches the tag and checks access', async () => {
+    const query = 'subscription ($tag: String!) { notesByTagChanged(tag: $tag) { type note { id } } }';
+    const [asAuthor, asOutsider] = await Promise.all([
+      subscribeAs(author, query, { tag: ' GraphQL ' }),
+      subscribeAs(outsider, query, { tag: 'graphql' }),
+    ]);
+    const untagged = buildNote(author, { tags: ['cooking'] });
+    const secret = buildNote(author);
+    // A note that just lost the tag still counts as a change to it
+    const retagged = publicNote();
+    retagged.tags = ['web'];
+
+    await publishNoteChange('CREATED', untagged);
+    await publishNoteChange('UPDATED', secret);
+    await publishNoteChange('UPDATED', retagged, ['graphql']);
+
+    expect(await asAuthor.received).toEqual({
+      notesByTagChanged: { type: 'UPDATED', note: { id: secret.id } },
+    });
+    expect(await asOutsider.received).toEqual({
+      notesByTagChanged: { type: 'UPDATED', note: { id: retagged.id } },
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const Note = require('../src/models/Note');
+const { getPubSub } = require('../src/utils/pubsub');
+const { useTestServer, dataOf, errorCodeOf } = require('./helpers/server');
+const { createUser, createAdmin, createNote } = require('./helpers/factories');
+
+const { execute } = useTestServer();
+
+const RENAME_TAG = `
+  mutation Rename($from: NonEmptyString!, $to: NonEmptyString!) {
+    renameTag(from: $from, to: $to) { tag { name count } notesUpdated }
+  }
+`;
+
+describe('tags', () => {
+  it('counts readable notes per tag, most used first', async () => {
+    const author = await createUser();
+    await createNote(author, { tags: ['graphql', 'api'], visibility: 'public' });
+    await createNote(author, { tags: ['graphql'], visibility: 'public' });
+    await createNote(author, { tags: ['secret'] });
+
+    const { tags } = dataOf(await execute('{ tags { name count } }'));
+
+    expect(tags).toEqual([
+      { name: 'graphql', count: 2 },
+      { name: 'api', count: 1 },
+    ]);
+  });
+
+  it('autocompletes by prefix', async () => {
+    const author = await createUser();
+    await createNote(author, { tags: ['graphql', 'grpc', 'api'] });
+
+    const { tags } = dataOf(await execute('{ tags(prefix: "gr") { name } }', { user: author }));
+
+    expect(tags.map((tag) => tag.name).sort()).toEqual(['graphql', 'grpc']);
+  });
+});
+
+describe('renameTag', () => {
+  it('renames the tag on every note', async () => {
+    const [author, admin] = await Promise.all([createUser(), createAdmin()]);
+    const note = await createNote(author, { tags: ['js', 'web'] });
+
+    const { renameTag } = dataOf(await execute(RENAME_TAG, {
+      user: admin,
+      variables: { from: 'JS', to: 'JavaScript' },
+    }));
+
+    expect(renameTag).toEqual({ tag: { name: 'javascript', count: 1 }, notesUpdated: 1 });
+    // The new name goes to the end, like any added tag
+    expect((await Note.findById(note._id)).tags).toEqual(['web', 'javascript']);
+  });
+
+  it('renames the tag on trashed notes without counting or announcing them', async () => {
+    const [author, admin] = await Promise.all([createUser(), createAdmin()]);
+    const active = await createNote(author, { tags: ['js'] });
+    const trashed = await createNote(author, { tags: ['js'], deletedAt: new Date() });
+    const publish = jest.spyOn(getPubSub(), 'publish');
+
+    const { renameTag } = dataOf(await execute(RENAME_TAG, {
+      user: admin,
+      variables: { from: 'js', to: 'javascript' },
+    }));
+
+    expect(renameTag).toEqual({ tag: { name: 'javascript', count: 1 }, notesUpdated: 1 });
+    expect((await Note.findById(trashed._id)).tags).toEqual(['javascript']);
+    const announced = publish.mock.calls.map(([, payload]) => payload.note?.id).filter(Boolean);
+    expect(announced).toEqual([active.id]);
+    publish.mockRestore();
+  });
+
+  it('rejects renaming a tag to itself', async () => {
+    const admin = await createAdmin();
+    const result = await execute(RENAME_TAG, { user: admin, variables: { from: 'js', to: 'JS' } });
+    expect(errorCodeOf(result)).toBe('VALIDATION_FAILED');
+  });
+
+  it('is for admins only', async () => {
+    const user = await createUser();
+    const result = await execute(RENAME_TAG, { user, variables: { from: 'js', to: 'javascript' } });
+    expect(errorCodeOf(result)).toBe('FORBIDDEN');
+  });
+});
+
+describe('mergeTags', () => {
+  it('folds several tags into one', async () => {
+    const [author, admin] = await Promise.all([createUser(), createAdmin()]);
+    const first = await createNote(author, { tags: ['js', 'web'] });
+    const second = await createNote(author, { tags: ['ecmascript', 'javascript'] });
+
+    const { mergeTags } = dataOf(await execute(`
+      mutation Merge {
+        mergeTags(sources: ["js", "ecmascript"], target: "javascript") {
+          tag { name count }
+          notesUpdated
+        }
+      }
+    `, { user: admin }));
+
+    expect(mergeTags).toEqual({ tag: { name: 'javascript', count: 2 }, notesUpdated: 2 });
+    expect((await Note.findById(first._id)).tags).toEqual(['web', 'javascript']);
+    expect((await Note.findById(second._id)).tags).toEqual(['javascript']);
+  });
+});
@@ -0,0 +1,107 @@
+const User = require('../src/models/User');
+const Note = require('../src/models/Note');
+const NoteRevision = require('../src/models/NoteRevision');
+const { useTestServer, dataOf, errorCodeOf } = require('./helpers/server');
+const { createUser, createAdmin, createNote } = require('./helpers/factories');
+
+const { execute } = useTestServer();
+
+const DELETE_NOTE = 'mutation Delete($id: ID!) { deleteNote(id: $id) }';
+const RESTORE_NOTE = 'mutation Restore($id: ID!) { restoreNote(id: $id) { id deletedAt } }';
+const PURGE_NOTE = 'mutation Purge($id: ID!) { purgeNote(id: $id) }';
+const TRASHED_NOTES = '{ trashedNotes { id } }';
+
+describe('deleteNote', () => {
+  it('moves the note to the trash', async () => {
+    const author = await createUser();
+    const note = await createNote(author);
+
+    expect(dataOf(await execute(DELETE_NOTE, { user: author, variables: { id: note.id } })).deleteNote)
+      .toBe(true);
+
+    expect(dataOf(await execute('{ notes { id } }', { user: author })).notes).toEqual([]);
+    expect(dataOf(await execute(TRASHED_NOTES, { user: author })).trashedNotes)
+      .toEqual([{ id: note.id }]);
+    // Still restorable, so the author keeps the reference
+    expect((await User.findById(author._id)).notes.map(String)).toEqual([note.id]);
+  });
+
+  it('is for the author only', async () => {
+    const [author, other] = await Promise.all([createUser(), createUser()]);
+    const note = await createNote(author, { visibility: 'public' });
+
+    const result = await execute(DELETE_NOTE, { user: other, variables: { id: note.id } });
+
+    expect(errorCodeOf(result)).toBe('FORBIDDEN');
+    expect((await Note.findById(note._id)).deletedAt).toBeNull();
+  });
+});
+
+describe('trashedNotes', () => {
+  it("shows users their own trash and admins everyone's", async () => {
+    const [author, other, admin] = await Promise.all([createUser(), createUser(), createAdmin()]);
+    const own = await createNote(author, { deletedAt: new Date() });
+    const others = await createNote(other, { deletedAt: new Date() });
+
+    const forAuthor = dataOf(await execute(TRASHED_NOTES, { user: author })).trashedNotes;
+    const forAdmin = dataOf(await execute(TRASHED_NOTES, { user: admin })).trashedNotes;
+
+    expect(forAuthor).toEqual([{ id: own.id }]);
+    expect(forAdmin.map((note) => note.id).sort()).toEqual([own.id, others.id].sort());
+  });
+
+  it('requires signing in', async () => {
+    expect(errorCodeOf(await execute(TRASHED_NOTES))).toBe('UNAUTHENTICATED');
+  });
+});
+
+describe('restoreNote', () => {
+  it('takes a note out of the trash', async () => {
+    const author = await createUser();
+    const note = await createNote(author, { deletedAt: new Date() });
+
+    const { restoreNote } = dataOf(await execute(RESTORE_NOTE, {
+      user: author,
+      variables: { id: note.id },
+    }));
+
+    expect(restoreNote).toEqual({ id: note.id, deletedAt: null });
+    expect(dataOf(await execute('{ notes { id } }', { user: author })).notes)
+      .toEqual([{ id: note.id }]);
+  });
+
+  it('reports notes outside the trash as not found', async () => {
+    const author = await createUser();
+    const note = await createNote(author);
+
+    const result = await execute(RESTORE_NOTE, { user: author, variables: { id: note.id } });
+
+    expect(errorCodeOf(result)).toBe('NOT_FOUND');
+  });
+});
+
+describe('purgeNote', () => {
+  it('deletes a trashed note, its revisions and its author reference', async () => {
+    const author = await createUser();
+    const note = await createNote(author);
+    const kept = await createNote(author);
+    await execute(DELETE_NOTE, { user: author, variables: { id: note.id } });
+
+    const result = await execute(PURGE_NOTE, { user: author, variables: { id: note.id } });
+
+    expect(dataOf(result).purgeNote).toBe(true);
+    expect(await Note.exists({ _id: note._id })).toBeNull();
+    expect(await NoteRevision.countDocuments({ note: note._id })).toBe(0);
+    expect((await User.findById(author._id)).notes.map(String)).toEqual([kept.id]);
+  });
+
+  it('only purges notes that are in the trash', async () => {
+    const author = await createUser();
+    const note = await createNote(author);
+
+    const result = await execute(PURGE_NOTE, { user: author, variables: { id: note.id } });
+
+    expect(errorCodeOf(result)).toBe('VALIDATION_FAILED');
+    expect(await Note.exists({ _id: note._id })).toBeTruthy();
+  });
+});
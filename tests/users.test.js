@@ -0,0 +1,270 @@
+const { Types } = require('mongoose');
+const User = require('../src/models/User');
+const Note = require('../src/models/Note');
+const NoteRevision = require('../src/models/NoteRevision');
+const { getPubSub } = require('../src/utils/pubsub');
+const { useTestServer, dataOf, errorCodeOf } = require('./helpers/server');
+const { buildUserInput, createUser, createAdmin, createNote } = require('./helpers/factories');
+
+const { execute } = useTestServer();
+
+const DELETE_USER = `
+  mutation DeleteUser($id: ID!, $strategy: DeleteUserStrategy!, $reassignTo: ID) {
+    deleteUser(id: $id, strategy: $strategy, reassignTo: $reassignTo)
+  }
+`;
+
+const UPDATE_USER = `
+  mutation UpdateUser($id: ID!, $input: UpdateUserInput!) {
+    updateUser(id: $id, input: $input) { id username email }
+  }
+`;
+
+describe('user queries', () => {
+  it('lists users', async () => {
+    const users = await Promise.all([createUser(), createUser()]);
+
+    const result = dataOf(await execute('{ users { id } }'));
+
+    expect(result.users.map((user) => user.id).sort())
+      .toEqual(users.map((user) => user.id).sort());
+  });
+
+  it('fetches a user by ID with the notes the viewer may read', async () => {
+    const user = await createUser();
+    const publicNote = await createNote(user, { visibility: 'public' });
+    await createNote(user);
+
+    const result = dataOf(await execute(
+      'query User($id: ID!) { user(id: $id) { username notes { id } } }',
+      { variables: { id: user.id } }
+    ));
+
+    expect(result.user).toEqual({ username: user.username, notes: [{ id: publicNote.id }] });
+  });
+
+  it('reports a missing user as not found', async () => {
+    const result = await execute('query User($id: ID!) { user(id: $id) { id } }', {
+      variables: { id: new Types.ObjectId().toString() },
+    });
+    expect(errorCodeOf(result)).toBe('NOT_FOUND');
+  });
+
+  it('pages through users', async () => {
+    await Promise.all([createUser(), createUser(), createUser()]);
+    const PAGE = `
+      query Users($after: String) {
+        usersConnection(first: 2, after: $after) {
+          edges { node { id } }
+          pageInfo { hasNextPage endCursor }
+          totalCount
+        }
+      }
+    `;
+
+    const first = dataOf(await execute(PAGE)).usersConnection;
+    const second = dataOf(await execute(PAGE, {
+      variables: { after: first.pageInfo.endCursor },
+    })).usersConnection;
+
+    expect(first.totalCount).toBe(3);
+    expect(first.edges).toHaveLength(2);
+    expect(first.pageInfo.hasNextPage).toBe(true);
+    expect(second.edges).toHaveLength(1);
+    expect(second.pageInfo.hasNextPage).toBe(false);
+  });
+});
+
+describe('createUser', () => {
+  const CREATE_USER = `
+    mutation CreateUser($input: CreateUserInput!) {
+      createUser(input: $input) { id username email }
+    }
+  `;
+
+  it('creates a user', async () => {
+    const input = buildUserInput();
+
+    const { createUser: created } = dataOf(await execute(CREATE_USER, { variables: { input } }));
+
+    expect(created).toMatchObject({ username: input.username, email: input.email });
+    expect(await User.exists({ _id: created.id })).toBeTruthy();
+  });
+
+  it('detects duplicate users', async () => {
+    const existing = await createUser();
+
+    const sameEmail = await execute(CREATE_USER, {
+      variables: { input: buildUserInput({ email: existing.email }) },
+    });
+    const sameUsername = await execute(CREATE_USER, {
+      variables: { input: buildUserInput({ username: existing.username }) },
+    });
+
+    expect(errorCodeOf(sameEmail)).toBe('CONFLICT');
+    expect(sameEmail.errors[0].extensions.fields).toEqual({ email: 'Already taken' });
+    expect(errorCodeOf(sameUsername)).toBe('CONFLICT');
+    expect(sameUsername.errors[0].extensions.fields).toEqual({ username: 'Already taken' });
+    expect(await User.countDocuments()).toBe(1);
+  });
+});
+
+describe('updateUser', () => {
+  it('lets users change their own details', async () => {
+    const user = await createUser();
+
+    const result = await execute(UPDATE_USER, {
+      user,
+      variables: { id: user.id, input: { username: 'renamed', email: 'Renamed@example.com' } },
+    });
+
+    expect(dataOf(result).updateUser).toEqual({
+      id: user.id,
+      username: 'renamed',
+      email: 'renamed@example.com',
+    });
+  });
+
+  it("lets admins change anyone's details, but not other users", async () => {
+    const [user, other, admin] = await Promise.all([createUser(), createUser(), createAdmin()]);
+    const variables = { id: user.id, input: { username: 'renamed' } };
+
+    expect(errorCodeOf(await execute(UPDATE_USER, { user: other, variables }))).toBe('FORBIDDEN');
+    expect(dataOf(await execute(UPDATE_USER, { user: admin, variables })).updateUser.username)
+      .toBe('renamed');
+  });
+
+  it('reports a taken username as a conflict', async () => {
+    const [user, other] = await Promise.all([createUser(), createUser()]);
+
+    const result = await execute(UPDATE_USER, {
+      user,
+      variables: { id: user.id, input: { username: other.username } },
+    });
+
+    expect(errorCodeOf(result)).toBe('CONFLICT');
+  });
+});
+
+describe('deleteUser', () => {
+  it('with CASCADE deletes the notes and every reference to the user', async () => {
+    const [user, other] = await Promise.all([createUser(), createUser()]);
+    const ownNote = await createNote(user);
+    const sharedWithUser = await createNote(other, {
+      visibility: 'shared',
+      collaborators: [{ user: user._id, role: 'editor' }],
+    });
+
+    const result = await execute(DELETE_USER, {
+      user,
+      variables: { id: user.id, strategy: 'CASCADE' },
+    });
+
+    expect(dataOf(result).deleteUser).toBe(true);
+    expect(await User.exists({ _id: user._id })).toBeNull();
+    expect(await Note.exists({ _id: ownNote._id })).toBeNull();
+    expect(await NoteRevision.countDocuments({ note: ownNote._id })).toBe(0);
+    expect((await Note.findById(sharedWithUser._id)).collaborators).toHaveLength(0);
+  });
+
+  it('with REASSIGN hands the notes to another user', async () => {
+    const [user, target] = await Promise.all([createUser(), createUser()]);
+    const note = await createNote(user, {
+      visibility: 'shared',
+      collaborators: [{ user: target._id, role: 'viewer' }],
+    });
+
+    const result = await execute(DELETE_USER, {
+      user,
+      variables: { id: user.id, strategy: 'REASSIGN', reassignTo: target.id },
+    });
+
+    expect(dataOf(result).deleteUser).toBe(true);
+    const reassigned = await Note.findById(note._id);
+    expect(String(reassigned.author)).toBe(target.id);
+    // The new author is no longer listed as a collaborator
+    expect(reassigned.collaborators).toHaveLength(0);
+    expect((await User.findById(target._id)).notes.map(String)).toEqual([note.id]);
+  });
+
+  it('with REASSIGN announces only notes that are out of the trash', async () => {
+    const [user, target] = await Promise.all([createUser(), createUser()]);
+    const active = await createNote(user);
+    const trashed = await createNote(user, { deletedAt: new Date() });
+    const publish = jest.spyOn(getPubSub(), 'publish');
+
+    await execute(DELETE_USER, {
+      user,
+      variables: { id: user.id, strategy: 'REASSIGN', reassignTo: target.id },
+    });
+
+    expect(String((await Note.findById(trashed._id)).author)).toBe(target.id);
+    const announced = publish.mock.calls.map(([, payload]) => payload.note?.id).filter(Boolean);
+    expect(new Set(announced)).toEqual(new Set([active.id]));
+    publish.mockRestore();
+  });
+
+  it('with REASSIGN requires a different, existing user', async () => {
+    const user = await createUser();
+    await createNote(user);
+
+    const missingTarget = await execute(DELETE_USER, {
+      user,
+      variables: { id: user.id, strategy: 'REASSIGN' },
+    });
+    const selfTarget = await execute(DELETE_USER, {
+      user,
+      variables: { id: user.id, strategy: 'REASSIGN', reassignTo: user.id },
+    });
+    const unknownTarget = await execute(DELETE_USER, {
+      user,
+      variables: { id: user.id, strategy: 'REASSIGN', reassignTo: new Types.ObjectId().toString() },
+    });
+
+    expect(errorCodeOf(missingTarget)).toBe('VALIDATION_FAILED');
+    expect(errorCodeOf(selfTarget)).toBe('VALIDATION_FAILED');
+    expect(errorCodeOf(unknownTarget)).toBe('VALIDATION_FAILED');
+    // The failed transaction left everything in place
+    expect(await User.exists({ _id: user._id })).toBeTruthy();
+    expect(await Note.countDocuments({ author: user._id })).toBe(1);
+  });
+
+  it('only lets users delete themselves, unless they are admins', async () => {
+    const [user, other, admin] = await Promise.all([createUser(), createUser(), createAdmin()]);
+    const variables = { id: user.id, strategy: 'CASCADE' };
+
+    expect(errorCodeOf(await execute(DELETE_USER, { user: other, variables }))).toBe('FORBIDDEN');
+    expect(dataOf(await execute(DELETE_USER, { user: admin, variables })).deleteUser).toBe(true);
+  });
+});
+
+describe('reconcileNoteOwnership', () => {
+  const RECONCILE = `
+    mutation Reconcile($dryRun: Boolean) {
+      reconcileNoteOwnership(dryRun: $dryRun) { dryRun usersRepaired missingRefs staleRefs }
+    }
+  `;
+
+  it('reports drift on a dry run and repairs it otherwise', async () => {
+    const [user, admin] = await Promise.all([createUser(), createAdmin()]);
+    const note = await createNote(user);
+    await User.updateOne({ _id: user._id }, { $set: { notes: [] } });
+
+    const dryRun = dataOf(await execute(RECONCILE, { user: admin, variables: { dryRun: true } }));
+    expect(dryRun.reconcileNoteOwnership).toEqual({
+      dryRun: true,
+      usersRepaired: 1,
+      missingRefs: 1,
+      staleRefs: 0,
+    });
+    expect((await User.findById(user._id)).notes).toHaveLength(0);
+
+    dataOf(await execute(RECONCILE, { user: admin }));
+    expect((await User.findById(user._id)).notes.map(String)).toEqual([note.id]);
+  });
+
+  it('is for admins only', async () => {
+    const user = await createUser();
+    expect(errorCodeOf(await execute(RECONCILE, { user }))).toBe('FORBIDDEN');
+  });
+});